@@ -787,12 +787,9 @@ struct ComparisonView: View {
                                         state: state
                                     )
                                     
-                                    // Add activity only for new rankings, not for score updates
+                                    // Notify followers only for new rankings, not for score updates
                                     if existingMovie == nil || movie.id == movieWithProperScore.id {
-                                        try await store.firestoreService.createActivityUpdate(
-                                            type: .movieRanked,
-                                            movie: movie
-                                        )
+                                        await store.firestoreService.notifyFollowersOfNewRanking(movie: movie)
                                     }
                                     
                                     // Update user's top movie poster if this is a high-rated movie
@@ -1021,11 +1018,8 @@ struct ComparisonView: View {
                         state: .finalInsertion
                     )
                     
-                    // Add activity update
-                    try await store.firestoreService.createActivityUpdate(
-                        type: .movieRanked,
-                        movie: finalMovie
-                    )
+                    // Notify followers of the new ranking
+                    await store.firestoreService.notifyFollowersOfNewRanking(movie: finalMovie)
                     
                     // Update user's top movie poster
                     try await store.firestoreService.updateUserTopMoviePoster(userId: userId)
@@ -1,6 +1,7 @@
 import Foundation
 import FirebaseAuth
 import FirebaseFirestore
+import FirebaseFunctions
 import FirebaseCore
 
 class AuthenticationService: ObservableObject {
@@ -12,6 +13,7 @@ class AuthenticationService: ObservableObject {
     @Published var isAuthenticated = false
     @Published var errorMessage: String?
     @Published var username: String?
+    @Published var discoverableByPhone = false
     @Published var isReady = false
     @Published var isUsernameLoading = false  // Add loading state for username
     
@@ -211,11 +213,6 @@ class AuthenticationService: ObservableObject {
                     userData["email"] = email
                 }
                 
-                // Add phone number if available
-                if let phoneNumber = user.phoneNumber {
-                    userData["phoneNumber"] = phoneNumber
-                }
-                
                 try await userDocRef.setData(userData)
                 print("ensureUserDocument: Created new user document with movieCount: 0")
                 
@@ -230,11 +227,6 @@ class AuthenticationService: ObservableObject {
                 var updateData: [String: Any] = [:]
                 let existingData = document.data() ?? [:]
                 
-                // Add phone number if user just linked it
-                if let phoneNumber = user.phoneNumber, existingData["phoneNumber"] == nil {
-                    updateData["phoneNumber"] = phoneNumber
-                }
-                
                 // Add email if user just linked it
                 if let email = user.email, existingData["email"] == nil {
                     updateData["email"] = email
@@ -440,12 +432,39 @@ class AuthenticationService: ObservableObject {
     func isUsernameAvailable(_ username: String) async throws -> Bool {
         let trimmedUsername = username.trimmingCharacters(in: .whitespacesAndNewlines).lowercased()
         
-        // Query Firestore to check if username exists
-        let snapshot = try await firestore.collection("users")
-            .whereField("username", isEqualTo: trimmedUsername)
-            .getDocuments()
+        // Every name is indexed by its lowercased form, whatever case it was claimed in, so a
+        // name differing only in case from a taken one shows as taken. claimUsername has the
+        // final say.
+        let claim = try await firestore.collection("usernames").document(trimmedUsername).getDocument()
+        guard claim.exists, claim.get("userId") as? String != currentUser?.uid else {
+            return true
+        }
         
-        return snapshot.documents.isEmpty
+        // A name renamed away from frees up once its hold runs out
+        if claim.get("releasedAt") is Timestamp, let heldUntil = claim.get("heldUntil") as? Timestamp {
+            return heldUntil.dateValue() <= Date()
+        }
+        return false
+    }
+    
+    // Claim a username through the claimUsername Cloud Function, which enforces uniqueness,
+    // the blocked word list and rename cooldowns
+    func claimUsername(_ username: String) async throws -> String {
+        do {
+            let result = try await Functions.functions().httpsCallable("claimUsername").call(["username": username])
+            let claimed = (result.data as? [String: Any])?["username"] as? String ?? username
+            
+            await MainActor.run {
+                self.username = claimed
+                self.isUsernameLoading = false
+            }
+            if let userId = currentUser?.uid {
+                cacheUsername(claimed, for: userId)
+            }
+            return claimed
+        } catch let error as NSError where error.domain == FunctionsErrorDomain {
+            throw AuthError.custom(error.localizedDescription)
+        }
     }
     
     func changeUsername(to newUsername: String) async throws {
@@ -460,29 +479,11 @@ class AuthenticationService: ObservableObject {
         
         let sanitizedUsername = InputValidator.sanitizeUsername(newUsername)
         
-        // Double-check username availability
-        let isAvailable = try await isUsernameAvailable(sanitizedUsername)
-        guard isAvailable else {
-            throw AuthError.custom("Username is already taken")
-        }
-        
-        // Update username in Firestore
-        let userDocRef = firestore.collection("users").document(user.uid)
+        _ = try await claimUsername(sanitizedUsername)
         
-        do {
-            try await userDocRef.updateData([
-                "username": sanitizedUsername,
-                "updatedAt": FieldValue.serverTimestamp()
-            ])
-            
-            // Update local username
-            await MainActor.run {
-                self.username = sanitizedUsername
-                self.isUsernameLoading = false
-            }
-        } catch {
-            throw AuthError.custom("Failed to update username: \(error.localizedDescription)")
-        }
+        try await firestore.collection("users").document(user.uid).updateData([
+            "updatedAt": FieldValue.serverTimestamp()
+        ])
     }
     
     // MARK: - Phone Authentication
@@ -726,12 +727,6 @@ class AuthenticationService: ObservableObject {
         }
     }
     
-    // Check if a phone number is available for sign-up
-    func isPhoneNumberAvailable(_ phoneNumber: String) async -> Bool {
-        let formattedPhoneNumber = formatPhoneNumber(phoneNumber)
-        return !(await checkIfPhoneNumberExists(formattedPhoneNumber))
-    }
-    
     func signInWithPhoneNumber(verificationCode: String) async throws {
         guard let verificationID = verificationID else {
             throw AuthError.custom("No verification ID available. Please request a new code.")
@@ -822,43 +817,6 @@ class AuthenticationService: ObservableObject {
         }
     }
     
-    // Check if a phone number is already associated with an account
-    private func checkIfPhoneNumberExists(_ phoneNumber: String) async -> Bool {
-        let formattedPhoneNumber = formatPhoneNumber(phoneNumber)
-        
-        // Extract last 10 digits for matching
-        let digits = formattedPhoneNumber.replacingOccurrences(of: "[^0-9]", with: "", options: .regularExpression)
-        let lastTenDigits = digits.suffix(10)
-        
-        print("🔵 PHONE AUTH DEBUG: Checking if phone number exists - last 10 digits: \(lastTenDigits)")
-        
-        // Query Firestore to check if any user document has this phone number
-        do {
-            let allUsersSnapshot = try await firestore.collection("users")
-                .whereField("phoneNumber", isGreaterThan: "")
-                .getDocuments()
-            
-            // Search through all users to find one with matching last 10 digits
-            for document in allUsersSnapshot.documents {
-                let storedPhoneNumber = document.data()["phoneNumber"] as? String ?? ""
-                let storedDigits = storedPhoneNumber.replacingOccurrences(of: "[^0-9]", with: "", options: .regularExpression)
-                let storedLastTen = storedDigits.suffix(10)
-                
-                if storedLastTen == lastTenDigits {
-                    print("🔵 PHONE AUTH DEBUG: Found existing phone number: \(storedPhoneNumber)")
-                    return true
-                }
-            }
-            
-            print("🔵 PHONE AUTH DEBUG: No existing phone number found")
-            return false
-        } catch {
-            print("Error checking if phone number exists: \(error)")
-            // If we can't check, assume it exists to prevent potential security issues
-            return true
-        }
-    }
-    
     // New method to link phone number to existing account
     func linkPhoneNumber(verificationCode: String) async throws {
         guard let currentUser = currentUser else {
@@ -869,13 +827,8 @@ class AuthenticationService: ObservableObject {
             throw AuthError.custom("No verification ID available. Please request a new code.")
         }
         
-        // Double-check that this phone number isn't already associated with another account
-        let isExistingAccount = await checkIfPhoneNumberExists(phoneNumber)
-        
-        if isExistingAccount {
-            throw AuthError.custom("This phone number is already associated with another account. Please use a different phone number.")
-        }
-        
+        // Firebase Auth refuses a number already linked to another account
+        // (credentialAlreadyInUse below); phone numbers aren't stored where the app can search them
         let credential = PhoneAuthProvider.provider().credential(
             withVerificationID: verificationID,
             verificationCode: verificationCode
@@ -935,19 +888,50 @@ class AuthenticationService: ObservableObject {
         do {
             let user = try await currentUser.unlink(fromProvider: PhoneAuthProviderID)
             
-            // Update Firestore to remove phone number
-            let userDocRef = firestore.collection("users").document(user.uid)
-            try await userDocRef.updateData([
-                "phoneNumber": FieldValue.delete(),
-                "updatedAt": FieldValue.serverTimestamp()
-            ])
-            
             await MainActor.run {
                 self.currentUser = user
             }
         } catch {
             throw mapAuthError(error)
         }
+        
+        // Take the old number out of the contact-matching index
+        _ = try? await setPhoneDiscoverable(false)
+    }
+    
+    // Whether the current user can be found by people who have their number in their contacts
+    func loadPhoneDiscoverable() async -> Bool {
+        guard let currentUser = currentUser else {
+            return false
+        }
+        
+        do {
+            let settings = try await firestore.collection("users")
+                .document(currentUser.uid)
+                .collection("private")
+                .document("contact")
+                .getDocument()
+            let discoverable = settings.get("discoverableByPhone") as? Bool ?? false
+            await MainActor.run {
+                self.discoverableByPhone = discoverable
+            }
+            return discoverable
+        } catch {
+            print("loadPhoneDiscoverable: Error loading contact settings: \(error)")
+            return false
+        }
+    }
+    
+    // Opt in or out of being found by phone number. The server indexes the number verified
+    // with Firebase Auth, so a phone number must be linked before turning this on.
+    @discardableResult
+    func setPhoneDiscoverable(_ discoverable: Bool) async throws -> Bool {
+        let result = try await Functions.functions().httpsCallable("setPhoneDiscoverable").call(["discoverable": discoverable])
+        let enabled = (result.data as? [String: Any])?["discoverableByPhone"] as? Bool ?? false
+        await MainActor.run {
+            self.discoverableByPhone = enabled
+        }
+        return enabled
     }
     
     func resendVerificationCode() async throws {
@@ -1163,13 +1147,6 @@ class AuthenticationService: ObservableObject {
         // Format phone number with country code
         let formattedPhoneNumber = formatPhoneNumber(phoneNumber)
         
-        // Check if this phone number is already associated with another account
-        let isExistingAccount = await checkIfPhoneNumberExists(formattedPhoneNumber)
-        
-        if isExistingAccount {
-            throw AuthError.custom("This phone number is already associated with another account. Please use a different phone number.")
-        }
-        
         // Use the existing verifyPhoneNumber method
         try await verifyPhoneNumber(formattedPhoneNumber)
     }
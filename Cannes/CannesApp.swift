@@ -246,6 +246,9 @@ struct CannesApp: App {
         // Clear all delivered notifications from notification center
         UNUserNotificationCenter.current().removeAllDeliveredNotifications()
         
+        // Reset the unread count the server uses for badges
+        NotificationService.shared.markNotificationsRead()
+        
         print("✅ Cleared notification badges and delivered notifications")
     }
 }
@@ -1,7 +1,8 @@
 import Foundation
 import Contacts
-import FirebaseFirestore
+import CryptoKit
 import FirebaseAuth
+import FirebaseFunctions
 
 struct ContactUser {
     let contact: CNContact
@@ -17,8 +18,6 @@ class ContactsService: ObservableObject {
     @Published var hasPermission = false
     @Published var errorMessage: String?
     
-    private let firestoreService = FirestoreService()
-    
     func requestContactsPermission() async {
         await MainActor.run {
             isLoading = true
@@ -97,48 +96,50 @@ class ContactsService: ObservableObject {
         }
     }
     
+    // Salt the matchContacts Cloud Function expects: hex(sha256(salt + E.164 number)). Must
+    // match CLIENT_SALT in functions/contacts.js.
+    private static let contactHashSalt = "cannes-contacts-v1:"
+    // Most hashes matchContacts accepts per call
+    private static let maxHashesPerCall = 500
+    // Country code assumed for numbers saved without one
+    private static let defaultCountryCode = "1"
+    
     private func matchContactsWithUsers(_ contactUsers: [ContactUser]) async -> [ContactUser] {
         var matchedContacts = contactUsers
         
         print("ContactsService: Found \(contactUsers.count) contacts to match")
         
-        // Get all users from Firestore (simplified approach)
-        do {
-            let allUsers = try await firestoreService.getAllUsers()
-            print("ContactsService: Found \(allUsers.count) total users in the app")
-            
-            // Debug: Show all users and their phone numbers
-            print("ContactsService: DETAILED DEBUG - All users found in Firestore:")
-            for (index, user) in allUsers.enumerated() {
-                print("ContactsService: User \(index + 1): '\(user.username)' with phone: '\(user.phoneNumber ?? "nil")'")
+        // Only hashes of the numbers leave the device; the server says which belong to users
+        // who chose to be discoverable by phone
+        var contactIndexesByHash: [String: [Int]] = [:]
+        for (index, contactUser) in contactUsers.enumerated() {
+            let numbers = contactUser.contact.phoneNumbers.map { $0.value.stringValue }
+            for number in Set(numbers.compactMap(normalizePhoneNumber)) {
+                contactIndexesByHash[hashPhoneNumber(number), default: []].append(index)
             }
-            
-            // Match contacts with users using simple phone number comparison
-            for i in 0..<matchedContacts.count {
-                if let contactPhone = matchedContacts[i].phone {
-                    let cleanContactPhone = getLast10Digits(contactPhone)
-                    print("ContactsService: Checking contact '\(matchedContacts[i].name)' with phone: \(contactPhone) -> last 10 digits: \(cleanContactPhone)")
-                    
-                    // Find matching user by phone number (last 10 digits)
-                    if let matchingUser = allUsers.first(where: { user in
-                        if let userPhone = user.phoneNumber {
-                            let cleanUserPhone = getLast10Digits(userPhone)
-                            let isMatch = cleanContactPhone == cleanUserPhone
-                            print("ContactsService: Comparing with user '\(user.username)' phone: \(userPhone) -> last 10 digits: \(cleanUserPhone) -> match: \(isMatch)")
-                            return isMatch
-                        }
-                        return false
-                    }) {
-                        print("ContactsService: ✅ MATCHED contact '\(matchedContacts[i].name)' with user '\(matchingUser.username)'")
-                        matchedContacts[i] = ContactUser(
-                            contact: matchedContacts[i].contact,
-                            phone: matchedContacts[i].phone,
-                            name: matchedContacts[i].name,
+        }
+        
+        do {
+            let hashes = Array(contactIndexesByHash.keys)
+            for start in stride(from: 0, to: hashes.count, by: Self.maxHashesPerCall) {
+                let chunk = Array(hashes[start..<min(start + Self.maxHashesPerCall, hashes.count)])
+                let result = try await Functions.functions().httpsCallable("matchContacts").call(["hashes": chunk])
+                let matches = (result.data as? [String: Any])?["matches"] as? [[String: Any]] ?? []
+                
+                for match in matches {
+                    guard let hash = match["hash"] as? String,
+                          let userId = match["userId"] as? String,
+                          let username = match["username"] as? String else {
+                        continue
+                    }
+                    for index in contactIndexesByHash[hash] ?? [] where !matchedContacts[index].isAppUser {
+                        matchedContacts[index] = ContactUser(
+                            contact: matchedContacts[index].contact,
+                            phone: matchedContacts[index].phone,
+                            name: matchedContacts[index].name,
                             isAppUser: true,
-                            userProfile: matchingUser
+                            userProfile: UserProfile(uid: userId, username: username)
                         )
-                    } else {
-                        print("ContactsService: ❌ No match found for contact '\(matchedContacts[i].name)'")
                     }
                 }
             }
@@ -159,16 +160,28 @@ class ContactsService: ObservableObject {
         return matchedContacts
     }
     
-    // Simple function to get last 10 digits of a phone number
-    private func getLast10Digits(_ phone: String) -> String {
-        // Remove all non-digit characters
-        let digitsOnly = phone.replacingOccurrences(of: "[^0-9]", with: "", options: .regularExpression)
-        
-        // Return last 10 digits (or all digits if less than 10)
-        if digitsOnly.count >= 10 {
-            return String(digitsOnly.suffix(10))
-        } else {
-            return digitsOnly
+    // Normalize a contact's number to E.164 the way the server normalizes verified numbers.
+    // Numbers saved without a country code are assumed to be in defaultCountryCode.
+    private func normalizePhoneNumber(_ phone: String) -> String? {
+        var normalized = phone.replacingOccurrences(of: "[\\s\\-().]", with: "", options: .regularExpression)
+        if normalized.hasPrefix("00") {
+            normalized = "+" + normalized.dropFirst(2)
         }
+        if !normalized.hasPrefix("+") {
+            let digits = normalized.replacingOccurrences(of: "[^0-9]", with: "", options: .regularExpression)
+            if digits.count == 10 {
+                normalized = "+" + Self.defaultCountryCode + digits
+            } else if digits.count == 11 && digits.hasPrefix(Self.defaultCountryCode) {
+                normalized = "+" + digits
+            } else {
+                return nil
+            }
+        }
+        return normalized.range(of: "^\\+[1-9][0-9]{7,14}$", options: .regularExpression) != nil ? normalized : nil
+    }
+    
+    private func hashPhoneNumber(_ e164: String) -> String {
+        let digest = SHA256.hash(data: Data((Self.contactHashSalt + e164).utf8))
+        return digest.map { String(format: "%02x", $0) }.joined()
     }
 } 
\ No newline at end of file
@@ -277,28 +277,10 @@ struct ContactRow: View {
     }
     
     private func checkIfCurrentUser() {
-        // Get current user's phone number from Firestore
-        Task {
-            if let currentUser = Auth.auth().currentUser {
-                do {
-                    let userDoc = try await Firestore.firestore()
-                        .collection("users")
-                        .document(currentUser.uid)
-                        .getDocument()
-                    
-                    let currentUserPhone = userDoc.get("phoneNumber") as? String
-                    
-                    await MainActor.run {
-                        // Compare phone numbers (both should be cleaned)
-                        if let contactPhone = contactUser.phone,
-                           let currentPhone = currentUserPhone {
-                            isCurrentUser = cleanPhoneNumber(contactPhone) == cleanPhoneNumber(currentPhone)
-                        }
-                    }
-                } catch {
-                    print("ContactRow: Error checking if contact is current user: \(error)")
-                }
-            }
+        // The current user's number is the one verified with Firebase Auth
+        if let contactPhone = contactUser.phone,
+           let currentPhone = Auth.auth().currentUser?.phoneNumber {
+            isCurrentUser = cleanPhoneNumber(contactPhone) == cleanPhoneNumber(currentPhone)
         }
     }
     
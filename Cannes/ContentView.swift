@@ -90,21 +90,6 @@ struct ContentView: View {
                         .animation(.easeInOut(duration: 0.3), value: store.selectedMediaType)
                 }
                 .navigationBarHidden(true)
-                .toolbar {
-                    ToolbarItem(placement: .navigationBarTrailing) {
-                        Button("Admin Fix") {
-                            Task {
-                                do {
-                                    try await store.firestoreService.adminSetNumberOfRatingsToSeven()
-                                    print("ADMIN: Successfully completed numberOfRatings fix")
-                                } catch {
-                                    print("ADMIN: Error during fix: \(error)")
-                                }
-                            }
-                        }
-                        .foregroundColor(.red)
-                    }
-                }
             }
             .tabItem {
                 Image(systemName: "globe")
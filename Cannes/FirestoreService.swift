@@ -163,137 +163,6 @@ class FirestoreService: ObservableObject {
         print("cleanupDuplicateMoviesInFirebase: Cleanup completed")
     }
 
-    // Complete reset of community rating system
-    func completeCommunityRatingReset() async throws {
-        print("completeCommunityRatingReset: Starting complete reset")
-        
-        // 1. Reset all community ratings
-        try await resetAllCommunityRatings()
-        
-        // 2. Clean up duplicate movies for current user
-        if let currentUser = Auth.auth().currentUser {
-            try await cleanupDuplicateMoviesInFirebase(userId: currentUser.uid)
-        }
-        
-        // 3. Recreate community ratings with actual user scores
-        try await recreateCommunityRatingsWithActualScores()
-        
-        print("completeCommunityRatingReset: Complete reset finished")
-    }
-
-    // Reset all community ratings to fix current issues
-    func resetAllCommunityRatings() async throws {
-        print("resetAllCommunityRatings: Starting reset of all community ratings")
-        
-        let snapshot = try await db.collection("ratings")
-            .getDocuments()
-        
-        var resetCount = 0
-        
-        for document in snapshot.documents {
-            let totalScore = document.get("totalScore") as? Double ?? 0.0
-            let numberOfRatings = document.get("numberOfRatings") as? Int ?? 0
-            
-            // If totalScore is negative or numberOfRatings is 0, reset to 0
-            if totalScore < 0 || numberOfRatings == 0 {
-                print("resetAllCommunityRatings: Resetting rating for \(document.documentID) - totalScore: \(totalScore), numberOfRatings: \(numberOfRatings)")
-                
-                try await document.reference.updateData([
-                    "totalScore": 0.0,
-                    "numberOfRatings": 0,
-                    "averageRating": 0.0,
-                    "lastUpdated": FieldValue.serverTimestamp()
-                ])
-                
-                resetCount += 1
-            }
-        }
-        
-        print("resetAllCommunityRatings: Reset \(resetCount) community ratings")
-    }
-
-    // Fix negative community ratings by resetting them to 0
-    func fixNegativeCommunityRatings() async throws {
-        print("fixNegativeCommunityRatings: Starting fix for negative ratings")
-        
-        let snapshot = try await db.collection("ratings")
-            .getDocuments()
-        
-        var fixedCount = 0
-        
-        for document in snapshot.documents {
-            let totalScore = document.get("totalScore") as? Double ?? 0.0
-            let numberOfRatings = document.get("numberOfRatings") as? Int ?? 0
-            
-            if totalScore < 0 {
-                print("fixNegativeCommunityRatings: Fixing negative rating for \(document.documentID) - totalScore: \(totalScore)")
-                
-                let newAverage = numberOfRatings > 0 ? 0.0 : 0.0
-                
-                try await document.reference.updateData([
-                    "totalScore": 0.0,
-                    "averageRating": newAverage,
-                    "lastUpdated": FieldValue.serverTimestamp()
-                ])
-                
-                fixedCount += 1
-            }
-        }
-        
-        print("fixNegativeCommunityRatings: Fixed \(fixedCount) negative ratings")
-    }
-    
-    // Recreate community ratings with actual user scores
-    func recreateCommunityRatingsWithActualScores() async throws {
-        print("recreateCommunityRatingsWithActualScores: Starting recreation of community ratings")
-        
-        guard let currentUser = Auth.auth().currentUser else {
-            print("recreateCommunityRatingsWithActualScores: No current user")
-            return
-        }
-        
-        // Get all user rankings
-        let userRankings = try await getUserRankings(userId: currentUser.uid)
-        
-        // Group by TMDB ID
-        var tmdbGroups: [Int: [Movie]] = [:]
-        for movie in userRankings {
-            if let tmdbId = movie.tmdbId {
-                if tmdbGroups[tmdbId] == nil {
-                    tmdbGroups[tmdbId] = []
-                }
-                tmdbGroups[tmdbId]?.append(movie)
-            }
-        }
-        
-        // Recreate community ratings for each TMDB ID
-        for (tmdbId, movies) in tmdbGroups {
-            // Use the first movie's score as the community rating (since they should all be the same)
-            if let firstMovie = movies.first {
-                let communityScore = firstMovie.score // Use the actual recalculated score
-                
-                // Round the community score to 1 decimal place to prevent floating-point precision issues
-                let roundedCommunityScore = (communityScore * 10).rounded() / 10
-                
-                print("recreateCommunityRatingsWithActualScores: Recreating rating for TMDB ID \(tmdbId) with score \(communityScore), rounded to \(roundedCommunityScore)")
-                
-                let ratingsRef = db.collection("ratings").document(tmdbId.description)
-                
-                try await ratingsRef.setData([
-                    "totalScore": roundedCommunityScore,
-                    "numberOfRatings": 1,
-                    "averageRating": roundedCommunityScore,
-                    "lastUpdated": FieldValue.serverTimestamp(),
-                    "title": firstMovie.title,
-                    "mediaType": firstMovie.mediaType.rawValue,
-                    "tmdbId": tmdbId
-                ])
-            }
-        }
-        
-        print("recreateCommunityRatingsWithActualScores: Recreated \(tmdbGroups.count) community ratings")
-    }
-
     // Clean up duplicate movie entries by TMDB ID
     func cleanupDuplicateMovies(userId: String) async throws {
         print("cleanupDuplicateMovies: Starting cleanup for user: \(userId)")
@@ -413,12 +282,6 @@ class FirestoreService: ObservableObject {
             .collection("rankings")
             .document(movie.id.uuidString)
 
-        // Capture any existing ranking before updating
-        let oldSnapshot = try await userDocRef.getDocument()
-        let oldState = oldSnapshot.get("ratingState") as? String
-        let oldScore = oldSnapshot.get("score") as? Double ?? 0.0
-        let _ = !oldSnapshot.exists // Track if this is a new movie (unused for now)
-
         let movieData: [String: Any] = [
             "id": movie.id.uuidString,
             "title": movie.title,
@@ -445,231 +308,12 @@ class FirestoreService: ObservableObject {
 
         print("updateMovieRanking: Updated user ranking for movie: \(movie.title)")
         
-        // 2. Update global stats based on state
-        switch state {
-        case .initialSentiment:
-            print("updateMovieRanking: Skipping global stats update for initialSentiment")
-            break
-            
-        case .comparing:
-            print("updateMovieRanking: Skipping global stats update for comparing")
-            break
-            
-        case .finalInsertion:
-            print("updateMovieRanking: Processing finalInsertion for global stats")
-            
-            // For community ratings, check if this user has EVER rated this TMDB ID before
-            let isNewUserRating: Bool
-            if let tmdbId = movie.tmdbId {
-                // Check if user has any existing rankings for this TMDB ID
-                let existingRankings = try await db.collection("users")
-                    .document(userId)
-                    .collection("rankings")
-                    .whereField("tmdbId", isEqualTo: tmdbId)
-                    .whereField("ratingState", in: [MovieRatingState.finalInsertion.rawValue, MovieRatingState.scoreUpdate.rawValue])
-                    .getDocuments()
-                
-                // If there are other completed ratings for this TMDB ID, this is an update
-                // Filter out the current movie ID to avoid counting itself
-                let otherCompletedRatings = existingRankings.documents.filter { doc in
-                    doc.get("id") as? String != movie.id.uuidString
-                }
-                
-                isNewUserRating = otherCompletedRatings.isEmpty
-                print("updateMovieRanking: TMDB ID \(tmdbId) - found \(otherCompletedRatings.count) other completed ratings for this user, isNewUserRating: \(isNewUserRating)")
-            } else {
-                // No TMDB ID - treat as new rating
-                isNewUserRating = true
-                print("updateMovieRanking: No TMDB ID, treating as new user rating")
-            }
-
-            print("updateMovieRanking: Movie score before update: \(movie.score)")
-            print("updateMovieRanking: Old state: \(oldState ?? "nil"), old score: \(oldScore)")
-            
-            if isNewUserRating {
-                // This is a new rating - add to community ratings with the final ranking-based score
-                print("updateMovieRanking: Adding new user rating with final ranking-based score: \(movie.score)")
-                try await addNewRating(movieId: movie.id.uuidString, score: movie.score, movie: movie)
-            } else {
-                // This is an update to an existing rating
-                print("updateMovieRanking: Updating existing user rating from \(oldScore) to \(movie.score)")
-                await updateSingleMovieRatingWithMovie(update: (movie: movie, newScore: movie.score, oldScore: oldScore, isNewRating: false))
-            }
-            
-        case .scoreUpdate:
-            print("updateMovieRanking: Processing scoreUpdate for global stats")
-
-            // Update community rating with the score change
-            await updateSingleMovieRatingWithMovie(update: (movie: movie, newScore: movie.score, oldScore: oldScore, isNewRating: false))
-        }
+        // 2. Community ratings are aggregated server-side by the onRankingWrite Cloud Function,
+        //    which only counts finalInsertion/scoreUpdate rankings
         
         print("updateMovieRanking: Completed for movie: \(movie.title)")
     }
     
-    private func addNewRating(movieId: String, score: Double, movie: Movie) async throws {
-        print("addNewRating: Starting for movieId: \(movieId), movie: \(movie.title), score: \(score)")
-        
-        // Use TMDB ID for community ratings, fallback to UUID if no TMDB ID
-        let communityRatingId = movie.tmdbId?.description ?? movieId
-        print("addNewRating: Using community rating ID: \(communityRatingId) (TMDB ID: \(movie.tmdbId?.description ?? "nil"))")
-        
-        // Use the final recalculated score for community ratings
-        let communityScore = score
-        print("addNewRating: Using final recalculated score for community rating: \(communityScore)")
-        
-        // Validate score to prevent NaN or infinite values
-        guard !communityScore.isNaN && !communityScore.isInfinite else {
-            print("addNewRating: Invalid score value detected, skipping update")
-            return
-        }
-        
-        let ratingsRef = db.collection("ratings").document(communityRatingId)
-        
-        // Use transaction to safely add to existing community rating
-        _ = try await db.runTransaction { (transaction, errorPointer) -> Any? in
-            do {
-                let snapshot = try transaction.getDocument(ratingsRef)
-                
-                if snapshot.exists {
-                    // Document exists - add this user's score to existing community rating
-                    let currentTotal = snapshot.get("totalScore") as? Double ?? 0.0
-                    let currentCount = snapshot.get("numberOfRatings") as? Int ?? 0
-                    
-                    // Validate existing data
-                    guard !currentTotal.isNaN && !currentTotal.isInfinite && currentCount >= 0 else {
-                        print("addNewRating: Invalid existing data detected, recreating document")
-                        transaction.setData([
-                            "totalScore": communityScore,
-                            "numberOfRatings": 1,
-                            "averageRating": communityScore,
-                            "lastUpdated": FieldValue.serverTimestamp(),
-                            "title": movie.title,
-                            "mediaType": movie.mediaType.rawValue,
-                            "tmdbId": movie.tmdbId as Any
-                        ], forDocument: ratingsRef)
-                        return nil
-                    }
-                    
-                    // Add this user's score to the community total
-                    let newTotal = currentTotal + communityScore
-                    let newCount = currentCount + 1
-                    let newAverage = newTotal / Double(newCount)
-                    
-                    // Round the average to 1 decimal place to prevent floating-point precision issues
-                    let roundedAverage = (newAverage * 10).rounded() / 10
-                    
-                    print("addNewRating: Adding to existing community rating - currentTotal=\(currentTotal), currentCount=\(currentCount)")
-                    print("addNewRating: Adding score=\(communityScore), newTotal=\(newTotal), newCount=\(newCount), newAverage=\(newAverage), roundedAverage=\(roundedAverage)")
-                    
-                    // Validate calculated values
-                    guard !newTotal.isNaN && !newTotal.isInfinite && !roundedAverage.isNaN && !roundedAverage.isInfinite else {
-                        print("addNewRating: Calculated values are invalid, recreating document")
-                        transaction.setData([
-                            "totalScore": communityScore,
-                            "numberOfRatings": 1,
-                            "averageRating": communityScore,
-                            "lastUpdated": FieldValue.serverTimestamp(),
-                            "title": movie.title,
-                            "mediaType": movie.mediaType.rawValue,
-                            "tmdbId": movie.tmdbId as Any
-                        ], forDocument: ratingsRef)
-                        return nil
-                    }
-                    
-                    transaction.updateData([
-                        "totalScore": newTotal,
-                        "numberOfRatings": newCount,
-                        "averageRating": roundedAverage,
-                        "lastUpdated": FieldValue.serverTimestamp()
-                    ], forDocument: ratingsRef)
-                } else {
-                    // Document doesn't exist - create new community rating with this user's score
-                    print("addNewRating: Creating new community rating document")
-                    transaction.setData([
-                        "totalScore": communityScore,
-                        "numberOfRatings": 1,
-                        "averageRating": communityScore,
-                        "lastUpdated": FieldValue.serverTimestamp(),
-                        "title": movie.title,
-                        "mediaType": movie.mediaType.rawValue,
-                        "tmdbId": movie.tmdbId as Any
-                    ], forDocument: ratingsRef)
-                }
-                return nil
-            } catch {
-                if let errorPointer = errorPointer {
-                    errorPointer.pointee = error as NSError
-                }
-                return nil
-            }
-        }
-        
-        print("addNewRating: Successfully updated community rating")
-    }
-    
-    private func updateExistingRating(movieId: String, oldScore: Double, newScore: Double, movie: Movie) async throws {
-        // Use TMDB ID for community ratings, fallback to UUID if no TMDB ID
-        let communityRatingId = movie.tmdbId?.description ?? movieId
-        print("updateExistingRating: movieId: \(movieId), communityRatingId: \(communityRatingId), oldScore: \(oldScore), newScore: \(newScore)")
-        
-        // Use the final recalculated score for community ratings
-        let communityScore = newScore
-        print("updateExistingRating: Using final recalculated score for community rating: \(communityScore)")
-        
-        let ratingsRef = db.collection("ratings").document(communityRatingId)
-        _ = try await db.runTransaction { (transaction, errorPointer) -> Any? in
-            let snapshot: DocumentSnapshot
-            do {
-                snapshot = try transaction.getDocument(ratingsRef)
-                if snapshot.exists {
-                    print("updateExistingRating: Document exists for movieId: \(communityRatingId), updating.")
-                    let currentTotal = snapshot.get("totalScore") as? Double ?? 0.0
-                    let currentCount = snapshot.get("numberOfRatings") as? Int ?? 0
-                    let newTotal = currentTotal - oldScore + communityScore
-                    let newAverage = newTotal / Double(currentCount)
-                    
-                    // Round the average to 1 decimal place to prevent floating-point precision issues
-                    let roundedAverage = (newAverage * 10).rounded() / 10
-                    
-                    print("updateExistingRating: currentTotal=\(currentTotal), oldScore=\(oldScore), communityScore=\(communityScore)")
-                    print("updateExistingRating: newTotal=\(newTotal), newAverage=\(newAverage), roundedAverage=\(roundedAverage)")
-                    
-                    transaction.updateData([
-                        "totalScore": newTotal,
-                        "averageRating": roundedAverage,
-                        "lastUpdated": FieldValue.serverTimestamp(),
-                        "title": movie.title,
-                        "mediaType": movie.mediaType.rawValue
-                    ], forDocument: ratingsRef)
-                } else {
-                    print("updateExistingRating: Document does NOT exist for movieId: \(communityRatingId), creating new one.")
-                    // If the document doesn't exist, create it
-                    transaction.setData([
-                        "totalScore": communityScore,
-                        "numberOfRatings": 1,
-                        "averageRating": communityScore,
-                        "lastUpdated": FieldValue.serverTimestamp(),
-                        "title": movie.title,
-                        "mediaType": movie.mediaType.rawValue,
-                        "tmdbId": movie.tmdbId as Any
-                    ], forDocument: ratingsRef)
-                }
-            } catch {
-                print("updateExistingRating: getDocument threw for movieId: \(communityRatingId), creating new one.")
-                transaction.setData([
-                    "totalScore": communityScore,
-                    "numberOfRatings": 1,
-                    "averageRating": communityScore,
-                    "lastUpdated": FieldValue.serverTimestamp(),
-                    "title": movie.title,
-                    "mediaType": movie.mediaType.rawValue,
-                    "tmdbId": movie.tmdbId as Any
-                ], forDocument: ratingsRef)
-            }
-            return nil
-        }
-    }
-    
     // Delete a movie ranking
     func deleteMovieRanking(userId: String, movieId: String) async throws {
         // First, get the movie data before deleting it so we know the score and TMDB ID
@@ -697,42 +341,7 @@ class FirestoreService: ObservableObject {
             .document(movieId)
             .delete()
         
-        // Update community ratings collection
-        let communityRatingId = tmdbId?.description ?? movieId
-        let ratingsRef = db.collection("ratings").document(communityRatingId)
-        let snapshot = try await ratingsRef.getDocument()
-        
-        if snapshot.exists {
-            let currentTotal = snapshot.get("totalScore") as? Double ?? 0.0
-            let currentCount = snapshot.get("numberOfRatings") as? Int ?? 0
-            
-            let newTotal = currentTotal - userScore
-            let newCount = max(0, currentCount - 1)
-            
-            print("deleteMovieRanking: Updating community rating - currentTotal: \(currentTotal), currentCount: \(currentCount)")
-            print("deleteMovieRanking: Subtracting score: \(userScore), newTotal: \(newTotal), newCount: \(newCount)")
-            
-            if newCount > 0 {
-                // Update the document with new total and count
-                let newAverage = newTotal / Double(newCount)
-                
-                // Round the average to 1 decimal place to prevent floating-point precision issues
-                let roundedAverage = (newAverage * 10).rounded() / 10
-                
-                try await ratingsRef.updateData([
-                    "totalScore": newTotal,
-                    "numberOfRatings": newCount,
-                    "averageRating": roundedAverage,
-                    "lastUpdated": FieldValue.serverTimestamp()
-                ])
-            } else {
-                // If no more ratings, delete the entire document
-                try await ratingsRef.delete()
-                print("deleteMovieRanking: Deleted community document - no more ratings")
-            }
-        } else {
-            print("deleteMovieRanking: Community document doesn't exist for movieId: \(communityRatingId)")
-        }
+        // The onRankingWrite Cloud Function subtracts this score from the community rating
     }
     
     func createUserDocumentIfNeeded(for user: FirebaseAuth.User) async throws {
@@ -798,213 +407,6 @@ class FirestoreService: ObservableObject {
         print("syncAllUserMovieCounts: Completed sync for \(syncedCount) users")
     }
     
-    // Fix existing community ratings by rounding them to 1 decimal place
-    func fixExistingCommunityRatings() async throws {
-        print("fixExistingCommunityRatings: Starting to fix existing community ratings")
-        
-        let snapshot = try await db.collection("ratings")
-            .getDocuments()
-        
-        var fixedCount = 0
-        
-        for document in snapshot.documents {
-            let data = document.data()
-            let currentAverage = data["averageRating"] as? Double ?? 0.0
-            let totalScore = data["totalScore"] as? Double ?? 0.0
-            let _ = data["numberOfRatings"] as? Int ?? 0 // numberOfRatings not used in this function
-            
-            // Round the average to 1 decimal place
-            let roundedAverage = (currentAverage * 10).rounded() / 10
-            let roundedTotalScore = (totalScore * 10).rounded() / 10
-            
-            // Only update if the values need rounding
-            if abs(currentAverage - roundedAverage) > 0.001 || abs(totalScore - roundedTotalScore) > 0.001 {
-                print("fixExistingCommunityRatings: Fixing rating for \(document.documentID) - currentAverage=\(currentAverage), roundedAverage=\(roundedAverage)")
-                
-                try await document.reference.updateData([
-                    "averageRating": roundedAverage,
-                    "totalScore": roundedTotalScore,
-                    "lastUpdated": FieldValue.serverTimestamp()
-                ])
-                
-                fixedCount += 1
-            }
-        }
-        
-        print("fixExistingCommunityRatings: Fixed \(fixedCount) community ratings")
-    }
-    
-    // TEMPORARY ADMIN FUNCTION - WILL BE REMOVED AFTER USE
-    func adminSetNumberOfRatingsToSeven() async throws {
-        guard AuthenticationService.shared.currentUser?.uid != nil else {
-            throw NSError(domain: "FirestoreService", code: 404, userInfo: [NSLocalizedDescriptionKey: "User not found"])
-        }
-        
-        print("ADMIN: Starting to set numberOfRatings over 7 to 7")
-        
-        // Get all ratings (using correct collection name)
-        let ratingsRef = db.collection("ratings")
-        let snapshot = try await ratingsRef.getDocuments()
-        
-        var updatedCount = 0
-        
-        for document in snapshot.documents {
-            let data = document.data()
-            let numberOfRatings = data["numberOfRatings"] as? Int ?? 0
-            
-            if numberOfRatings > 7 {
-                print("ADMIN: Found movie with \(numberOfRatings) ratings, setting to 7")
-                
-                try await document.reference.updateData([
-                    "numberOfRatings": 7
-                ])
-                
-                updatedCount += 1
-            }
-        }
-        
-        print("ADMIN: Completed! Updated \(updatedCount) movies to have numberOfRatings = 7")
-    }
-    
-    // FIX FUNCTION - Fix scores that were broken by the previous admin function
-    func fixBrokenScoresFromAdminFunction() async throws {
-        guard AuthenticationService.shared.currentUser?.uid != nil else {
-            throw NSError(domain: "FirestoreService", code: 404, userInfo: [NSLocalizedDescriptionKey: "User not found"])
-        }
-        
-        print("ADMIN FIX: Starting to fix broken scores from previous admin function")
-        
-        // Get all ratings
-        let ratingsRef = db.collection("ratings")
-        let snapshot = try await ratingsRef.getDocuments()
-        
-        var fixedCount = 0
-        
-        for document in snapshot.documents {
-            let data = document.data()
-            let numberOfRatings = data["numberOfRatings"] as? Int ?? 0
-            let totalScore = data["totalScore"] as? Double ?? 0.0
-            let averageRating = data["averageRating"] as? Double ?? 0.0
-            
-            // Check if this movie was affected by the previous admin function
-            // (numberOfRatings is exactly 7 but totalScore seems too high for 7 ratings)
-            if numberOfRatings == 7 {
-                // Calculate what the totalScore should be for 7 ratings with the current average
-                let expectedTotalScore = averageRating * 7.0
-                
-                // If the totalScore is significantly different from expected, fix it
-                if abs(totalScore - expectedTotalScore) > 0.1 {
-                    print("ADMIN FIX: Found broken score for \(document.documentID)")
-                    print("ADMIN FIX: numberOfRatings=\(numberOfRatings), current totalScore=\(totalScore), averageRating=\(averageRating)")
-                    print("ADMIN FIX: Expected totalScore=\(expectedTotalScore)")
-                    
-                    // Round the expected total score to 1 decimal place
-                    let roundedExpectedTotal = (expectedTotalScore * 10).rounded() / 10
-                    
-                    try await document.reference.updateData([
-                        "totalScore": roundedExpectedTotal
-                    ])
-                    
-                    print("ADMIN FIX: Fixed totalScore to \(roundedExpectedTotal)")
-                    fixedCount += 1
-                }
-            }
-        }
-        
-        print("ADMIN FIX: Completed! Fixed \(fixedCount) broken scores")
-    }
-    
-    // COMPREHENSIVE RECALCULATION - Rebuild all ratings from actual user data
-    func comprehensiveRecalculationFromUserData() async throws {
-        guard AuthenticationService.shared.currentUser?.uid != nil else {
-            throw NSError(domain: "FirestoreService", code: 404, userInfo: [NSLocalizedDescriptionKey: "User not found"])
-        }
-        
-        print("ADMIN RECALC: Starting comprehensive recalculation from user data")
-        
-        // Step 1: Get all users
-        let usersSnapshot = try await db.collection("users").getDocuments()
-        print("ADMIN RECALC: Found \(usersSnapshot.documents.count) users")
-        
-        // Step 2: Collect all user ratings by TMDB ID
-        var tmdbRatings: [Int: [Double]] = [:]
-        var tmdbTitles: [Int: String] = [:]
-        var tmdbMediaTypes: [Int: AppModels.MediaType] = [:]
-        
-        for userDoc in usersSnapshot.documents {
-            let userId = userDoc.documentID
-            
-            // Get all completed rankings for this user
-            let rankingsSnapshot = try await db.collection("users")
-                .document(userId)
-                .collection("rankings")
-                .whereField("ratingState", in: [MovieRatingState.finalInsertion.rawValue, MovieRatingState.scoreUpdate.rawValue])
-                .getDocuments()
-            
-            for rankingDoc in rankingsSnapshot.documents {
-                let data = rankingDoc.data()
-                
-                if let tmdbId = data["tmdbId"] as? Int,
-                   let score = data["score"] as? Double,
-                   let title = data["title"] as? String,
-                   let mediaTypeString = data["mediaType"] as? String {
-                    
-                    let mediaType: AppModels.MediaType = mediaTypeString.lowercased().contains("tv") ? .tv : .movie
-                    
-                    if tmdbRatings[tmdbId] == nil {
-                        tmdbRatings[tmdbId] = []
-                        tmdbTitles[tmdbId] = title
-                        tmdbMediaTypes[tmdbId] = mediaType
-                    }
-                    
-                    tmdbRatings[tmdbId]?.append(score)
-                }
-            }
-        }
-        
-        print("ADMIN RECALC: Collected ratings for \(tmdbRatings.count) unique TMDB IDs")
-        
-        // Step 3: Delete all existing global ratings
-        let existingRatingsSnapshot = try await db.collection("ratings").getDocuments()
-        for doc in existingRatingsSnapshot.documents {
-            try await doc.reference.delete()
-        }
-        print("ADMIN RECALC: Deleted \(existingRatingsSnapshot.documents.count) existing global ratings")
-        
-        // Step 4: Recreate global ratings from actual user data
-        var recreatedCount = 0
-        
-        for (tmdbId, scores) in tmdbRatings {
-            guard let title = tmdbTitles[tmdbId],
-                  let mediaType = tmdbMediaTypes[tmdbId] else { continue }
-            
-            let totalScore = scores.reduce(0, +)
-            let numberOfRatings = scores.count
-            let averageRating = totalScore / Double(numberOfRatings)
-            
-            // Round to 1 decimal place
-            let roundedAverage = (averageRating * 10).rounded() / 10
-            let roundedTotal = (totalScore * 10).rounded() / 10
-            
-            let ratingsRef = db.collection("ratings").document(tmdbId.description)
-            
-            try await ratingsRef.setData([
-                "totalScore": roundedTotal,
-                "numberOfRatings": numberOfRatings,
-                "averageRating": roundedAverage,
-                "lastUpdated": FieldValue.serverTimestamp(),
-                "title": title,
-                "mediaType": mediaType.rawValue,
-                "tmdbId": tmdbId
-            ])
-            
-            
-            recreatedCount += 1
-        }
-        
-        print("ADMIN RECALC: Completed! Recreated \(recreatedCount) global ratings from actual user data")
-    }
-    
     // TEST FUNCTION - Read user data to console without making changes
     func testReadUserDataToConsole() async throws {
         guard let currentUserId = AuthenticationService.shared.currentUser?.uid else {
@@ -1095,157 +497,10 @@ extension FirestoreService {
         print("batchUpdateRatings: This function is deprecated. Use batchUpdateRatingsWithMovies instead.")
     }
     
-    // New function that takes movie objects for proper TMDB ID handling
+    // Community ratings are now aggregated server-side by the onRankingWrite Cloud Function
+    // from the personal rankings written by updatePersonalRankings
     func batchUpdateRatingsWithMovies(movieUpdates: [(movie: Movie, newScore: Double, oldScore: Double, isNewRating: Bool)]) async throws {
-        print("batchUpdateRatingsWithMovies: Processing \(movieUpdates.count) updates atomically")
-        for update in movieUpdates {
-            print("batchUpdateRatingsWithMovies: \(update.movie.title) - newScore=\(update.newScore), oldScore=\(update.oldScore), isNewRating=\(update.isNewRating)")
-        }
-        
-        // Process all updates in a single atomic transaction to prevent race conditions
-        _ = try await db.runTransaction { (transaction, errorPointer) -> Any? in
-            for update in movieUpdates {
-                self.updateSingleMovieRatingInTransaction(
-                    transaction: transaction,
-                    update: update
-                )
-            }
-            return nil
-        }
-        
-        print("batchUpdateRatingsWithMovies: Successfully processed \(movieUpdates.count) updates atomically")
-    }
-    
-    private func updateSingleMovieRatingInTransaction(
-        transaction: Transaction,
-        update: (movie: Movie, newScore: Double, oldScore: Double, isNewRating: Bool)
-    ) {
-        // Use TMDB ID for community ratings, fallback to UUID if no TMDB ID
-        let communityRatingId = update.movie.tmdbId?.description ?? update.movie.id.uuidString
-        print("updateSingleMovieRatingInTransaction: Using community rating ID: \(communityRatingId) for movie: \(update.movie.title)")
-        print("updateSingleMovieRatingInTransaction: newScore=\(update.newScore), oldScore=\(update.oldScore), isNewRating=\(update.isNewRating)")
-        
-        // Use the final recalculated score for community ratings
-        let communityScore = update.newScore
-        print("updateSingleMovieRatingInTransaction: Using final recalculated score for community rating: \(communityScore)")
-        
-        // Validate scores to prevent NaN or infinite values
-        guard !communityScore.isNaN && !communityScore.isInfinite && !update.oldScore.isNaN && !update.oldScore.isInfinite else {
-            print("updateSingleMovieRatingInTransaction: Invalid score values detected, skipping update")
-            return
-        }
-        
-        let ratingsRef = db.collection("ratings").document(communityRatingId)
-        
-        do {
-            let snapshot = try transaction.getDocument(ratingsRef)
-            
-            if snapshot.exists {
-                let currentTotal = snapshot.get("totalScore") as? Double ?? 0.0
-                let currentCount = snapshot.get("numberOfRatings") as? Int ?? 0
-                
-                // Validate existing data
-                guard !currentTotal.isNaN && !currentTotal.isInfinite && currentCount >= 0 else {
-                    print("updateSingleMovieRatingInTransaction: Invalid existing data detected, recreating document")
-                    transaction.setData([
-                        "totalScore": communityScore,
-                        "numberOfRatings": 1,
-                        "averageRating": communityScore,
-                        "lastUpdated": FieldValue.serverTimestamp(),
-                        "title": update.movie.title,
-                        "mediaType": update.movie.mediaType.rawValue,
-                        "tmdbId": update.movie.tmdbId as Any
-                    ], forDocument: ratingsRef)
-                    return
-                }
-                
-                if update.isNewRating {
-                    // New user rating - add to total
-                    let newTotal = currentTotal + communityScore
-                    let newCount = currentCount + 1
-                    let newAverage = newTotal / Double(newCount)
-                    
-                    // Round the average to 1 decimal place to prevent floating-point precision issues
-                    let roundedAverage = (newAverage * 10).rounded() / 10
-                    
-                    print("updateSingleMovieRatingInTransaction: Adding new rating - currentTotal=\(currentTotal), currentCount=\(currentCount)")
-                    print("updateSingleMovieRatingInTransaction: Adding final score=\(communityScore), newTotal=\(newTotal), newCount=\(newCount), newAverage=\(newAverage), roundedAverage=\(roundedAverage)")
-                    
-                    transaction.updateData([
-                        "totalScore": newTotal,
-                        "numberOfRatings": newCount,
-                        "averageRating": roundedAverage,
-                        "lastUpdated": FieldValue.serverTimestamp()
-                    ], forDocument: ratingsRef)
-                } else {
-                    // Update existing user rating - replace old score with new score
-                    let newTotal = currentTotal - update.oldScore + communityScore
-                    let newAverage = newTotal / Double(currentCount)
-                    
-                    // Round the average to 1 decimal place to prevent floating-point precision issues
-                    let roundedAverage = (newAverage * 10).rounded() / 10
-                    
-                    print("updateSingleMovieRatingInTransaction: Updating existing rating - currentTotal=\(currentTotal), currentCount=\(currentCount)")
-                    print("updateSingleMovieRatingInTransaction: oldScore=\(update.oldScore), communityScore=\(communityScore), newTotal=\(newTotal), newAverage=\(newAverage), roundedAverage=\(roundedAverage)")
-                    
-                    // Validate calculated values
-                    guard !newTotal.isNaN && !newTotal.isInfinite && !roundedAverage.isNaN && !roundedAverage.isInfinite else {
-                        print("updateSingleMovieRatingInTransaction: Calculated values are invalid, recreating document")
-                        transaction.setData([
-                            "totalScore": communityScore,
-                            "numberOfRatings": 1,
-                            "averageRating": communityScore,
-                            "lastUpdated": FieldValue.serverTimestamp(),
-                            "title": update.movie.title,
-                            "mediaType": update.movie.mediaType.rawValue,
-                            "tmdbId": update.movie.tmdbId as Any
-                        ], forDocument: ratingsRef)
-                        return
-                    }
-                    
-                    transaction.updateData([
-                        "totalScore": newTotal,
-                        "averageRating": roundedAverage,
-                        "lastUpdated": FieldValue.serverTimestamp()
-                    ], forDocument: ratingsRef)
-                }
-            } else {
-                // Document doesn't exist
-                if update.isNewRating {
-                    // This is a new rating - create the document
-                    print("updateSingleMovieRatingInTransaction: Creating new document with final score=\(communityScore)")
-                    transaction.setData([
-                        "totalScore": communityScore,
-                        "numberOfRatings": 1,
-                        "averageRating": communityScore,
-                        "lastUpdated": FieldValue.serverTimestamp(),
-                        "title": update.movie.title,
-                        "mediaType": update.movie.mediaType.rawValue,
-                        "tmdbId": update.movie.tmdbId as Any
-                    ], forDocument: ratingsRef)
-                } else {
-                    // This is a score update but the document doesn't exist
-                    // This means the user hasn't contributed to the community rating yet
-                    // Skip the update since there's nothing to update
-                    print("updateSingleMovieRatingInTransaction: Document doesn't exist for score update, skipping since user hasn't contributed to community rating yet")
-                }
-            }
-        } catch {
-            print("updateSingleMovieRatingInTransaction: Failed to update movie \(update.movie.title) (\(communityRatingId)): \(error)")
-            // Re-throw the error to fail the entire transaction
-            // Note: We can't throw from within a transaction, so we'll log the error
-        }
-    }
-    
-    private func updateSingleMovieRatingWithMovie(update: (movie: Movie, newScore: Double, oldScore: Double, isNewRating: Bool)) async {
-        // For single updates, we can use a simple transaction since there's no race condition
-        _ = try? await db.runTransaction { (transaction, errorPointer) -> Any? in
-            self.updateSingleMovieRatingInTransaction(
-                transaction: transaction,
-                update: update
-            )
-            return nil
-        }
+        print("batchUpdateRatingsWithMovies: Skipping \(movieUpdates.count) client-side community updates - handled by onRankingWrite")
     }
     
     // Update personal rankings in Firebase
@@ -1353,7 +608,6 @@ extension FirestoreService {
             let data = document.data()
             let username = data["username"] as? String ?? ""
             let email = data["email"] as? String
-            let phoneNumber = data["phoneNumber"] as? String
             let createdAt = data["createdAt"] as? Timestamp
             
             // Don't try to access private movie count - just show the user
@@ -1361,7 +615,6 @@ extension FirestoreService {
                 uid: document.documentID,
                 username: username,
                 email: email,
-                phoneNumber: phoneNumber,
                 movieCount: 0, // We'll get this when viewing their profile
                 createdAt: createdAt?.dateValue()
             )
@@ -1384,7 +637,6 @@ extension FirestoreService {
         let data = document.data() ?? [:]
         let username = data["username"] as? String ?? ""
         let email = data["email"] as? String
-        let phoneNumber = data["phoneNumber"] as? String
         let createdAt = data["createdAt"] as? Timestamp
         
         // Get movie count from user document
@@ -1397,7 +649,6 @@ extension FirestoreService {
             uid: userId,
             username: username,
             email: email,
-            phoneNumber: phoneNumber,
             movieCount: movieCount,
             createdAt: createdAt?.dateValue(),
             topMoviePosterPath: topMoviePosterPath
@@ -1482,7 +733,8 @@ extension FirestoreService {
     
     // MARK: - Following System
     
-    // Follow a user
+    // Follow a user. The followUser Cloud Function writes both sides of the relationship,
+    // updates the follower/following counts and sends the follow notification.
     func followUser(userIdToFollow: String) async throws {
         print("followUser: Starting to follow user \(userIdToFollow)")
         
@@ -1491,73 +743,22 @@ extension FirestoreService {
             throw NSError(domain: "FirestoreService", code: 401, userInfo: [NSLocalizedDescriptionKey: "User not authenticated"])
         }
         
-        let currentUserId = currentUser.uid
-        print("followUser: Current user ID: \(currentUserId)")
-        
-        // Don't allow following yourself
-        guard currentUserId != userIdToFollow else {
-            print("followUser: Cannot follow yourself")
-            throw NSError(domain: "FirestoreService", code: 400, userInfo: [NSLocalizedDescriptionKey: "Cannot follow yourself"])
-        }
-        
-        // Check if already following
-        let followingDoc = try await db.collection("users")
-            .document(currentUserId)
-            .collection("following")
-            .document(userIdToFollow)
-            .getDocument()
-        
-        if followingDoc.exists {
+        do {
+            _ = try await Functions.functions().httpsCallable("followUser").call(["targetUserId": userIdToFollow])
+        } catch let error as NSError where error.domain == FunctionsErrorDomain
+            && FunctionsErrorCode(rawValue: error.code) == .alreadyExists {
             print("followUser: Already following user \(userIdToFollow)")
             return
         }
         
-        // Add to following collection
-        try await db.collection("users")
-            .document(currentUserId)
-            .collection("following")
-            .document(userIdToFollow)
-            .setData([
-                "followedAt": FieldValue.serverTimestamp()
-            ])
-        
-        // Add to followers collection of the followed user
-        try await db.collection("users")
-            .document(userIdToFollow)
-            .collection("followers")
-            .document(currentUserId)
-            .setData([
-                "followedAt": FieldValue.serverTimestamp()
-            ])
-        
         // Clear cache for both users since their following/followers lists changed
-        clearFollowingCache(for: currentUserId)
+        clearFollowingCache(for: currentUser.uid)
         clearFollowingCache(for: userIdToFollow)
         
-        // Create follow activity for the followed user
-        do {
-            // Get the current user's (follower's) username
-            let currentUserDoc = try await db.collection("users").document(currentUserId).getDocument()
-            let currentUsername = currentUserDoc.get("username") as? String ?? "Unknown User"
-            
-            // Create the follow activity
-            try await createFollowActivityUpdate(followedUserId: userIdToFollow, followedUsername: currentUsername)
-            
-            // Send push notification to the followed user
-            print("📱 Sending follow notification to \(userIdToFollow)")
-            await NotificationService.shared.sendFollowNotification(
-                to: userIdToFollow,
-                from: currentUsername
-            )
-        } catch {
-            print("followUser: Error creating follow activity: \(error)")
-            // Don't fail the follow operation if activity creation fails
-        }
-        
         print("followUser: Successfully followed user \(userIdToFollow)")
     }
     
-    // Unfollow a user
+    // Unfollow a user through the unfollowUser Cloud Function
     func unfollowUser(userIdToUnfollow: String) async throws {
         print("unfollowUser: Starting to unfollow user \(userIdToUnfollow)")
         
@@ -1566,30 +767,50 @@ extension FirestoreService {
             throw NSError(domain: "FirestoreService", code: 401, userInfo: [NSLocalizedDescriptionKey: "User not authenticated"])
         }
         
-        let currentUserId = currentUser.uid
-        print("unfollowUser: Current user ID: \(currentUserId)")
-        
-        // Remove from following collection
-        try await db.collection("users")
-            .document(currentUserId)
-            .collection("following")
-            .document(userIdToUnfollow)
-            .delete()
-        
-        // Remove from followers collection of the unfollowed user
-        try await db.collection("users")
-            .document(userIdToUnfollow)
-            .collection("followers")
-            .document(currentUserId)
-            .delete()
+        _ = try await Functions.functions().httpsCallable("unfollowUser").call(["targetUserId": userIdToUnfollow])
         
         // Clear cache for both users since their following/followers lists changed
-        clearFollowingCache(for: currentUserId)
+        clearFollowingCache(for: currentUser.uid)
         clearFollowingCache(for: userIdToUnfollow)
         
         print("unfollowUser: Successfully unfollowed user \(userIdToUnfollow)")
     }
     
+    // Block a user. The blockUser Cloud Function also removes follows in both directions.
+    func blockUser(userIdToBlock: String) async throws {
+        _ = try await Functions.functions().httpsCallable("blockUser").call(["targetUserId": userIdToBlock])
+        
+        if let currentUserId = Auth.auth().currentUser?.uid {
+            clearFollowingCache(for: currentUserId)
+        }
+        clearFollowingCache(for: userIdToBlock)
+    }
+    
+    // Unblock a user
+    func unblockUser(userIdToUnblock: String) async throws {
+        _ = try await Functions.functions().httpsCallable("unblockUser").call(["targetUserId": userIdToUnblock])
+    }
+    
+    // Mute or unmute a user. Muted users' notifications, feed activity and takes are hidden.
+    func muteUser(userIdToMute: String, muted: Bool = true) async throws {
+        _ = try await Functions.functions().httpsCallable("muteUser").call([
+            "targetUserId": userIdToMute,
+            "muted": muted
+        ])
+    }
+    
+    // Get the ids of users the current user has blocked or muted
+    func getHiddenUserIds() async throws -> Set<String> {
+        guard let currentUserId = Auth.auth().currentUser?.uid else { return [] }
+        
+        let userRef = db.collection("users").document(currentUserId)
+        async let blocked = userRef.collection("blocked").getDocuments()
+        async let muted = userRef.collection("muted").getDocuments()
+        
+        let documents = try await blocked.documents + muted.documents
+        return Set(documents.map { $0.documentID })
+    }
+    
     // Get users that the current user follows
     func getFollowing() async throws -> [UserProfile] {
         guard let currentUser = Auth.auth().currentUser else {
@@ -1963,77 +1184,8 @@ extension FirestoreService {
         
         print("addTake: Added take for movie \(movieId) (TMDB: \(tmdbId?.description ?? "nil"))")
         
-        // Create activity update for the comment
-        if let tmdbId = tmdbId {
-            
-            let movieTitle = try await getMovieTitleFromTake(movieId: movieId, tmdbId: tmdbId)
-            
-            // Create a temporary movie object for the activity
-            let tempMovie = Movie(
-                id: UUID(uuidString: movieId) ?? UUID(),
-                title: movieTitle,
-                sentiment: .likedIt, // Default sentiment for activity
-                tmdbId: tmdbId,
-                mediaType: mediaType,
-                score: 5.0 // Default score for activity
-            )
-            
-            try await createActivityUpdate(
-                type: .movieCommented,
-                movie: tempMovie,
-                comment: text
-            )
-            
-            print("addTake: Created activity update for comment on \(movieTitle)")
-            
-            // Send push notifications for movie comments
-            print("📱 Checking for followers who have rated the movie: \(movieTitle)")
-            await NotificationService.shared.checkAndNotifyFollowersForMovieComment(
-                movieTitle: movieTitle,
-                comment: text,
-                tmdbId: tmdbId
-            )
-        }
-    }
-    
-    // Helper function to get movie title from a take
-    private func getMovieTitleFromTake(movieId: String, tmdbId: Int) async throws -> String {
-        // First try to get title from existing takes
-        let takeCollectionId = tmdbId.description
-        let existingTakesSnapshot = try await db.collection("takes")
-            .document(takeCollectionId)
-            .collection("userTakes")
-            .limit(to: 1)
-            .getDocuments()
-        
-        if let firstTake = existingTakesSnapshot.documents.first {
-            // Try to get title from movie data in the take or user rankings
-            if let userId = firstTake.get("userId") as? String,
-               let movieId = firstTake.get("movieId") as? String {
-                
-                let userMovieDoc = try await db.collection("users")
-                    .document(userId)
-                    .collection("rankings")
-                    .document(movieId)
-                    .getDocument()
-                
-                if let title = userMovieDoc.get("title") as? String {
-                    return title
-                }
-            }
-        }
-        
-        // Fallback: check in global ratings
-        let globalRatingDoc = try await db.collection("ratings")
-            .document(tmdbId.description)
-            .getDocument()
-        
-        if let title = globalRatingDoc.get("title") as? String {
-            return title
-        }
-        
-        // Final fallback
-        return "Unknown Movie"
+        // The moderateTake Cloud Function checks the take, then creates its activity and
+        // notifies followers once it's published
     }
     
     // Get takes for a movie (from users you follow and current user)
@@ -2060,9 +1212,13 @@ extension FirestoreService {
         let currentUserTakes = try await getTakesForUser(userId: currentUser.uid, tmdbId: tmdbId)
         allTakes.append(contentsOf: currentUserTakes)
         
-        // Get takes from users you follow for this movie
+        // Get takes from users you follow for this movie, skipping anyone you've muted
+        let hiddenUserIds = try await getHiddenUserIds()
         for followingDoc in followingSnapshot.documents {
             let followedUserId = followingDoc.documentID
+            if hiddenUserIds.contains(followedUserId) {
+                continue
+            }
             let followedUserTakes = try await getTakesForUser(userId: followedUserId, tmdbId: tmdbId)
             allTakes.append(contentsOf: followedUserTakes)
         }
@@ -2079,10 +1235,15 @@ extension FirestoreService {
             return []
         }
         
-        let snapshot = try await db.collection("takes")
+        // Other users' takes are only readable once published, so the query has to say so
+        var query: Query = db.collection("takes")
             .document(takeCollectionId)
             .collection("userTakes")
             .whereField("userId", isEqualTo: userId)
+        if userId != Auth.auth().currentUser?.uid {
+            query = query.whereField("status", isEqualTo: "published")
+        }
+        let snapshot = try await query
             .order(by: "timestamp", descending: true)
             .getDocuments()
         
@@ -2100,6 +1261,12 @@ extension FirestoreService {
                 return nil
             }
             
+            // Takes rejected by moderation or hidden after reports are only shown to their author
+            let status = data["status"] as? String
+            if (status == "rejected" || status == "hidden") && userId != Auth.auth().currentUser?.uid {
+                return nil
+            }
+            
             let tmdbId = data["tmdbId"] as? Int
             
             return Take(
@@ -2115,6 +1282,21 @@ extension FirestoreService {
         }
     }
     
+    // Report another user's take for review
+    func reportTake(takeId: String, tmdbId: Int?, reason: String? = nil) async throws {
+        guard let takeCollectionId = tmdbId?.description else {
+            throw NSError(domain: "FirestoreService", code: 400, userInfo: [NSLocalizedDescriptionKey: "No TMDB ID available"])
+        }
+        
+        var data: [String: Any] = ["movieId": takeCollectionId, "takeId": takeId]
+        if let reason = reason {
+            data["reason"] = reason
+        }
+        
+        _ = try await Functions.functions().httpsCallable("reportTake").call(data)
+        print("reportTake: Reported take \(takeId)")
+    }
+    
     // Delete a take (only the take author can delete)
     func deleteTake(takeId: String, tmdbId: Int?) async throws {
         guard let currentUser = Auth.auth().currentUser else {
@@ -2181,23 +1363,8 @@ extension FirestoreService {
         for friendDoc in friendsSnapshot.documents {
             let friendUserId = friendDoc.documentID
             
-            // Add to following collection
-            try await db.collection("users")
-                .document(currentUserId)
-                .collection("following")
-                .document(friendUserId)
-                .setData([
-                    "followedAt": FieldValue.serverTimestamp()
-                ])
-            
-            // Add to followers collection of the friend
-            try await db.collection("users")
-                .document(friendUserId)
-                .collection("followers")
-                .document(currentUserId)
-                .setData([
-                    "followedAt": FieldValue.serverTimestamp()
-                ])
+            // Follow through the Cloud Function so both sides and the counts are written
+            try await followUser(userIdToFollow: friendUserId)
             
             print("migrateFriendsToFollowing: Migrated friend \(friendUserId) to following relationship")
         }
@@ -2267,92 +1434,8 @@ extension FirestoreService {
 extension FirestoreService {
     // MARK: - Account Deletion Recovery
     
-    /// Recalculate all global averages from actual user data to fix issues from manually deleted accounts
-    func recalculateAllGlobalAveragesFromUserData() async throws {
-        print("recalculateAllGlobalAveragesFromUserData: Starting complete recalculation from user data")
-        
-        // 1. Get all users
-        let usersSnapshot = try await db.collection("users").getDocuments()
-        print("recalculateAllGlobalAveragesFromUserData: Found \(usersSnapshot.documents.count) users")
-        
-        // 2. Collect all user ratings by TMDB ID
-        var tmdbRatings: [Int: [Double]] = [:]
-        var tmdbTitles: [Int: String] = [:]
-        var tmdbMediaTypes: [Int: AppModels.MediaType] = [:]
-        
-        for userDoc in usersSnapshot.documents {
-            let userId = userDoc.documentID
-            
-            // Get all rankings for this user
-            let rankingsSnapshot = try await db.collection("users")
-                .document(userId)
-                .collection("rankings")
-                .whereField("ratingState", in: [MovieRatingState.finalInsertion.rawValue, MovieRatingState.scoreUpdate.rawValue])
-                .getDocuments()
-            
-            for rankingDoc in rankingsSnapshot.documents {
-                let data = rankingDoc.data()
-                
-                if let tmdbId = data["tmdbId"] as? Int,
-                   let score = data["score"] as? Double,
-                   let title = data["title"] as? String,
-                   let mediaTypeString = data["mediaType"] as? String {
-                    
-                    let mediaType: AppModels.MediaType = mediaTypeString.lowercased().contains("tv") ? .tv : .movie
-                    
-                    if tmdbRatings[tmdbId] == nil {
-                        tmdbRatings[tmdbId] = []
-                        tmdbTitles[tmdbId] = title
-                        tmdbMediaTypes[tmdbId] = mediaType
-                    }
-                    
-                    tmdbRatings[tmdbId]?.append(score)
-                }
-            }
-        }
-        
-        print("recalculateAllGlobalAveragesFromUserData: Collected ratings for \(tmdbRatings.count) unique TMDB IDs")
-        
-        // 3. Delete all existing global ratings
-        let existingRatingsSnapshot = try await db.collection("ratings").getDocuments()
-        for doc in existingRatingsSnapshot.documents {
-            try await doc.reference.delete()
-        }
-        print("recalculateAllGlobalAveragesFromUserData: Deleted \(existingRatingsSnapshot.documents.count) existing global ratings")
-        
-        // 4. Recreate global ratings from actual user data
-        var recreatedCount = 0
-        
-        for (tmdbId, scores) in tmdbRatings {
-            guard let title = tmdbTitles[tmdbId],
-                  let mediaType = tmdbMediaTypes[tmdbId] else { continue }
-            
-            let totalScore = scores.reduce(0, +)
-            let numberOfRatings = scores.count
-            let averageRating = totalScore / Double(numberOfRatings)
-            
-            // Round to 1 decimal place
-            let roundedAverage = (averageRating * 10).rounded() / 10
-            let roundedTotal = (totalScore * 10).rounded() / 10
-            
-            let ratingsRef = db.collection("ratings").document(tmdbId.description)
-            
-            try await ratingsRef.setData([
-                "totalScore": roundedTotal,
-                "numberOfRatings": numberOfRatings,
-                "averageRating": roundedAverage,
-                "lastUpdated": FieldValue.serverTimestamp(),
-                "title": title,
-                "mediaType": mediaType.rawValue,
-                "tmdbId": tmdbId
-            ])
-            
-            
-            recreatedCount += 1
-        }
-        
-        print("recalculateAllGlobalAveragesFromUserData: Recreated \(recreatedCount) global ratings from actual user data")
-    }
+    // Global ratings can only be written by Cloud Functions; admins rebuild them from users'
+    // rankings with the recalculateGlobalRatings callable
     
     /// Get statistics about the current global ratings state
     func getGlobalRatingsStatistics() async throws -> (totalRatings: Int, totalMovies: Int, averageScore: Double) {
@@ -2469,173 +1552,35 @@ extension FirestoreService {
 extension FirestoreService {
     // MARK: - Activity Updates
     
-    func createActivityUpdate(type: ActivityUpdate.ActivityType, movie: Movie, comment: String? = nil) async throws {
-        guard let currentUserId = Auth.auth().currentUser?.uid else { return }
-        
-        // Block movieUpdated activities at the source - they should not be created anymore
-        if type == .movieUpdated {
-            print("BLOCKED: Attempted to create movieUpdated activity for '\(movie.title)' - this activity type is deprecated")
-            return
-        }
-        
-        // Get current user's username
-        let userDoc = try await db.collection("users").document(currentUserId).getDocument()
-        let username = userDoc.get("username") as? String ?? "Unknown User"
-        
-        let activityId = UUID().uuidString
-        let activityData: [String: Any] = [
-            "id": activityId,
-            "userId": currentUserId,
-            "username": username,
-            "type": type.rawValue,
-            "movieTitle": movie.title,
-            "movieId": movie.id.uuidString,
-            "tmdbId": movie.tmdbId as Any,
-            "mediaType": movie.mediaType.rawValue,
-            "score": movie.score,
-            "sentiment": movie.sentiment.rawValue,
-            "comment": comment as Any,
-            "timestamp": FieldValue.serverTimestamp()
-        ]
-        
-        try await db.collection("activities").document(activityId).setData(activityData)
-        print("Created activity update: \(type.rawValue) for \(movie.title)")
-        
-        // Send push notifications only for NEW movie ratings, not updates
-        if type == .movieRanked && movie.tmdbId != nil {
-            print("📱 DEBUG: Sending notification for NEW movie rating")
-            print("📱 DEBUG: Movie: \(movie.title)")
-            print("📱 DEBUG: Score: \(movie.score)")
-            print("📱 DEBUG: TMDB ID: \(movie.tmdbId!)")
-            print("📱 DEBUG: Activity Type: \(type.rawValue)")
-            print("📱 DEBUG: ---")
-            
-            await NotificationService.shared.checkAndNotifyFollowersForMovie(
-                movieTitle: movie.title,
-                score: movie.score,
-                tmdbId: movie.tmdbId!
-            )
-        } else {
-            print("📱 DEBUG: NOT sending notification")
-            print("📱 DEBUG: Movie: \(movie.title)")
-            print("📱 DEBUG: Activity Type: \(type.rawValue)")
-            print("📱 DEBUG: Has TMDB ID: \(movie.tmdbId != nil)")
-            print("📱 DEBUG: ---")
-        }
-    }
-    
-    func createFollowActivityUpdate(followedUserId: String, followedUsername: String) async throws {
-        guard let currentUserId = Auth.auth().currentUser?.uid else { return }
+    // Activity records are created by Cloud Functions from rankings, takes and follows.
+    // The app only triggers push notifications for a new ranking.
+    func notifyFollowersOfNewRanking(movie: Movie) async {
+        guard let tmdbId = movie.tmdbId else { return }
         
-        // Get current user's username
-        let userDoc = try await db.collection("users").document(currentUserId).getDocument()
-        let username = userDoc.get("username") as? String ?? "Unknown User"
-        
-        let activityId = UUID().uuidString
-        let activityData: [String: Any] = [
-            "id": activityId,
-            "userId": currentUserId,
-            "username": username,
-            "type": ActivityUpdate.ActivityType.userFollowed.rawValue,
-            "movieTitle": followedUsername, // Use the followed user's name as the "movie title"
-            "movieId": followedUserId,
-            "tmdbId": NSNull(),
-            "mediaType": AppModels.MediaType.movie.rawValue, // Default value for follow activities
-            "score": NSNull(),
-            "sentiment": NSNull(),
-            "comment": NSNull(),
-            "timestamp": FieldValue.serverTimestamp()
-        ]
-        
-        // Create the activity in the global activities collection
-        try await db.collection("activities").document(activityId).setData(activityData)
-        print("Created follow activity update: \(username) followed \(followedUsername)")
+        await NotificationService.shared.checkAndNotifyFollowersForMovie(
+            movieTitle: movie.title,
+            score: movie.score,
+            tmdbId: tmdbId
+        )
     }
     
-    func getFriendActivities(limit: Int = 200) async throws -> [ActivityUpdate] {
+    // Get a page of the current user's feed (users/{uid}/feed), newest first.
+    // Pass the timestamp of the last activity already shown to load the next page.
+    func getFriendActivities(limit: Int = 200, before: Date? = nil) async throws -> [ActivityUpdate] {
         guard let currentUserId = Auth.auth().currentUser?.uid else { return [] }
         
-        // Get list of users we're following
-        let followingSnapshot = try await db.collection("users")
+        var query = db.collection("users")
             .document(currentUserId)
-            .collection("following")
-            .getDocuments()
-        
-        let followingIds = followingSnapshot.documents.map { $0.documentID }
-        
-        guard !followingIds.isEmpty else {
-            print("No friends found to get activities from")
-            return []
-        }
-        
-        print("FirestoreService: Getting activities from \(followingIds.count) friends")
-        
-        // Get recent activities from friends (Firestore 'in' query supports up to 10 items)
-        let batchSize = 10
-        var allActivities: [ActivityUpdate] = []
+            .collection("feed")
+            .order(by: "timestamp", descending: true)
         
-        for i in stride(from: 0, to: followingIds.count, by: batchSize) {
-            let endIndex = min(i + batchSize, followingIds.count)
-            let batch = Array(followingIds[i..<endIndex])
-            
-            let snapshot = try await db.collection("activities")
-                .whereField("userId", in: batch)
-                .order(by: "timestamp", descending: true)
-                .getDocuments() // Removed limit from individual batches
-            
-            let batchActivities = snapshot.documents.compactMap { doc -> ActivityUpdate? in
-                let data = doc.data()
-                
-                guard let id = data["id"] as? String,
-                      let userId = data["userId"] as? String,
-                      let username = data["username"] as? String,
-                      let typeString = data["type"] as? String,
-                      let type = ActivityUpdate.ActivityType(rawValue: typeString),
-                      let movieTitle = data["movieTitle"] as? String,
-                      let movieId = data["movieId"] as? String,
-                      let timestamp = (data["timestamp"] as? Timestamp)?.dateValue() else {
-                    return nil
-                }
-                
-                let tmdbId = data["tmdbId"] as? Int
-                let mediaTypeString = data["mediaType"] as? String
-                let mediaType = mediaTypeString.flatMap { AppModels.MediaType(rawValue: $0) } ?? .movie
-                let score = data["score"] as? Double
-                let sentimentString = data["sentiment"] as? String
-                let sentiment = sentimentString.flatMap { MovieSentiment(rawValue: $0) }
-                let comment = data["comment"] as? String
-                
-                return ActivityUpdate(
-                    id: id,
-                    userId: userId,
-                    username: username,
-                    type: type,
-                    movieTitle: movieTitle,
-                    movieId: movieId,
-                    tmdbId: tmdbId,
-                    mediaType: mediaType,
-                    score: score,
-                    sentiment: sentiment,
-                    comment: comment,
-                    timestamp: timestamp
-                )
-            }
-            
-            allActivities.append(contentsOf: batchActivities)
-            print("FirestoreService: Batch \(i/batchSize + 1) returned \(batchActivities.count) activities")
+        if let before = before {
+            query = query.start(after: [Timestamp(date: before)])
         }
         
-        // Also get follow activities where the current user is mentioned
-        let followActivitiesSnapshot = try await db.collection("activities")
-            .whereField("type", isEqualTo: ActivityUpdate.ActivityType.userFollowed.rawValue)
-            .whereField("movieId", isEqualTo: currentUserId) // movieId contains the followed user's ID
-            .order(by: "timestamp", descending: true)
-            .limit(to: limit)
-            .getDocuments()
-        
-        print("FirestoreService: Found \(followActivitiesSnapshot.documents.count) follow activities for user \(currentUserId)")
+        let snapshot = try await query.limit(to: limit).getDocuments()
         
-        let followActivities = followActivitiesSnapshot.documents.compactMap { doc -> ActivityUpdate? in
+        let activities = snapshot.documents.compactMap { doc -> ActivityUpdate? in
             let data = doc.data()
             
             guard let id = data["id"] as? String,
@@ -2646,58 +1591,18 @@ extension FirestoreService {
                   let movieTitle = data["movieTitle"] as? String,
                   let movieId = data["movieId"] as? String,
                   let timestamp = (data["timestamp"] as? Timestamp)?.dateValue() else {
-                print("FirestoreService: Failed to parse follow activity data: \(data)")
+                print("FirestoreService: Failed to parse feed activity data: \(data)")
                 return nil
             }
             
-            // Handle NSNull values properly
-            let tmdbId: Int?
-            if let tmdbIdValue = data["tmdbId"] {
-                if tmdbIdValue is NSNull {
-                    tmdbId = nil
-                } else {
-                    tmdbId = tmdbIdValue as? Int
-                }
-            } else {
-                tmdbId = nil
-            }
-            
+            // Null fields come back as NSNull, which the casts below turn into nil
+            let tmdbId = data["tmdbId"] as? Int
             let mediaTypeString = data["mediaType"] as? String
             let mediaType = mediaTypeString.flatMap { AppModels.MediaType(rawValue: $0) } ?? .movie
-            
-            let score: Double?
-            if let scoreValue = data["score"] {
-                if scoreValue is NSNull {
-                    score = nil
-                } else {
-                    score = scoreValue as? Double
-                }
-            } else {
-                score = nil
-            }
-            
-            let sentiment: MovieSentiment?
-            if let sentimentValue = data["sentiment"] {
-                if sentimentValue is NSNull {
-                    sentiment = nil
-                } else {
-                    let sentimentString = sentimentValue as? String
-                    sentiment = sentimentString.flatMap { MovieSentiment(rawValue: $0) }
-                }
-            } else {
-                sentiment = nil
-            }
-            
-            let comment: String?
-            if let commentValue = data["comment"] {
-                if commentValue is NSNull {
-                    comment = nil
-                } else {
-                    comment = commentValue as? String
-                }
-            } else {
-                comment = nil
-            }
+            let score = data["score"] as? Double
+            let sentimentString = data["sentiment"] as? String
+            let sentiment = sentimentString.flatMap { MovieSentiment(rawValue: $0) }
+            let comment = data["comment"] as? String
             
             return ActivityUpdate(
                 id: id,
@@ -2715,46 +1620,8 @@ extension FirestoreService {
             )
         }
         
-        // Combine and sort all activities by timestamp
-        allActivities.append(contentsOf: followActivities)
-        allActivities.sort { $0.timestamp > $1.timestamp }
-        
-        print("FirestoreService: Combined \(allActivities.count) activities before deduplication")
-        
-        // Log activity type distribution before deduplication
-        let typeCountsBefore = Dictionary(grouping: allActivities, by: { $0.type })
-            .mapValues { $0.count }
-        print("FirestoreService: Activity types before deduplication: \(typeCountsBefore)")
-        
-        // Deduplicate follow notifications - keep only the most recent follow from each user
-        var deduplicatedActivities: [ActivityUpdate] = []
-        var seenFollowUsers: Set<String> = []
-        
-        for activity in allActivities {
-            if activity.type == .userFollowed {
-                // For follow notifications, only keep the most recent one from each user
-                if !seenFollowUsers.contains(activity.userId) {
-                    deduplicatedActivities.append(activity)
-                    seenFollowUsers.insert(activity.userId)
-                }
-            } else {
-                // For non-follow activities, keep all of them
-                deduplicatedActivities.append(activity)
-            }
-        }
-        
-        // Log activity type distribution after deduplication
-        let typeCountsAfter = Dictionary(grouping: deduplicatedActivities, by: { $0.type })
-            .mapValues { $0.count }
-        print("FirestoreService: Activity types after deduplication: \(typeCountsAfter)")
-        
-        print("FirestoreService: Returning \(deduplicatedActivities.count) total activities (deduplicated from \(allActivities.count) total)")
-        
-        // Filter out movieUpdated activities before applying limit
-        let filteredActivities = deduplicatedActivities.filter { $0.type != .movieUpdated }
-        print("FirestoreService: After filtering out movieUpdated: \(filteredActivities.count) activities")
-        
-        return Array(filteredActivities.prefix(limit))
+        print("FirestoreService: Loaded \(activities.count) feed activities for user \(currentUserId)")
+        return activities
     }
     
     // Get community rating for a specific movie
@@ -2775,169 +1642,6 @@ extension FirestoreService {
         return nil
     }
     
-    // Get all users for contacts matching (simplified approach)
-    func getAllUsers() async throws -> [UserProfile] {
-        print("FirestoreService: Getting all users for contacts matching")
-        
-        let snapshot = try await db.collection("users").getDocuments()
-        
-        let users = snapshot.documents.compactMap { document -> UserProfile? in
-            let data = document.data()
-            
-            guard let username = data["username"] as? String else {
-                return nil
-            }
-            
-            let phoneNumber = data["phoneNumber"] as? String
-            let movieCount = data["movieCount"] as? Int ?? 0
-            
-            print("FirestoreService: Found user '\(username)' with phone: \(phoneNumber ?? "nil")")
-            
-            return UserProfile(
-                uid: document.documentID,
-                username: username,
-                phoneNumber: phoneNumber,
-                movieCount: movieCount
-            )
-        }
-        
-        print("FirestoreService: Total users found: \(users.count)")
-        return users
-    }
-    
-    // Find user by phone number (for contacts matching)
-    func findUserByPhoneNumber(_ phoneNumber: String) async throws -> UserProfile? {
-        let cleanPhone = cleanPhoneNumber(phoneNumber)
-        
-        let snapshot = try await db.collection("users")
-            .whereField("phoneNumber", isEqualTo: cleanPhone)
-            .limit(to: 1)
-            .getDocuments()
-        
-        guard let document = snapshot.documents.first else {
-            return nil
-        }
-        
-        let data = document.data()
-        guard let username = data["username"] as? String else {
-            return nil
-        }
-        
-        return UserProfile(
-            uid: document.documentID,
-            username: username,
-            phoneNumber: data["phoneNumber"] as? String,
-            movieCount: data["movieCount"] as? Int ?? 0
-        )
-    }
-    
-    // Update user profile with phone number
-    func updateUserPhoneNumber(_ phoneNumber: String) async throws {
-        guard let currentUser = Auth.auth().currentUser else {
-            throw NSError(domain: "FirestoreService", code: 401, userInfo: [NSLocalizedDescriptionKey: "User not authenticated"])
-        }
-        
-        let cleanPhone = cleanPhoneNumber(phoneNumber)
-        
-        try await db.collection("users").document(currentUser.uid).updateData([
-            "phoneNumber": cleanPhone
-        ])
-    }
-    
-    // Batch find users by phone numbers (for efficiency)
-    func findUsersByPhoneNumbers(_ phoneNumbers: [String]) async throws -> [UserProfile] {
-        let cleanPhones = phoneNumbers.map { cleanPhoneNumber($0) }
-        
-        print("FirestoreService: Searching for users with phone numbers: \(cleanPhones)")
-        
-        // Also create versions with +1 prefix for numbers that don't have it
-        var allSearchPhones: [String] = []
-        for phone in cleanPhones {
-            allSearchPhones.append(phone)
-            // If it's a 10-digit number without +1, also search for the +1 version
-            if phone.count == 10 && !phone.hasPrefix("+") {
-                allSearchPhones.append("+1" + phone)
-                print("FirestoreService: Also searching for +1 version: +1\(phone)")
-            }
-        }
-        
-        print("FirestoreService: Total search phone numbers (including +1 variants): \(allSearchPhones)")
-        
-        // Firestore has a limit of 10 items in 'in' queries, so we need to batch
-        let batchSize = 10
-        var allUsers: [UserProfile] = []
-        
-        for i in stride(from: 0, to: allSearchPhones.count, by: batchSize) {
-            let batch = Array(allSearchPhones[i..<min(i + batchSize, allSearchPhones.count)])
-            print("FirestoreService: Searching batch \(i/batchSize + 1): \(batch)")
-            
-            let snapshot = try await db.collection("users")
-                .whereField("phoneNumber", in: batch)
-                .getDocuments()
-            
-            print("FirestoreService: Found \(snapshot.documents.count) users in this batch")
-            
-            let batchUsers = snapshot.documents.compactMap { document -> UserProfile? in
-                let data = document.data()
-                guard let username = data["username"] as? String else {
-                    return nil
-                }
-                
-                // Include phone number in the UserProfile for matching
-                let phoneNumber = data["phoneNumber"] as? String
-                print("FirestoreService: Found user '\(username)' with phone: \(phoneNumber ?? "nil")")
-                
-                return UserProfile(
-                    uid: document.documentID,
-                    username: username,
-                    phoneNumber: phoneNumber,
-                    movieCount: data["movieCount"] as? Int ?? 0
-                )
-            }
-            
-            allUsers.append(contentsOf: batchUsers)
-        }
-        
-        print("FirestoreService: Total users found: \(allUsers.count)")
-        return allUsers
-    }
-    
-    // Helper function to clean phone numbers
-    private func cleanPhoneNumber(_ phone: String) -> String {
-        // Remove all non-digit characters except the + sign
-        let cleaned = phone.replacingOccurrences(of: " ", with: "")
-            .replacingOccurrences(of: "(", with: "")
-            .replacingOccurrences(of: ")", with: "")
-            .replacingOccurrences(of: "-", with: "")
-        
-        print("FirestoreService: Cleaning phone number '\(phone)' -> cleaned: '\(cleaned)'")
-        
-        // If it starts with +1 and has 12 characters (e.g., +19543743775), remove the +1
-        if cleaned.hasPrefix("+1") && cleaned.count == 12 {
-            let result = String(cleaned.dropFirst(2)) // Remove +1
-            print("FirestoreService: Removed +1 prefix -> '\(result)'")
-            return result
-        }
-        
-        // If it starts with 1 and has 11 digits, remove the 1 (US numbers)
-        if cleaned.hasPrefix("1") && cleaned.count == 11 {
-            let result = String(cleaned.dropFirst())
-            print("FirestoreService: Removed leading 1 -> '\(result)'")
-            return result
-        }
-        
-        // If it's a 10-digit number, return as is
-        if cleaned.count == 10 {
-            print("FirestoreService: 10-digit number -> '\(cleaned)'")
-            return cleaned
-        }
-        
-        // If it's a 7-digit number, we might need to add area code
-        // For now, return as is and let the caller handle area code logic
-        print("FirestoreService: Other length (\(cleaned.count) characters) -> '\(cleaned)'")
-        return cleaned
-    }
-    
     // Check if a user exists by email (for contacts matching)
     func findUserByEmail(_ email: String) async throws -> UserProfile? {
         // This would require storing email in user profiles
@@ -3299,372 +2003,31 @@ extension FirestoreService {
     // MARK: - Account Deletion for Legal Compliance
     
     /// Comprehensive account deletion function for legal compliance
-    /// This function removes ALL user data while maintaining community score integrity
+    /// The deleteUserAccount Cloud Function removes ALL user data server-side while maintaining community score integrity
     func deleteAccountForLegalReasons(userId: String, reason: String = "Legal compliance request") async throws {
         print("🗑️ ACCOUNT DELETION: Starting comprehensive account deletion for user: \(userId)")
         print("🗑️ ACCOUNT DELETION: Reason: \(reason)")
         
-        // Step 1: Get all user data before deletion for community score adjustments
-        let userData = try await getUserDataForDeletion(userId: userId)
-        
-        // Step 2: Create audit trail
-        try await createAccountDeletionAuditTrail(userId: userId, reason: reason, userData: userData)
-        
-        // Step 3: Update community ratings by removing user's contributions
-        try await updateCommunityRatingsAfterUserDeletion(userData: userData)
-        
-        // Step 4: Remove user from all other users' following/friends lists
-        try await removeUserFromOtherUsersLists(userId: userId)
-        
-        // Step 5: Delete all user's personal data
-        try await deleteAllUserPersonalData(userId: userId)
-        
-        // Step 6: Delete user's takes/comments
-        try await deleteUserTakes(userData: userData)
-        
-        // Step 7: Delete user's activities
-        try await deleteUserActivities(userId: userId)
-        
-        // Step 8: Delete Firebase Auth user
-        try await deleteFirebaseAuthUser(userId: userId)
-        
-        print("✅ ACCOUNT DELETION: Successfully completed account deletion for user: \(userId)")
-    }
-    
-    /// Get comprehensive user data before deletion for community score adjustments
-    private func getUserDataForDeletion(userId: String) async throws -> UserDeletionData {
-        print("📊 ACCOUNT DELETION: Collecting user data for deletion")
-        
-        // Get user's rankings
-        let rankingsSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("rankings")
-            .getDocuments()
-        
-        var rankings: [(tmdbId: Int?, score: Double, movieTitle: String)] = []
-        for document in rankingsSnapshot.documents {
-            let data = document.data()
-            let tmdbId = data["tmdbId"] as? Int
-            let score = data["score"] as? Double ?? 0.0
-            let title = data["title"] as? String ?? "Unknown"
-            rankings.append((tmdbId: tmdbId, score: score, movieTitle: title))
-        }
-        
-        // Get user's takes
-        let takesSnapshot = try await db.collection("takes")
-            .whereField("userId", isEqualTo: userId)
-            .getDocuments()
-        
-        var takes: [String] = []
-        for document in takesSnapshot.documents {
-            takes.append(document.documentID)
-        }
-        
-        // Get user's activities
-        let activitiesSnapshot = try await db.collection("activities")
-            .whereField("userId", isEqualTo: userId)
-            .getDocuments()
-        
-        var activities: [String] = []
-        for document in activitiesSnapshot.documents {
-            activities.append(document.documentID)
-        }
-        
-        print("📊 ACCOUNT DELETION: Found \(rankings.count) rankings, \(takes.count) takes, \(activities.count) activities")
-        
-        return UserDeletionData(
-            userId: userId,
-            rankings: rankings,
-            takes: takes,
-            activities: activities
-        )
-    }
-    
-    /// Create audit trail for account deletion
-    private func createAccountDeletionAuditTrail(userId: String, reason: String, userData: UserDeletionData) async throws {
-        print("📝 ACCOUNT DELETION: Creating audit trail")
-        
-        let auditData: [String: Any] = [
-            "userId": userId,
-            "deletionReason": reason,
-            "deletionTimestamp": FieldValue.serverTimestamp(),
-            "rankingsCount": userData.rankings.count,
-            "takesCount": userData.takes.count,
-            "activitiesCount": userData.activities.count,
-            "legalCompliance": true,
-            "dataRetentionPolicy": "Complete deletion as per legal request"
-        ]
-        
-        do {
-            try await db.collection("accountDeletions").document(userId).setData(auditData)
-            print("📝 ACCOUNT DELETION: Audit trail created")
-        } catch {
-            print("⚠️ ACCOUNT DELETION: Failed to create audit trail: \(error)")
-            print("⚠️ ACCOUNT DELETION: This is likely due to Firestore security rules")
-            print("⚠️ ACCOUNT DELETION: Continuing with deletion process...")
-            // Don't throw - continue with the deletion even if audit trail fails
-        }
-    }
-    
-    /// Update community ratings by removing user's contributions
-    private func updateCommunityRatingsAfterUserDeletion(userData: UserDeletionData) async throws {
-        print("🔄 ACCOUNT DELETION: Updating community ratings after user deletion")
+        let deleteUserFunction = Functions.functions().httpsCallable("deleteUserAccount")
         
-        for ranking in userData.rankings {
-            guard let tmdbId = ranking.tmdbId else { continue }
-            
-            let ratingsRef = db.collection("ratings").document(tmdbId.description)
-            let snapshot = try await ratingsRef.getDocument()
-            
-            if snapshot.exists {
-                let currentTotal = snapshot.get("totalScore") as? Double ?? 0.0
-                let currentCount = snapshot.get("numberOfRatings") as? Int ?? 0
-                
-                let newTotal = currentTotal - ranking.score
-                let newCount = max(0, currentCount - 1)
-                
-                print("🔄 ACCOUNT DELETION: Updating rating for TMDB ID \(tmdbId) - removing score: \(ranking.score)")
-                print("🔄 ACCOUNT DELETION: Old total: \(currentTotal), new total: \(newTotal)")
-                print("🔄 ACCOUNT DELETION: Old count: \(currentCount), new count: \(newCount)")
+        // The Cloud Function records each completed step, so a retry after a timeout resumes where it stopped
+        var lastError: Error?
+        for attempt in 1...2 {
+            do {
+                let result = try await deleteUserFunction.call(["reason": reason])
                 
-                if newCount > 0 {
-                    let newAverage = newTotal / Double(newCount)
-                    let roundedAverage = (newAverage * 10).rounded() / 10
-                    
-                    try await ratingsRef.updateData([
-                        "totalScore": newTotal,
-                        "numberOfRatings": newCount,
-                        "averageRating": roundedAverage,
-                        "lastUpdated": FieldValue.serverTimestamp()
-                    ])
-                } else {
-                    // No more ratings, delete the document
-                    try await ratingsRef.delete()
-                    print("🔄 ACCOUNT DELETION: Deleted community rating document for TMDB ID \(tmdbId) - no more ratings")
+                if let data = result.data as? [String: Any],
+                   let success = data["success"] as? Bool, success {
+                    print("✅ ACCOUNT DELETION: Successfully completed account deletion for user: \(userId)")
+                    return
                 }
-            }
-        }
-        
-        print("✅ ACCOUNT DELETION: Community ratings updated successfully")
-    }
-    
-    /// Remove user from all other users' following/friends lists
-    private func removeUserFromOtherUsersLists(userId: String) async throws {
-        print("👥 ACCOUNT DELETION: Removing user from other users' lists")
-        
-        var removedFromFollowing = 0
-        var removedFromFollowers = 0
-        var removedFromFriends = 0
-        var permissionErrors = 0
-        
-        // Get all users who follow this user
-        let followersSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("followers")
-            .getDocuments()
-        
-        // Remove this user from each follower's following list
-        for followerDoc in followersSnapshot.documents {
-            let followerId = followerDoc.documentID
-            do {
-                try await db.collection("users")
-                    .document(followerId)
-                    .collection("following")
-                    .document(userId)
-                    .delete()
-                removedFromFollowing += 1
-                print("👥 ACCOUNT DELETION: Removed user from \(followerId)'s following list")
-            } catch {
-                permissionErrors += 1
-                print("⚠️ ACCOUNT DELETION: Permission denied removing from \(followerId)'s following list: \(error)")
-            }
-        }
-        
-        // Get all users this user follows
-        let followingSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("following")
-            .getDocuments()
-        
-        // Remove this user from each followed user's followers list
-        for followingDoc in followingSnapshot.documents {
-            let followedId = followingDoc.documentID
-            do {
-                try await db.collection("users")
-                    .document(followedId)
-                    .collection("followers")
-                    .document(userId)
-                    .delete()
-                removedFromFollowers += 1
-                print("👥 ACCOUNT DELETION: Removed user from \(followedId)'s followers list")
-            } catch {
-                permissionErrors += 1
-                print("⚠️ ACCOUNT DELETION: Permission denied removing from \(followedId)'s followers list: \(error)")
-            }
-        }
-        
-        // Get all users who have this user as a friend
-        let friendsSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("friends")
-            .getDocuments()
-        
-        // Remove this user from each friend's friends list
-        for friendDoc in friendsSnapshot.documents {
-            let friendId = friendDoc.documentID
-            do {
-                try await db.collection("users")
-                    .document(friendId)
-                    .collection("friends")
-                    .document(userId)
-                    .delete()
-                removedFromFriends += 1
-                print("👥 ACCOUNT DELETION: Removed user from \(friendId)'s friends list")
+                print("⚠️ ACCOUNT DELETION: Cloud Function returned unexpected result on attempt \(attempt)")
             } catch {
-                permissionErrors += 1
-                print("⚠️ ACCOUNT DELETION: Permission denied removing from \(friendId)'s friends list: \(error)")
+                lastError = error
+                print("⚠️ ACCOUNT DELETION: Cloud Function failed on attempt \(attempt): \(error)")
             }
         }
         
-        print("✅ ACCOUNT DELETION: Removed user from \(removedFromFollowing) following lists, \(removedFromFollowers) followers lists, \(removedFromFriends) friends lists")
-        if permissionErrors > 0 {
-            print("⚠️ ACCOUNT DELETION: \(permissionErrors) permission errors encountered - some relationships may remain")
-            print("⚠️ ACCOUNT DELETION: This is expected due to Firestore security rules")
-        }
-    }
-    
-    /// Delete all user's personal data
-    private func deleteAllUserPersonalData(userId: String) async throws {
-        print("🗑️ ACCOUNT DELETION: Deleting all user personal data")
-        
-        // Delete user's rankings
-        let rankingsSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("rankings")
-            .getDocuments()
-        
-        for document in rankingsSnapshot.documents {
-            try await document.reference.delete()
-        }
-        print("🗑️ ACCOUNT DELETION: Deleted \(rankingsSnapshot.documents.count) rankings")
-        
-        // Delete user's following list
-        let followingSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("following")
-            .getDocuments()
-        
-        for document in followingSnapshot.documents {
-            try await document.reference.delete()
-        }
-        print("🗑️ ACCOUNT DELETION: Deleted \(followingSnapshot.documents.count) following relationships")
-        
-        // Delete user's followers list
-        let followersSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("followers")
-            .getDocuments()
-        
-        for document in followersSnapshot.documents {
-            try await document.reference.delete()
-        }
-        print("🗑️ ACCOUNT DELETION: Deleted \(followersSnapshot.documents.count) follower relationships")
-        
-        // Delete user's friends list
-        let friendsSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("friends")
-            .getDocuments()
-        
-        for document in friendsSnapshot.documents {
-            try await document.reference.delete()
-        }
-        print("🗑️ ACCOUNT DELETION: Deleted \(friendsSnapshot.documents.count) friend relationships")
-        
-        // Delete user's future Cannes list
-        let futureCannesSnapshot = try await db.collection("users")
-            .document(userId)
-            .collection("futureCannes")
-            .getDocuments()
-        
-        for document in futureCannesSnapshot.documents {
-            try await document.reference.delete()
-        }
-        print("🗑️ ACCOUNT DELETION: Deleted \(futureCannesSnapshot.documents.count) future Cannes items")
-        
-        // Delete user's main document
-        try await db.collection("users").document(userId).delete()
-        print("🗑️ ACCOUNT DELETION: Deleted user's main document")
-        
-        print("✅ ACCOUNT DELETION: All user personal data deleted")
-    }
-    
-    /// Delete user's takes/comments
-    private func deleteUserTakes(userData: UserDeletionData) async throws {
-        print("💬 ACCOUNT DELETION: Deleting user's takes/comments")
-        
-        for takeId in userData.takes {
-            try await db.collection("takes").document(takeId).delete()
-        }
-        
-        print("✅ ACCOUNT DELETION: Deleted \(userData.takes.count) takes/comments")
-    }
-    
-    /// Delete user's activities
-    private func deleteUserActivities(userId: String) async throws {
-        print("📱 ACCOUNT DELETION: Deleting user's activities")
-        
-        let activitiesSnapshot = try await db.collection("activities")
-            .whereField("userId", isEqualTo: userId)
-            .getDocuments()
-        
-        for document in activitiesSnapshot.documents {
-            try await document.reference.delete()
-        }
-        
-        print("✅ ACCOUNT DELETION: Deleted \(activitiesSnapshot.documents.count) activities")
-    }
-    
-    /// Delete Firebase Auth user
-    private func deleteFirebaseAuthUser(userId: String) async throws {
-        print("🔐 ACCOUNT DELETION: Deleting Firebase Auth user")
-        
-        // Call Cloud Function to delete Firebase Auth user
-        let functions = Functions.functions()
-        let deleteUserFunction = functions.httpsCallable("deleteUserAccount")
-        
-        do {
-            let result = try await deleteUserFunction.call([
-                "reason": "User requested account deletion"
-            ])
-            
-            if let data = result.data as? [String: Any],
-               let success = data["success"] as? Bool, success {
-                print("✅ ACCOUNT DELETION: Firebase Auth user deleted successfully via Cloud Function")
-            } else {
-                print("⚠️ ACCOUNT DELETION: Cloud Function returned unexpected result")
-                // Fallback: just sign out the user
-                if let currentUser = Auth.auth().currentUser, currentUser.uid == userId {
-                    try Auth.auth().signOut()
-                    print("🔐 ACCOUNT DELETION: Signed out user as fallback")
-                }
-            }
-        } catch {
-            print("⚠️ ACCOUNT DELETION: Cloud Function failed: \(error)")
-            // Fallback: just sign out the user
-            if let currentUser = Auth.auth().currentUser, currentUser.uid == userId {
-                try Auth.auth().signOut()
-                print("🔐 ACCOUNT DELETION: Signed out user as fallback")
-            }
-        }
+        throw lastError ?? NSError(domain: "FirestoreService", code: 500, userInfo: [NSLocalizedDescriptionKey: "Account deletion did not complete"])
     }
 }
-
-// MARK: - Account Deletion Data Structure
-
-struct UserDeletionData {
-    let userId: String
-    let rankings: [(tmdbId: Int?, score: Double, movieTitle: String)]
-    let takes: [String] // Take document IDs
-    let activities: [String] // Activity document IDs
-} 
@@ -1568,7 +1568,6 @@ struct UserProfile: Identifiable {
         
         // Extract and validate optional fields
         let email = document["email"] as? String
-        let phoneNumber = document["phoneNumber"] as? String
         let movieCount = document["movieCount"] as? Int
         let createdAt = document["createdAt"] as? Timestamp
         let topMoviePosterPath = document["topMoviePosterPath"] as? String
@@ -1578,7 +1577,6 @@ struct UserProfile: Identifiable {
             uid: documentId,
             username: username.trimmingCharacters(in: .whitespacesAndNewlines),
             email: email?.trimmingCharacters(in: .whitespacesAndNewlines),
-            phoneNumber: phoneNumber?.trimmingCharacters(in: .whitespacesAndNewlines),
             movieCount: movieCount,
             createdAt: createdAt?.dateValue(),
             topMoviePosterPath: topMoviePosterPath
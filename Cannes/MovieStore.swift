@@ -458,16 +458,8 @@ final class MovieStore: ObservableObject {
                     print("⚠️ insertNewMovie: Failed to update user's top movie poster: \(error)")
                 }
                 
-                // Create activity update for friends to see
-                do {
-                    try await firestoreService.createActivityUpdate(
-                        type: .movieRanked,
-                        movie: finalMovie
-                    )
-                } catch {
-                    print("Failed to create activity update: \(error)")
-                    // Don't fail the whole operation if activity update fails
-                }
+                // Notify followers of the new ranking (the activity itself is created server-side)
+                await firestoreService.notifyFollowersOfNewRanking(movie: finalMovie)
                 
                 // Remove from Future Cannes if it was there
                 if let tmdbId = finalMovie.tmdbId {
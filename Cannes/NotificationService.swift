@@ -1,4 +1,5 @@
 import Foundation
+import UIKit
 import Firebase
 import FirebaseAuth
 import FirebaseMessaging
@@ -292,10 +293,12 @@ class NotificationService: NSObject, ObservableObject {
         let tokenData: [String: Any] = [
             "fcmToken": token,
             "updatedAt": FieldValue.serverTimestamp(),
-            "platform": "ios"
+            "lastSeenAt": FieldValue.serverTimestamp(),
+            "platform": "ios",
+            "deviceModel": UIDevice.current.model
         ]
         
-        print("🔍 DEBUG: Attempting to save FCM token to path: users/\(currentUser.uid)/tokens/fcm")
+        print("🔍 DEBUG: Attempting to save FCM token to path: users/\(currentUser.uid)/tokens/\(deviceTokenId)")
         
         // First, ensure the user document exists
         let userDocRef = db.collection("users").document(currentUser.uid)
@@ -329,11 +332,16 @@ class NotificationService: NSObject, ObservableObject {
         }
     }
     
+    // Each device registers its own token so pushes reach every device the user is signed in on
+    private var deviceTokenId: String {
+        UIDevice.current.identifierForVendor?.uuidString ?? "fcm"
+    }
+    
     private func saveTokenToUserDocument(token: String, tokenData: [String: Any], userId: String) {
         db.collection("users")
             .document(userId)
             .collection("tokens")
-            .document("fcm")
+            .document(deviceTokenId)
             .setData(tokenData) { [weak self] error in
                 if let error = error {
                     print("❌ Error saving FCM token: \(error)")
@@ -342,10 +350,26 @@ class NotificationService: NSObject, ObservableObject {
                 } else {
                     print("✅ FCM token saved to Firestore")
                     self?.resetErrorState()
+                    self?.removeLegacyToken(token: token, userId: userId)
                 }
             }
     }
     
+    // Tokens used to be saved under a single "fcm" doc; drop it once this device has its own.
+    // Another device's legacy token is left for the server to prune when it stops working.
+    private func removeLegacyToken(token: String, userId: String) {
+        guard deviceTokenId != "fcm" else { return }
+        let legacyRef = db.collection("users")
+            .document(userId)
+            .collection("tokens")
+            .document("fcm")
+        legacyRef.getDocument { snapshot, _ in
+            if snapshot?.get("fcmToken") as? String == token {
+                legacyRef.delete()
+            }
+        }
+    }
+    
     // MARK: - Notification Sending
     
     func sendMovieRatingNotification(
@@ -418,10 +442,12 @@ class NotificationService: NSObject, ObservableObject {
     
     // MARK: - Check for Common Movies
     
+    // `eventId` identifies this rating to the server, so a retried call doesn't notify twice
     func checkAndNotifyFollowersForMovie(
         movieTitle: String,
         score: Double,
-        tmdbId: Int
+        tmdbId: Int,
+        eventId: String = UUID().uuidString
     ) async {
         // Check if notifications are enabled
         guard notificationsEnabled else {
@@ -443,7 +469,8 @@ class NotificationService: NSObject, ObservableObject {
             let data: [String: Any] = [
                 "movieTitle": movieTitle,
                 "score": score,
-                "tmdbId": tmdbId
+                "tmdbId": tmdbId,
+                "eventId": eventId
             ]
             
             print("📱 Calling Firebase function with data: \(data)")
@@ -479,130 +506,6 @@ class NotificationService: NSObject, ObservableObject {
         }
     }
     
-    // MARK: - Follow Notifications
-    
-    func sendFollowNotification(
-        to userId: String,
-        from username: String
-    ) async {
-        // Check if notifications are enabled
-        guard notificationsEnabled else {
-            print("🔕 Notifications disabled - skipping follow notification to \(userId)")
-            return
-        }
-        
-        // Check rate limiting
-        guard shouldSendNotification(to: userId, type: "follow") else {
-            print("📱 Rate limit: Skipping follow notification to \(userId)")
-            return
-        }
-        
-        print("📱 ===== FOLLOW NOTIFICATION TRIGGERED =====")
-        print("📱 To User ID: \(userId)")
-        print("📱 From Username: \(username)")
-        print("📱 Timestamp: \(Date())")
-        print("📱 ========================================")
-        
-        do {
-            // Call Firebase Function to send follow notification
-            let functions = Functions.functions()
-            
-            let data: [String: Any] = [
-                "targetUserId": userId,
-                "username": username
-            ]
-            
-            print("📱 Calling Firebase function with data: \(data)")
-            
-            let result = try await functions.httpsCallable("sendFollowNotification").call(data)
-            
-            print("📱 Firebase function result: \(result.data ?? "nil")")
-            
-            if let resultData = result.data as? [String: Any],
-               let success = resultData["success"] as? Bool {
-                if success {
-                    print("✅ Successfully sent follow notification to \(userId)")
-                    print("📱 Message ID: \(resultData["messageId"] as? String ?? "unknown")")
-                    resetErrorState()
-                    
-                    // Track successful notification
-                    trackNotificationSent(to: userId, type: "follow")
-                } else {
-                    let errorMessage = resultData["message"] as? String ?? "Unknown error"
-                    print("❌ Failed to send follow notification to \(userId)")
-                    print("📱 Error: \(errorMessage)")
-                    handleError(NSError(domain: "NotificationService", code: 3, userInfo: [NSLocalizedDescriptionKey: errorMessage]), context: "sendFollowNotification")
-                }
-            }
-            
-        } catch {
-            handleError(error, context: "sendFollowNotification")
-        }
-    }
-    
-    // MARK: - Movie Comment Notifications
-    
-    func checkAndNotifyFollowersForMovieComment(
-        movieTitle: String,
-        comment: String,
-        tmdbId: Int
-    ) async {
-        // Check if notifications are enabled
-        guard notificationsEnabled else {
-            print("🔕 Notifications disabled - skipping comment notifications for \(movieTitle)")
-            return
-        }
-        
-        print("📱 ===== MOVIE COMMENT NOTIFICATION TRIGGERED =====")
-        print("📱 Movie: \(movieTitle)")
-        print("📱 Comment: \(comment)")
-        print("📱 TMDB ID: \(tmdbId)")
-        print("📱 Timestamp: \(Date())")
-        print("📱 ================================================")
-        
-        do {
-            // Call Firebase Function to check and notify followers about movie comment
-            let functions = Functions.functions()
-            
-            let data: [String: Any] = [
-                "movieTitle": movieTitle,
-                "comment": comment,
-                "tmdbId": tmdbId
-            ]
-            
-            print("📱 Calling Firebase function with data: \(data)")
-            
-            let result = try await functions.httpsCallable("checkAndNotifyFollowersForMovieComment").call(data)
-            
-            print("📱 Firebase function result: \(result.data ?? "nil")")
-            
-            if let resultData = result.data as? [String: Any],
-               let success = resultData["success"] as? Bool,
-               let notificationsSent = resultData["notificationsSent"] as? Int {
-                if success {
-                    print("✅ Successfully sent \(notificationsSent) comment notifications for movie: \(movieTitle)")
-                    print("📱 Notification recipients: \(resultData["recipients"] as? [String] ?? [])")
-                    resetErrorState()
-                    
-                    // Track successful notifications for each recipient
-                    if let recipients = resultData["recipients"] as? [String] {
-                        for recipient in recipients {
-                            trackNotificationSent(to: recipient, type: "movie_comment")
-                        }
-                    }
-                } else {
-                    let errorMessage = resultData["message"] as? String ?? "Unknown error"
-                    print("❌ Failed to send comment notifications for movie: \(movieTitle)")
-                    print("📱 Error: \(errorMessage)")
-                    handleError(NSError(domain: "NotificationService", code: 4, userInfo: [NSLocalizedDescriptionKey: errorMessage]), context: "checkAndNotifyFollowersForMovieComment")
-                }
-            }
-            
-        } catch {
-            handleError(error, context: "checkAndNotifyFollowersForMovieComment")
-        }
-    }
-    
     // MARK: - Badge Management
     
     func clearAllNotifications() {
@@ -628,6 +531,19 @@ class NotificationService: NSObject, ObservableObject {
         UIApplication.shared.applicationIconBadgeNumber = currentCount + 1
         print("📱 Incremented badge count to: \(currentCount + 1)")
     }
+    
+    // Record when the user last saw their notifications; the server counts unread activity from here for the badge
+    func markNotificationsRead() {
+        guard let currentUser = Auth.auth().currentUser else { return }
+        
+        db.collection("users")
+            .document(currentUser.uid)
+            .setData(["notificationsReadAt": FieldValue.serverTimestamp()], merge: true) { error in
+                if let error = error {
+                    print("❌ Error marking notifications read: \(error)")
+                }
+            }
+    }
 }
 
 // MARK: - MessagingDelegate
@@ -46,48 +46,6 @@ struct NotificationTestView: View {
                 .buttonStyle(.borderedProminent)
                 .disabled(notificationService.fcmToken == nil)
                 
-                // Follow Notification Test
-                VStack(alignment: .leading, spacing: 12) {
-                    Text("Test Follow Notification")
-                        .font(.headline)
-                    
-                    Text("This will test sending a follow notification to yourself")
-                        .font(.caption)
-                        .foregroundColor(.secondary)
-                }
-                .padding()
-                .background(Color(.systemGray6))
-                .cornerRadius(12)
-                
-                Button("Test Follow Notification") {
-                    Task {
-                        await testFollowNotification()
-                    }
-                }
-                .buttonStyle(.borderedProminent)
-                .disabled(notificationService.fcmToken == nil)
-                
-                // Movie Comment Notification Test
-                VStack(alignment: .leading, spacing: 12) {
-                    Text("Test Movie Comment Notification")
-                        .font(.headline)
-                    
-                    Text("This will test sending a comment notification for the test movie")
-                        .font(.caption)
-                        .foregroundColor(.secondary)
-                }
-                .padding()
-                .background(Color(.systemGray6))
-                .cornerRadius(12)
-                
-                Button("Test Comment Notification") {
-                    Task {
-                        await testCommentNotification()
-                    }
-                }
-                .buttonStyle(.borderedProminent)
-                .disabled(notificationService.fcmToken == nil)
-                
                 VStack(alignment: .leading, spacing: 8) {
                     Text("Status:")
                         .font(.headline)
@@ -151,47 +109,6 @@ struct NotificationTestView: View {
             }
         }
     }
-    
-    private func testFollowNotification() async {
-        do {
-            // Test sending a follow notification to yourself
-            await notificationService.sendFollowNotification(
-                to: Auth.auth().currentUser?.uid ?? "",
-                from: "TestUser"
-            )
-            
-            await MainActor.run {
-                alertMessage = "Test follow notification triggered! Check Firebase Functions logs for details."
-                showingAlert = true
-            }
-        } catch {
-            await MainActor.run {
-                alertMessage = "Error: \(error.localizedDescription)"
-                showingAlert = true
-            }
-        }
-    }
-    
-    private func testCommentNotification() async {
-        do {
-            // Test sending a comment notification
-            await notificationService.checkAndNotifyFollowersForMovieComment(
-                movieTitle: testMovieTitle,
-                comment: "This is a test comment about the movie!",
-                tmdbId: testTmdbId
-            )
-            
-            await MainActor.run {
-                alertMessage = "Test comment notification triggered! Check Firebase Functions logs for details."
-                showingAlert = true
-            }
-        } catch {
-            await MainActor.run {
-                alertMessage = "Error: \(error.localizedDescription)"
-                showingAlert = true
-            }
-        }
-    }
 }
 
 #if DEBUG
@@ -164,7 +164,7 @@ struct SetUsernameView: View {
     }
     
     private func setUsername() async {
-        guard let userId = authService.currentUser?.uid else { return }
+        guard authService.currentUser != nil else { return }
         isLoading = true
         
         // Use sanitized username if available
@@ -180,18 +180,10 @@ struct SetUsernameView: View {
                 return
             }
             
-            // Save username
-            try await Firestore.firestore().collection("users").document(userId).setData([
-                "username": finalUsername
-            ], merge: true)
+            // Save username (claimUsername also caches it locally)
+            _ = try await authService.claimUsername(finalUsername)
             
             await MainActor.run {
-                authService.username = finalUsername
-                authService.isUsernameLoading = false
-                // Cache the username locally
-                let userDefaults = UserDefaults.standard
-                userDefaults.set(finalUsername, forKey: "cached_username")
-                userDefaults.set(userId, forKey: "cached_user_id")
                 dismiss()
             }
         } catch {
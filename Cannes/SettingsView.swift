@@ -32,6 +32,8 @@ struct SettingsView: View {
     @State private var emailLinkSuccessMessage: String?
     @State private var phoneLinkErrorMessage: String?
     @State private var phoneLinkSuccessMessage: String?
+    @State private var phoneDiscoveryErrorMessage: String?
+    @State private var isUpdatingPhoneDiscovery = false
     
     @State private var showingSignOutAlert = false
     @State private var showingUnlinkEmailAlert = false
@@ -493,6 +495,36 @@ struct SettingsView: View {
                     .padding(.vertical, 8)
                 }
                 
+                // Privacy Section
+                Section("Privacy") {
+                    VStack(alignment: .leading, spacing: 12) {
+                        Toggle(isOn: Binding(
+                            get: { authService.discoverableByPhone },
+                            set: { updatePhoneDiscovery($0) }
+                        )) {
+                            Text("Let Contacts Find Me")
+                        }
+                        .disabled(isUpdatingPhoneDiscovery || authService.getUserPhoneNumber() == nil)
+                        
+                        Text(authService.getUserPhoneNumber() == nil
+                             ? "Link a phone number to let people who have it in their contacts find you."
+                             : "People who have your phone number in their contacts can find you. Your number is never shown on your profile.")
+                            .font(.subheadline)
+                            .foregroundColor(.secondary)
+                            .multilineTextAlignment(.leading)
+                        
+                        if let errorMessage = phoneDiscoveryErrorMessage {
+                            Text(errorMessage)
+                                .foregroundColor(.red)
+                                .font(.caption)
+                        }
+                    }
+                    .padding(.vertical, 8)
+                }
+                .task {
+                    await authService.loadPhoneDiscoverable()
+                }
+                
                 // Notification Settings Section
                 Section("Notifications") {
                     VStack(spacing: 12) {
@@ -926,6 +958,25 @@ struct SettingsView: View {
         }
     }
     
+    private func updatePhoneDiscovery(_ discoverable: Bool) {
+        isUpdatingPhoneDiscovery = true
+        phoneDiscoveryErrorMessage = nil
+        
+        Task {
+            do {
+                try await authService.setPhoneDiscoverable(discoverable)
+                await MainActor.run {
+                    isUpdatingPhoneDiscovery = false
+                }
+            } catch {
+                await MainActor.run {
+                    phoneDiscoveryErrorMessage = error.localizedDescription
+                    isUpdatingPhoneDiscovery = false
+                }
+            }
+        }
+    }
+    
     // MARK: - Profile Functions
     
     private func updateMyMoviePoster() {
@@ -155,7 +155,7 @@ struct UpdatesView: View {
                 .mapValues { $0.count }
             print("DEBUG: Activity type counts: \(activityTypeCounts)")
             
-            // Filter out follow notifications only (movieUpdated already filtered in FirestoreService)
+            // Filter out follow notifications only
             let movieActivities = fetchedActivities.filter { activity in
                 activity.type != .userFollowed
             }
@@ -0,0 +1,357 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { FINAL_RATING_STATES } = require('./ratings');
+const { collectRefs } = require('./fanout');
+const { getUsersHiding, getBlockStatus } = require('./blocks');
+const { adminCallable } = require('./admin');
+const { logger, loggedEvent } = require('./logger');
+
+// Activity types, matching ActivityUpdate.ActivityType in the app
+const ACTIVITY_TYPES = {
+    MOVIE_RANKED: 'movie_ranked',
+    MOVIE_COMMENTED: 'movie_commented',
+    MOVIE_UPDATED: 'movie_updated',
+    USER_FOLLOWED: 'user_followed'
+};
+
+const MAX_BATCH_WRITES = 500;
+// Recent activities copied into a feed when its owner follows someone
+const FEED_SEED_LIMIT = 50;
+const BACKFILL_USER_PAGE_SIZE = 50;
+// Stop picking up new users well before the function timeout so the checkpoint is saved
+const BACKFILL_TIME_BUDGET_MS = 7 * 60 * 1000;
+
+// Get the username stored on a user's profile
+async function getUsername(userId) {
+    const userDoc = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .get();
+
+    return userDoc.data()?.username || 'Unknown User';
+}
+
+// A ranking is worth an activity once the user has finished placing it
+function isPublishedRanking(data) {
+    return !!data && !!data.title && FINAL_RATING_STATES.includes(data.ratingState);
+}
+
+// Activity ids are derived from what they describe, so a retried trigger overwrites
+// rather than duplicates, and removing the source can find its activity again
+const activityIds = {
+    ranked: (userId, rankingId) => `ranked_${userId}_${rankingId}`,
+    updated: (userId, rankingId) => `updated_${userId}_${rankingId}`,
+    commented: (takeId) => `take_${takeId}`,
+    followed: (userId, followedUserId) => `follow_${userId}_${followedUserId}`
+};
+
+// Commit a list of write operations in batches of at most MAX_BATCH_WRITES
+async function commitInBatches(operations) {
+    const db = admin.firestore();
+    for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        operations.slice(i, i + MAX_BATCH_WRITES).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+}
+
+// Get the ids of everyone following a user
+async function getFollowerIds(userId) {
+    const refs = await collectRefs(admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('followers')
+        .orderBy(admin.firestore.FieldPath.documentId()));
+
+    return refs.map(ref => ref.id);
+}
+
+// Write an activity to the global activities collection and copy it into each recipient's
+// feed inbox (users/{uid}/feed), which is the only place the app reads its feed from.
+// Recipients who blocked or muted the author are skipped.
+async function publishActivity(activity, audienceIds) {
+    const db = admin.firestore();
+    const record = { ...activity, timestamp: admin.firestore.Timestamp.now() };
+    const hiding = await getUsersHiding(activity.userId);
+    const recipientIds = audienceIds.filter(recipientId => !hiding.has(recipientId));
+
+    const operations = [batch => batch.set(db.collection('activities').doc(activity.id), record)];
+    recipientIds.forEach(recipientId => {
+        const feedRef = db.collection('users').doc(recipientId).collection('feed').doc(activity.id);
+        operations.push(batch => batch.set(feedRef, record));
+    });
+
+    await commitInBatches(operations);
+    logger.info('Published activity', { activityId: activity.id, activityType: activity.type, feeds: recipientIds.length });
+}
+
+// Copy a user's recent activities into a follower's feed, so a new follow (or the first deploy
+// of feeds) doesn't leave the feed empty until they next do something. Follow activities only
+// ever go to the followed user's feed, so they're left out.
+async function seedFeed(followerId, followedUserId) {
+    if (await getBlockStatus(followerId, followedUserId)) {
+        return 0;
+    }
+
+    const db = admin.firestore();
+    const snapshot = await db.collection('activities')
+        .where('userId', '==', followedUserId)
+        .orderBy('timestamp', 'desc')
+        .limit(FEED_SEED_LIMIT)
+        .get();
+    const feedRef = db.collection('users').doc(followerId).collection('feed');
+    const items = snapshot.docs.filter(doc => doc.get('type') !== ACTIVITY_TYPES.USER_FOLLOWED);
+
+    await commitInBatches(items.map(doc => batch => batch.set(feedRef.doc(doc.id), doc.data())));
+    return items.length;
+}
+
+// Take a user's activities out of a former follower's feed. Their follow of the former
+// follower stays: it's about the feed's owner.
+async function unseedFeed(followerId, followedUserId) {
+    const snapshot = await admin.firestore()
+        .collection('users')
+        .doc(followerId)
+        .collection('feed')
+        .where('userId', '==', followedUserId)
+        .select('type')
+        .get();
+    const refs = snapshot.docs
+        .filter(doc => doc.get('type') !== ACTIVITY_TYPES.USER_FOLLOWED)
+        .map(doc => doc.ref);
+
+    await commitInBatches(refs.map(ref => batch => batch.delete(ref)));
+    return refs.length;
+}
+
+// Remove an activity. Feed copies are cleaned up by onActivityDelete.
+async function removeActivity(activityId) {
+    await admin.firestore().collection('activities').doc(activityId).delete();
+}
+
+// Build the activity for a ranking the way the app has always shaped it
+function rankingActivity(id, type, userId, username, rankingId, ranking) {
+    return {
+        id: id,
+        userId: userId,
+        username: username,
+        type: type,
+        movieTitle: ranking.title,
+        movieId: ranking.id || rankingId,
+        tmdbId: ranking.tmdbId ?? null,
+        mediaType: ranking.mediaType || 'Movie',
+        score: ranking.score ?? null,
+        sentiment: ranking.sentiment ?? null,
+        comment: null
+    };
+}
+
+// Get a display title for a take: the author's own ranking first, then the community rating
+async function getTakeTitle(take) {
+    const db = admin.firestore();
+
+    if (take.movieId) {
+        const rankingDoc = await db.collection('users').doc(take.userId).collection('rankings').doc(take.movieId).get();
+        if (rankingDoc.exists && rankingDoc.get('title')) {
+            return rankingDoc.get('title');
+        }
+    }
+
+    const ratingDoc = await db.collection('ratings').doc(take.tmdbId.toString()).get();
+    return ratingDoc.get('title') || 'Unknown Movie';
+}
+
+// Cloud Function trigger that publishes movie_ranked when a ranking is finalized and
+// movie_updated when the user re-ranks it into a different sentiment. Plain score shifts
+// are ignored: inserting one movie rescores the rest of the list, and followers
+// shouldn't get an update for every one of those.
+exports.onRankingActivity = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('users/{userId}/rankings/{rankingId}')
+    .onWrite(loggedEvent('onRankingActivity', async (change, context) => {
+        const { userId, rankingId } = context.params;
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+
+        if (!isPublishedRanking(after)) {
+            if (isPublishedRanking(before)) {
+                await removeActivity(activityIds.ranked(userId, rankingId));
+                await removeActivity(activityIds.updated(userId, rankingId));
+            }
+            return null;
+        }
+
+        let id;
+        let type;
+        if (!isPublishedRanking(before)) {
+            id = activityIds.ranked(userId, rankingId);
+            type = ACTIVITY_TYPES.MOVIE_RANKED;
+        } else if (before.sentiment !== after.sentiment) {
+            id = activityIds.updated(userId, rankingId);
+            type = ACTIVITY_TYPES.MOVIE_UPDATED;
+        } else {
+            return null;
+        }
+
+        const [username, followerIds] = await Promise.all([getUsername(userId), getFollowerIds(userId)]);
+        await publishActivity(rankingActivity(id, type, userId, username, rankingId, after), followerIds);
+        return null;
+    }));
+
+// Cloud Function trigger that publishes movie_commented for takes once moderateTake publishes them
+exports.onTakeActivity = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('takes/{movieId}/userTakes/{takeId}')
+    .onWrite(loggedEvent('onTakeActivity', async (change, context) => {
+        const activityId = activityIds.commented(context.params.takeId);
+
+        if (!change.after.exists) {
+            await removeActivity(activityId);
+            return null;
+        }
+
+        const take = change.after.data();
+        // Only takes that passed moderation are shown; hiding or rejecting one withdraws it
+        if (take.status !== 'published') {
+            if (change.before.exists && change.before.get('status') === 'published') {
+                await removeActivity(activityId);
+            }
+            return null;
+        }
+        // The app only opens movie details for takes on TMDB titles
+        if (!take.userId || !take.tmdbId) {
+            return null;
+        }
+        // Report counts and other moderation bookkeeping don't change the activity
+        if (change.before.exists && change.before.get('status') === 'published' && change.before.get('text') === take.text) {
+            return null;
+        }
+
+        const [username, movieTitle, followerIds] = await Promise.all([
+            getUsername(take.userId),
+            getTakeTitle(take),
+            getFollowerIds(take.userId)
+        ]);
+
+        await publishActivity({
+            id: activityId,
+            userId: take.userId,
+            username: username,
+            type: ACTIVITY_TYPES.MOVIE_COMMENTED,
+            movieTitle: movieTitle,
+            movieId: take.movieId || context.params.movieId,
+            tmdbId: take.tmdbId,
+            mediaType: take.mediaType || 'Movie',
+            score: null,
+            sentiment: null,
+            comment: take.text || null
+        }, followerIds);
+        return null;
+    }));
+
+// Cloud Function trigger that publishes user_followed into the followed user's feed.
+// Follow activities keep the app's existing shape: movieId is the followed user's id and
+// movieTitle their username.
+exports.onFollowActivity = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('users/{userId}/following/{followedUserId}')
+    .onWrite(loggedEvent('onFollowActivity', async (change, context) => {
+        const { userId, followedUserId } = context.params;
+        const activityId = activityIds.followed(userId, followedUserId);
+
+        if (!change.after.exists) {
+            await removeActivity(activityId);
+            await unseedFeed(userId, followedUserId);
+            return null;
+        }
+        if (change.before.exists) {
+            return null;
+        }
+
+        await seedFeed(userId, followedUserId);
+
+        const [username, followedUsername] = await Promise.all([getUsername(userId), getUsername(followedUserId)]);
+        await publishActivity({
+            id: activityId,
+            userId: userId,
+            username: username,
+            type: ACTIVITY_TYPES.USER_FOLLOWED,
+            movieTitle: followedUsername,
+            movieId: followedUserId,
+            tmdbId: null,
+            mediaType: 'Movie',
+            score: null,
+            sentiment: null,
+            comment: null
+        }, [followedUserId]);
+        return null;
+    }));
+
+// Cloud Function trigger that removes every feed copy of a deleted activity
+exports.onActivityDelete = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('activities/{activityId}')
+    .onDelete(loggedEvent('onActivityDelete', async (snapshot, context) => {
+        const db = admin.firestore();
+        const refs = await collectRefs(db.collectionGroup('feed')
+            .where('id', '==', context.params.activityId)
+            .orderBy(admin.firestore.FieldPath.documentId()));
+
+        await commitInBatches(refs.map(ref => batch => batch.delete(ref)));
+        logger.info('Removed activity from feeds', { activityId: context.params.activityId, feeds: refs.length });
+        return null;
+    }));
+
+// Admin callable to fill every user's feed with recent activities from the people they follow,
+// for accounts that followed them before feeds existed. Long runs return before finishing;
+// call again with the returned jobId until done is true.
+exports.backfillFeeds = adminCallable('backfillFeeds', async (data) => {
+    const db = admin.firestore();
+    const jobRef = data.jobId
+        ? db.collection('feedBackfillJobs').doc(data.jobId)
+        : db.collection('feedBackfillJobs').doc();
+    const jobDoc = await jobRef.get();
+    if (data.jobId && !jobDoc.exists) {
+        throw new functions.https.HttpsError('not-found', `Feed backfill job ${data.jobId} not found`);
+    }
+
+    const job = jobDoc.exists ? jobDoc.data() : { lastUserId: null, users: 0, items: 0, done: false };
+    const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+
+    while (!job.done && Date.now() < deadline) {
+        let usersQuery = db.collection('users')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select()
+            .limit(BACKFILL_USER_PAGE_SIZE);
+        if (job.lastUserId) {
+            usersQuery = usersQuery.startAfter(job.lastUserId);
+        }
+
+        const usersSnapshot = await usersQuery.get();
+        job.done = usersSnapshot.empty;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (Date.now() >= deadline) {
+                break;
+            }
+            // Seeding overwrites feed docs with the same activity, so a user redone after a
+            // timeout is harmless
+            const followingRefs = await collectRefs(userDoc.ref.collection('following')
+                .orderBy(admin.firestore.FieldPath.documentId()));
+            for (const followingRef of followingRefs) {
+                job.items += await seedFeed(userDoc.id, followingRef.id);
+            }
+            job.users += 1;
+            job.lastUserId = userDoc.id;
+        }
+
+        await jobRef.set({ ...job, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+
+    logger.info('Backfilled feeds', { jobId: jobRef.id, users: job.users, items: job.items, done: job.done });
+    return { success: true, jobId: jobRef.id, ...job };
+}, { timeoutSeconds: 540, memory: '512MB' });
+
+exports.ACTIVITY_TYPES = ACTIVITY_TYPES;
+exports.getUsername = getUsername;
+exports.getTakeTitle = getTakeTitle;
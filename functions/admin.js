@@ -0,0 +1,85 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { logger, loggedCall } = require('./logger');
+
+// Throw unless the caller is signed in with the `admin: true` custom claim
+function requireAdmin(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    if (context.auth.token.admin !== true) {
+        throw new functions.https.HttpsError('permission-denied', 'Admin role required');
+    }
+}
+
+// Record an admin invocation in adminAuditLog
+async function writeAdminAudit(context, action, params, outcome) {
+    try {
+        await admin.firestore().collection('adminAuditLog').add({
+            uid: context.auth ? context.auth.uid : null,
+            action: action,
+            params: params || {},
+            outcome: outcome,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        // Never fail the admin action itself because the audit write failed
+        logger.error('Failed to write admin audit record', { action: action, error: error });
+    }
+}
+
+// Build a callable that only admins can invoke. Every call, successful or not, is audited
+// with the caller uid, the action name and the parameters it was given.
+function adminCallable(action, handler, runtimeOptions) {
+    const builder = runtimeOptions ? functions.runWith(runtimeOptions) : functions;
+
+    return builder.https.onCall(loggedCall(action, async (data, context) => {
+        requireAdmin(context);
+        const params = data || {};
+
+        try {
+            const result = await handler(params, context);
+            await writeAdminAudit(context, action, params, 'success');
+            return result;
+        } catch (error) {
+            await writeAdminAudit(context, action, params, `error: ${error.message}`);
+            throw error;
+        }
+    }));
+}
+
+// Cloud Function to grant or revoke the admin role (admin only)
+exports.setAdminRole = adminCallable('setAdminRole', async (data, context) => {
+    const { targetUserId } = data;
+    const isAdmin = data.admin === true;
+
+    if (!targetUserId || typeof targetUserId !== 'string') {
+        throw new functions.https.HttpsError('invalid-argument', 'targetUserId is required');
+    }
+    if (targetUserId === context.auth.uid && !isAdmin) {
+        throw new functions.https.HttpsError('failed-precondition', 'Admins cannot revoke their own role');
+    }
+
+    let user;
+    try {
+        user = await admin.auth().getUser(targetUserId);
+    } catch (error) {
+        throw new functions.https.HttpsError('not-found', `User ${targetUserId} not found`);
+    }
+
+    // Keep any other custom claims the user already has
+    const claims = { ...(user.customClaims || {}) };
+    if (isAdmin) {
+        claims.admin = true;
+    } else {
+        delete claims.admin;
+    }
+    await admin.auth().setCustomUserClaims(targetUserId, claims);
+
+    logger.info(isAdmin ? 'Granted admin role' : 'Revoked admin role', { targetUserId: targetUserId });
+    return { success: true, targetUserId: targetUserId, admin: isAdmin };
+});
+
+exports.requireAdmin = requireAdmin;
+exports.writeAdminAudit = writeAdminAudit;
+exports.adminCallable = adminCallable;
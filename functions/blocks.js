@@ -0,0 +1,62 @@
+const admin = require('firebase-admin');
+
+// users/{uid}/blocked/{otherUid} and users/{uid}/muted/{otherUid}. Each entry also stores
+// targetUserId so collection group queries can find everyone hiding a given user.
+const BLOCKED = 'blocked';
+const MUTED = 'muted';
+
+function relationshipRef(userId, list, targetUserId) {
+    return admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection(list)
+        .doc(targetUserId);
+}
+
+// Why `recipientId` shouldn't hear from `senderId`: 'blocked' if either has blocked the
+// other, 'muted' if the recipient muted the sender, otherwise null
+async function getBlockStatus(recipientId, senderId) {
+    if (!senderId || senderId === recipientId) {
+        return null;
+    }
+
+    const [blockedBySender, blockedByRecipient, muted] = await admin.firestore().getAll(
+        relationshipRef(senderId, BLOCKED, recipientId),
+        relationshipRef(recipientId, BLOCKED, senderId),
+        relationshipRef(recipientId, MUTED, senderId)
+    );
+
+    if (blockedBySender.exists || blockedByRecipient.exists) {
+        return 'blocked';
+    }
+    return muted.exists ? 'muted' : null;
+}
+
+// Check inside a transaction whether either user has blocked the other
+async function isBlockedEitherWay(transaction, userId, otherUserId) {
+    const [forward, backward] = await transaction.getAll(
+        relationshipRef(userId, BLOCKED, otherUserId),
+        relationshipRef(otherUserId, BLOCKED, userId)
+    );
+    return forward.exists || backward.exists;
+}
+
+// Get the ids of everyone who has blocked or muted a user
+async function getUsersHiding(userId) {
+    const db = admin.firestore();
+    const snapshots = await Promise.all([BLOCKED, MUTED].map(list => db.collectionGroup(list)
+        .where('targetUserId', '==', userId)
+        .select()
+        .get()));
+
+    const userIds = new Set();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => userIds.add(doc.ref.parent.parent.id)));
+    return userIds;
+}
+
+exports.BLOCKED = BLOCKED;
+exports.MUTED = MUTED;
+exports.relationshipRef = relationshipRef;
+exports.getBlockStatus = getBlockStatus;
+exports.isBlockedEitherWay = isBlockedEitherWay;
+exports.getUsersHiding = getUsersHiding;
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getBlockStatus } = require('./blocks');
+const { adminCallable } = require('./admin');
+const { logger, loggedCall, loggedEvent } = require('./logger');
+
+// Server-side key the client's hashes are re-keyed with before they're stored, so a leaked
+// index can't be reversed by hashing every phone number (set with
+// `firebase functions:secrets:set CONTACT_INDEX_SECRET`)
+const INDEX_SECRET = 'CONTACT_INDEX_SECRET';
+// Salt the app hashes normalized E.164 numbers with: hex(sha256(CLIENT_SALT + number)). Must
+// match ContactsService in the app.
+const CLIENT_SALT = 'cannes-contacts-v1:';
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const MAX_HASHES_PER_CALL = 500;
+// Hashes a user can check per day. Enough for a large address book, too few to walk the
+// phone number space.
+const CONTACT_MATCH_LIMIT = { limit: 2000, windowMs: 24 * 60 * 60 * 1000 };
+const MIGRATION_PAGE_SIZE = 100;
+// Stop picking up profiles well before the function timeout
+const MIGRATION_TIME_BUDGET_MS = 7 * 60 * 1000;
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+// Normalize a stored phone number to E.164 (+ then 8-15 digits). Numbers without a country
+// code can't be normalized reliably and are left out of the index.
+function normalizePhoneNumber(phoneNumber) {
+    if (typeof phoneNumber !== 'string') {
+        return null;
+    }
+    let normalized = phoneNumber.trim().replace(/[\s\-().]/g, '');
+    if (normalized.startsWith('00')) {
+        normalized = `+${normalized.slice(2)}`;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(normalized) ? normalized : null;
+}
+
+function clientHash(phoneNumber) {
+    return crypto.createHash('sha256').update(CLIENT_SALT + phoneNumber).digest('hex');
+}
+
+function indexKey(hash) {
+    return crypto.createHmac('sha256', process.env[INDEX_SECRET]).update(hash).digest('hex');
+}
+
+// phoneIndex/{key}: the discoverable user a hashed phone number belongs to
+function phoneIndexRef(key) {
+    return admin.firestore().collection('phoneIndex').doc(key);
+}
+
+// users/{uid}/private/contact: { phoneNumber, discoverableByPhone }. Only the owner can read
+// it and only Cloud Functions write it; the number is always the one verified in Auth.
+function contactSettingsRef(userId) {
+    return admin.firestore().collection('users').doc(userId).collection('private').doc('contact');
+}
+
+// The index key for a user's contact settings (or a legacy profile that still carries them),
+// or null if they shouldn't be discoverable by phone
+function indexKeyFor(settings) {
+    if (!settings || settings.discoverableByPhone !== true) {
+        return null;
+    }
+    const phoneNumber = normalizePhoneNumber(settings.phoneNumber);
+    return phoneNumber ? indexKey(clientHash(phoneNumber)) : null;
+}
+
+// The caller's phone number as verified by Firebase Auth, normalized, or null
+async function verifiedPhoneNumber(userId) {
+    const user = await admin.auth().getUser(userId);
+    return normalizePhoneNumber(user.phoneNumber);
+}
+
+// Count hashes against the caller's daily matching limit. Returns false if they don't fit.
+async function consumeMatchQuota(userId, count) {
+    const db = admin.firestore();
+    const quotaRef = db.collection('users').doc(userId).collection('contactMatchLimits').doc('daily');
+    const now = Date.now();
+
+    return db.runTransaction(async (transaction) => {
+        const quotaDoc = await transaction.get(quotaRef);
+
+        let windowStart = now;
+        let used = 0;
+        if (quotaDoc.exists && now - quotaDoc.get('windowStart') < CONTACT_MATCH_LIMIT.windowMs) {
+            windowStart = quotaDoc.get('windowStart');
+            used = quotaDoc.get('count') || 0;
+        }
+        if (used + count > CONTACT_MATCH_LIMIT.limit) {
+            return false;
+        }
+
+        transaction.set(quotaRef, { windowStart: windowStart, count: used + count });
+        return true;
+    });
+}
+
+// Cloud Function trigger that keeps the hashed phone index in step with users' private contact
+// settings. A user is indexed only while they have opted in with discoverableByPhone and have
+// a verified phone number.
+exports.onContactSettingsWrite = functions
+    .runWith({ secrets: [INDEX_SECRET], failurePolicy: true })
+    .firestore.document('users/{userId}/private/contact')
+    .onWrite(loggedEvent('onContactSettingsWrite', async (change, context) => {
+        const { userId } = context.params;
+        const beforeKey = indexKeyFor(change.before.exists ? change.before.data() : null);
+        const afterKey = indexKeyFor(change.after.exists ? change.after.data() : null);
+        if (beforeKey === afterKey) {
+            return null;
+        }
+
+        await admin.firestore().runTransaction(async (transaction) => {
+            const beforeRef = beforeKey ? phoneIndexRef(beforeKey) : null;
+            const beforeDoc = beforeRef ? await transaction.get(beforeRef) : null;
+
+            // Another account may have claimed the number since; only remove our own entry
+            if (beforeDoc && beforeDoc.exists && beforeDoc.get('userId') === userId) {
+                transaction.delete(beforeRef);
+            }
+            if (afterKey) {
+                transaction.set(phoneIndexRef(afterKey), {
+                    userId: userId,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+        });
+
+        logger.info(afterKey ? 'Indexed phone number' : 'Removed phone number from index', { targetUserId: userId });
+        return null;
+    }));
+
+// Cloud Function to turn discovery by phone number on or off for the caller ({ discoverable }).
+// The number indexed is the one verified in Firebase Auth, so nobody can claim someone else's;
+// call again after linking or unlinking a phone number to bring the index up to date.
+exports.setPhoneDiscoverable = functions.https.onCall(loggedCall('setPhoneDiscoverable', async (data, context) => {
+    const userId = requireAuth(context);
+    if (!data || typeof data.discoverable !== 'boolean') {
+        throw new functions.https.HttpsError('invalid-argument', 'discoverable must be true or false');
+    }
+
+    const phoneNumber = await verifiedPhoneNumber(userId);
+    if (data.discoverable && !phoneNumber) {
+        throw new functions.https.HttpsError('failed-precondition', 'Link a phone number before turning on discovery by phone');
+    }
+
+    const discoverable = data.discoverable && !!phoneNumber;
+    await contactSettingsRef(userId).set({
+        phoneNumber: phoneNumber,
+        discoverableByPhone: discoverable,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Updated phone discovery', { discoverableByPhone: discoverable });
+    return { success: true, discoverableByPhone: discoverable, hasPhoneNumber: !!phoneNumber };
+}));
+
+// Admin callable moving phoneNumber and discoverableByPhone off public profiles into each
+// user's private contact settings. The number kept is the one verified in Auth; index entries
+// for an unverified profile number are removed. Migrated profiles drop out of the query, so
+// call again until done is true.
+exports.migratePhoneNumbers = adminCallable('migratePhoneNumbers', async () => {
+    const db = admin.firestore();
+    const deadline = Date.now() + MIGRATION_TIME_BUDGET_MS;
+    let migrated = 0;
+    let done = false;
+
+    while (!done && Date.now() < deadline) {
+        const snapshot = await db.collection('users')
+            .where('phoneNumber', '>', '')
+            .select('phoneNumber', 'discoverableByPhone')
+            .limit(MIGRATION_PAGE_SIZE)
+            .get();
+        done = snapshot.size < MIGRATION_PAGE_SIZE;
+
+        for (const userDoc of snapshot.docs) {
+            let phoneNumber = null;
+            try {
+                phoneNumber = await verifiedPhoneNumber(userDoc.id);
+            } catch (error) {
+                // Profiles without an Auth account keep no number
+                if (error.code !== 'auth/user-not-found') {
+                    throw error;
+                }
+            }
+
+            const legacyKey = indexKeyFor(userDoc.data());
+            const batch = db.batch();
+            if (legacyKey) {
+                const legacyDoc = await phoneIndexRef(legacyKey).get();
+                if (legacyDoc.exists && legacyDoc.get('userId') === userDoc.id) {
+                    batch.delete(legacyDoc.ref);
+                }
+            }
+            batch.set(contactSettingsRef(userDoc.id), {
+                phoneNumber: phoneNumber,
+                discoverableByPhone: userDoc.get('discoverableByPhone') === true && !!phoneNumber,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            batch.update(userDoc.ref, {
+                phoneNumber: admin.firestore.FieldValue.delete(),
+                discoverableByPhone: admin.firestore.FieldValue.delete()
+            });
+            await batch.commit();
+            migrated++;
+        }
+    }
+
+    logger.info('Migrated phone numbers to private contact settings', { migrated: migrated, done: done });
+    return { success: true, migrated: migrated, done: done };
+}, { secrets: [INDEX_SECRET], timeoutSeconds: 540 });
+
+// Cloud Function to find which of the caller's contacts use the app ({ hashes }). Each hash is
+// hex(sha256(CLIENT_SALT + E.164 number)). Returns the user id and username behind each
+// matching hash, for users who opted in to being discoverable and haven't blocked the caller.
+exports.matchContacts = functions
+    .runWith({ secrets: [INDEX_SECRET] })
+    .https.onCall(loggedCall('matchContacts', async (data, context) => {
+        const userId = requireAuth(context);
+        const hashes = data && data.hashes;
+        if (!Array.isArray(hashes) || hashes.some(hash => typeof hash !== 'string' || !HASH_PATTERN.test(hash))) {
+            throw new functions.https.HttpsError('invalid-argument', 'hashes must be a list of hex SHA-256 hashes');
+        }
+
+        const uniqueHashes = Array.from(new Set(hashes));
+        if (uniqueHashes.length > MAX_HASHES_PER_CALL) {
+            throw new functions.https.HttpsError('invalid-argument', `At most ${MAX_HASHES_PER_CALL} hashes per call`);
+        }
+        if (uniqueHashes.length === 0) {
+            return { success: true, matches: [] };
+        }
+
+        if (!(await consumeMatchQuota(userId, uniqueHashes.length))) {
+            throw new functions.https.HttpsError('resource-exhausted', 'Too many contacts checked today, try again later');
+        }
+
+        const db = admin.firestore();
+        const indexDocs = await db.getAll(...uniqueHashes.map(hash => phoneIndexRef(indexKey(hash))));
+        const candidates = indexDocs
+            .map((doc, index) => doc.exists ? { hash: uniqueHashes[index], userId: doc.get('userId') } : null)
+            .filter(candidate => candidate && candidate.userId && candidate.userId !== userId);
+        if (candidates.length === 0) {
+            return { success: true, matches: [] };
+        }
+
+        // The index can briefly lag a settings change, so confirm the opt-in from the settings themselves
+        const [settingsDocs, userDocs] = await Promise.all([
+            db.getAll(...candidates.map(candidate => contactSettingsRef(candidate.userId))),
+            db.getAll(...candidates.map(candidate => db.collection('users').doc(candidate.userId)))
+        ]);
+        const matches = (await Promise.all(candidates.map(async (candidate, index) => {
+            const userDoc = userDocs[index];
+            if (!userDoc.exists || settingsDocs[index].get('discoverableByPhone') !== true) {
+                return null;
+            }
+            if ((await getBlockStatus(userId, candidate.userId)) === 'blocked') {
+                return null;
+            }
+            return { hash: candidate.hash, userId: candidate.userId, username: userDoc.get('username') || 'Unknown User' };
+        }))).filter(Boolean);
+
+        logger.info('Matched contacts', { matched: matches.length, checked: uniqueHashes.length });
+        return { success: true, matches: matches };
+    }));
+
+exports.normalizePhoneNumber = normalizePhoneNumber;
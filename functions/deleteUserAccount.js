@@ -1,31 +1,384 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { reconcileUserRating } = require('./ratings');
+const { readFollow, removeFollow } = require('./follows');
+const { mapWithConcurrency } = require('./fanout');
+const { BLOCKED, MUTED } = require('./blocks');
+const { logger, loggedCall } = require('./logger');
 
-// Cloud Function to delete a Firebase Auth user (requires admin privileges)
-exports.deleteUserAccount = functions.https.onCall(async (data, context) => {
-    // Verify that the user is authenticated
-    if (!context.auth) {
-        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+const DELETION_PAGE_SIZE = 200;
+// Relationships unwound at once, each in its own transaction
+const RELATIONSHIP_CONCURRENCY = 10;
+// Longer than the function timeout, so a lease only outlives a run that crashed
+const DELETION_LEASE_MS = 10 * 60 * 1000;
+
+// Subcollections under users/{uid} that belong to the deleted user
+const USER_SUBCOLLECTIONS = ['rankings', 'following', 'followers', 'friends', 'futureCannes', 'activities', 'feed', 'blocked', 'muted', 'tokens', 'private'];
+
+// The user's relationship lists, each with how to unwind one entry inside a transaction
+const RELATIONSHIP_LISTS = {
+    // Follows go through the follows module so counts are only decremented where they were
+    // counted, and a side that's already gone isn't counted twice
+    followers: async (transaction, userId, otherUserId) => {
+        removeFollow(transaction, await readFollow(transaction, otherUserId, userId));
+    },
+    following: async (transaction, userId, otherUserId) => {
+        removeFollow(transaction, await readFollow(transaction, userId, otherUserId));
+    },
+    friends: async (transaction, userId, otherUserId) => {
+        const users = admin.firestore().collection('users');
+        transaction.delete(users.doc(otherUserId).collection('friends').doc(userId));
+        transaction.delete(users.doc(userId).collection('friends').doc(otherUserId));
+    }
+};
+
+// Remove the user's rankings and their contribution to community ratings.
+// Rankings are deleted a page at a time and each affected title is reconciled against the
+// contributors ledger, so a resumed run never subtracts the same score twice.
+async function removeRankingsAndRatings(userId) {
+    const db = admin.firestore();
+    const rankingsRef = db.collection('users').doc(userId).collection('rankings');
+    let removed = 0;
+
+    while (true) {
+        const snapshot = await rankingsRef.limit(DELETION_PAGE_SIZE).get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        const tmdbIds = new Map();
+        snapshot.docs.forEach(doc => {
+            const tmdbId = doc.get('tmdbId');
+            if (tmdbId) {
+                tmdbIds.set(tmdbId, doc.id);
+            }
+            batch.delete(doc.ref);
+        });
+        await batch.commit();
+
+        for (const [tmdbId, rankingId] of tmdbIds) {
+            await reconcileUserRating(userId, tmdbId, rankingId);
+        }
+        removed += snapshot.size;
+    }
+
+    logger.info('Removed rankings and their community ratings', { removed: removed });
+    return removed;
+}
+
+// Remove the user from other users' followers/following/friends lists. Each relationship is
+// unwound in a transaction that removes the other side, its count and our own entry together,
+// so our remaining entries are exactly the work left.
+async function removeFromOtherUsersLists(userId) {
+    const db = admin.firestore();
+    const userRef = db.collection('users').doc(userId);
+    let removed = 0;
+
+    for (const [list, unwind] of Object.entries(RELATIONSHIP_LISTS)) {
+        while (true) {
+            const snapshot = await userRef.collection(list).select().limit(DELETION_PAGE_SIZE).get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            await mapWithConcurrency(snapshot.docs, RELATIONSHIP_CONCURRENCY, doc =>
+                db.runTransaction(transaction => unwind(transaction, userId, doc.id)));
+            removed += snapshot.size;
+        }
+    }
+
+    logger.info('Removed user from other users\' lists', { removed: removed });
+    return removed;
+}
+
+// Delete every document a query matches, a page at a time
+async function deleteQueryResults(query) {
+    const db = admin.firestore();
+    let deleted = 0;
+
+    while (true) {
+        const snapshot = await query.limit(DELETION_PAGE_SIZE).get();
+        if (snapshot.empty) {
+            return deleted;
+        }
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        deleted += snapshot.size;
+    }
+}
+
+// Delete the user's takes across all titles
+async function deleteTakes(userId) {
+    const deleted = await deleteQueryResults(
+        admin.firestore().collectionGroup('userTakes').where('userId', '==', userId)
+    );
+    logger.info('Deleted takes', { deleted: deleted });
+    return deleted;
+}
+
+// Delete the user's entries in the global activities feed
+async function deleteActivities(userId) {
+    const deleted = await deleteQueryResults(
+        admin.firestore().collection('activities').where('userId', '==', userId)
+    );
+    logger.info('Deleted activities', { deleted: deleted });
+    return deleted;
+}
+
+// Remove other users' blocks and mutes of the user
+async function deleteBlocksAndMutes(userId) {
+    let deleted = 0;
+    for (const list of [BLOCKED, MUTED]) {
+        deleted += await deleteQueryResults(
+            admin.firestore().collectionGroup(list).where('targetUserId', '==', userId)
+        );
+    }
+    logger.info('Deleted blocks and mutes', { deleted: deleted });
+    return deleted;
+}
+
+// Delete the review queue entries for the user's takes
+async function deleteTakeReports(userId) {
+    const deleted = await deleteQueryResults(
+        admin.firestore().collection('takeReports').where('authorId', '==', userId)
+    );
+    logger.info('Deleted take reports', { deleted: deleted });
+    return deleted;
+}
+
+// Delete the notification fan-outs the user sent and their recipient entries in everyone else's
+async function deleteNotificationFanouts(userId) {
+    const db = admin.firestore();
+    let deleted = 0;
+
+    while (true) {
+        const snapshot = await db.collection('notificationFanouts')
+            .where('senderId', '==', userId)
+            .limit(DELETION_PAGE_SIZE)
+            .get();
+        if (snapshot.empty) {
+            break;
+        }
+        for (const doc of snapshot.docs) {
+            await db.recursiveDelete(doc.ref);
+        }
+        deleted += snapshot.size;
+    }
+    deleted += await deleteQueryResults(db.collectionGroup('recipients').where('recipientId', '==', userId));
+
+    logger.info('Deleted notification fan-out records', { deleted: deleted });
+    return deleted;
+}
+
+// Take the user out of group lists. Lists left with fewer than two members are deleted, and
+// lists they owned pass to the next member.
+async function removeFromGroupLists(userId) {
+    const db = admin.firestore();
+    let updated = 0;
+
+    while (true) {
+        const snapshot = await db.collection('groupLists')
+            .where('memberIds', 'array-contains', userId)
+            .limit(DELETION_PAGE_SIZE)
+            .get();
+        if (snapshot.empty) {
+            break;
+        }
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => {
+            const memberIds = (doc.get('memberIds') || []).filter(memberId => memberId !== userId);
+            if (memberIds.length < 2) {
+                batch.delete(doc.ref);
+                return;
+            }
+            batch.update(doc.ref, {
+                memberIds: memberIds,
+                ownerId: doc.get('ownerId') === userId ? memberIds[0] : doc.get('ownerId'),
+                [`votes.${userId}`]: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+        updated += snapshot.size;
+    }
+
+    logger.info('Removed user from group lists', { updated: updated });
+    return updated;
+}
+
+// Delete the user's share links
+async function deleteShareLinks(userId) {
+    const deleted = await deleteQueryResults(
+        admin.firestore().collection('shareLinks').where('userId', '==', userId)
+    );
+    logger.info('Deleted share links', { deleted: deleted });
+    return deleted;
+}
+
+// Release the usernames the user holds, including ones still held after a rename
+async function deleteUsernames(userId) {
+    const deleted = await deleteQueryResults(
+        admin.firestore().collection('usernames').where('userId', '==', userId)
+    );
+    logger.info('Released usernames', { released: deleted });
+    return deleted;
+}
+
+// Recursively delete the user's own subcollections and profile document
+async function deletePersonalData(userId) {
+    const db = admin.firestore();
+    const userRef = db.collection('users').doc(userId);
+
+    for (const subcollection of USER_SUBCOLLECTIONS) {
+        await db.recursiveDelete(userRef.collection(subcollection));
     }
-    
-    const userId = context.auth.uid;
-    const reason = data.reason || 'User requested account deletion';
-    
+    await db.recursiveDelete(userRef);
+
+    logger.info('Deleted personal data');
+    return USER_SUBCOLLECTIONS.length;
+}
+
+// Delete the Firebase Auth user, treating an already deleted user as done
+async function deleteAuthUser(userId) {
     try {
-        console.log(`🗑️ CLOUD FUNCTION: Starting account deletion for user: ${userId}`);
-        console.log(`🗑️ CLOUD FUNCTION: Reason: ${reason}`);
-        
-        // Delete the Firebase Auth user
         await admin.auth().deleteUser(userId);
-        
-        console.log(`✅ CLOUD FUNCTION: Successfully deleted Firebase Auth user: ${userId}`);
-        
-        return {
-            success: true,
-            message: 'Account deleted successfully'
-        };
     } catch (error) {
-        console.error(`❌ CLOUD FUNCTION: Error deleting user ${userId}:`, error);
-        throw new functions.https.HttpsError('internal', 'Failed to delete user account', error.message);
+        if (error.code !== 'auth/user-not-found') {
+            throw error;
+        }
+    }
+    logger.info('Deleted Firebase Auth user');
+    return 1;
+}
+
+// Ordered deletion steps. Ratings must be adjusted before rankings disappear, and relationships
+// must be unwound before the user's own following/followers lists are deleted.
+const DELETION_STEPS = [
+    { name: 'ratings', run: removeRankingsAndRatings },
+    { name: 'relationships', run: removeFromOtherUsersLists },
+    { name: 'takes', run: deleteTakes },
+    { name: 'activities', run: deleteActivities },
+    { name: 'usernames', run: deleteUsernames },
+    { name: 'blocksAndMutes', run: deleteBlocksAndMutes },
+    { name: 'takeReports', run: deleteTakeReports },
+    { name: 'notificationFanouts', run: deleteNotificationFanouts },
+    { name: 'groupLists', run: removeFromGroupLists },
+    { name: 'shareLinks', run: deleteShareLinks },
+    { name: 'personalData', run: deletePersonalData },
+    { name: 'auth', run: deleteAuthUser }
+];
+
+// Count what the user has before anything is deleted, for the audit record
+async function countUserContent(userId) {
+    const db = admin.firestore();
+    const [rankingsCount, takesCount, activitiesCount] = await Promise.all([
+        db.collection('users').doc(userId).collection('rankings').count().get(),
+        db.collectionGroup('userTakes').where('userId', '==', userId).count().get(),
+        db.collection('activities').where('userId', '==', userId).count().get()
+    ]);
+
+    return {
+        rankingsCount: rankingsCount.data().count,
+        takesCount: takesCount.data().count,
+        activitiesCount: activitiesCount.data().count
+    };
+}
+
+// Create the accountDeletions audit record the first time, or load it when resuming. Either
+// way the record's lease is taken, so a retry while an earlier run is still going is refused
+// rather than unwinding the same relationships twice.
+async function acquireDeletionRecord(userId, reason) {
+    const db = admin.firestore();
+    const recordRef = db.collection('accountDeletions').doc(userId);
+    const existing = await recordRef.get();
+    const counts = existing.exists ? null : await countUserContent(userId);
+
+    const completedSteps = await db.runTransaction(async (transaction) => {
+        const recordDoc = await transaction.get(recordRef);
+        const now = Date.now();
+
+        if (!recordDoc.exists) {
+            if (!counts) {
+                throw new functions.https.HttpsError('aborted', 'Account deletion record changed; try again');
+            }
+            transaction.set(recordRef, {
+                userId: userId,
+                deletionReason: reason,
+                deletionTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+                status: 'in_progress',
+                completedSteps: [],
+                ...counts,
+                legalCompliance: true,
+                dataRetentionPolicy: 'Complete deletion as per legal request',
+                leaseExpiresAt: now + DELETION_LEASE_MS
+            });
+            return [];
+        }
+
+        if ((recordDoc.get('leaseExpiresAt') || 0) > now) {
+            throw new functions.https.HttpsError('failed-precondition', 'Account deletion is already in progress');
+        }
+        transaction.update(recordRef, { leaseExpiresAt: now + DELETION_LEASE_MS });
+        return recordDoc.get('completedSteps') || [];
+    });
+
+    if (existing.exists) {
+        logger.info('Resuming account deletion', { completedSteps: completedSteps });
     }
-});
+    return { recordRef, completedSteps };
+}
+
+// Cloud Function to delete the caller's account and all of their data.
+// Every step is idempotent and recorded in accountDeletions/{uid}, so calling it again after a
+// timeout picks up where the previous run stopped. Only one run holds the record at a time.
+exports.deleteUserAccount = functions
+    .runWith({ timeoutSeconds: 540, memory: '512MB' })
+    .https.onCall(loggedCall('deleteUserAccount', async (data, context) => {
+        // Verify that the user is authenticated
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+        }
+
+        const userId = context.auth.uid;
+        const reason = (data && data.reason) || 'User requested account deletion';
+
+        logger.info('Starting account deletion', { reason: reason });
+        const { recordRef, completedSteps } = await acquireDeletionRecord(userId, reason);
+
+        try {
+            const counts = {};
+
+            for (const step of DELETION_STEPS) {
+                if (completedSteps.includes(step.name)) {
+                    continue;
+                }
+
+                counts[step.name] = await step.run(userId);
+                await recordRef.update({
+                    completedSteps: admin.firestore.FieldValue.arrayUnion(step.name)
+                });
+            }
+
+            await recordRef.update({
+                status: 'completed',
+                completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                leaseExpiresAt: 0
+            });
+
+            logger.info('Completed account deletion', { counts: counts });
+
+            return {
+                success: true,
+                message: 'Account deleted successfully',
+                counts: counts
+            };
+        } catch (error) {
+            logger.error('Failed to delete user account', { error: error });
+            await recordRef.update({ leaseExpiresAt: 0 });
+            throw new functions.https.HttpsError('internal', 'Failed to delete user account', error.message);
+        }
+    }));
@@ -0,0 +1,134 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { adminCallable } = require('./admin');
+const { logger, currentLogContext } = require('./logger');
+
+// Outcomes notifyUser reports, in the order the stats list them
+const DELIVERY_STATUSES = ['sent', 'queued', 'no_token', 'failed', 'suppressed'];
+// Delivery log entries are removed by a TTL policy on expiresAt after this long
+const DELIVERY_RETENTION_DAYS = 90;
+// Daily counters are spread over this many docs so a large fan-out doesn't contend on one
+const STATS_SHARDS = 10;
+const DEFAULT_STATS_DAYS = 7;
+const MAX_STATS_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayId(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// notificationStats/{day}_{shard}: { day, counts: { [type]: { [status]: count } } }
+function statsRef(day, shard) {
+    return admin.firestore().collection('notificationStats').doc(`${day}_${shard}`);
+}
+
+// Record one notification attempt in notificationDeliveries and count it in the day's stats.
+// Never throws: losing a log entry mustn't fail the notification it describes.
+async function recordDelivery(result, senderId) {
+    const now = new Date();
+    const day = dayId(now);
+    const context = currentLogContext();
+
+    try {
+        const db = admin.firestore();
+        const batch = db.batch();
+        batch.set(db.collection('notificationDeliveries').doc(), {
+            targetUserId: result.targetUserId,
+            senderId: senderId || null,
+            type: result.type,
+            status: result.status,
+            reason: result.reason || result.error || null,
+            successCount: result.successCount || 0,
+            failureCount: result.failureCount || 0,
+            prunedCount: result.prunedCount || 0,
+            functionName: context.functionName || null,
+            correlationId: context.correlationId || null,
+            day: day,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: admin.firestore.Timestamp.fromMillis(now.getTime() + DELIVERY_RETENTION_DAYS * DAY_MS)
+        });
+        batch.set(statsRef(day, Math.floor(Math.random() * STATS_SHARDS)), {
+            day: day,
+            counts: { [result.type]: { [result.status]: admin.firestore.FieldValue.increment(1) } }
+        }, { merge: true });
+        await batch.commit();
+    } catch (error) {
+        logger.error('Failed to record notification delivery', {
+            targetUserId: result.targetUserId,
+            type: result.type,
+            status: result.status,
+            error: error
+        });
+    }
+}
+
+// Counts for one type plus the share of push attempts (sent, failed or no token) that ended
+// each way. Suppressed and queued notifications never reached the push stage.
+function summarizeCounts(counts) {
+    const summary = {};
+    DELIVERY_STATUSES.forEach(status => {
+        summary[status] = counts[status] || 0;
+    });
+
+    const pushAttempts = summary.sent + summary.failed + summary.no_token;
+    const rate = count => pushAttempts > 0 ? Math.round((count / pushAttempts) * 1000) / 1000 : null;
+
+    return {
+        ...summary,
+        total: DELIVERY_STATUSES.reduce((sum, status) => sum + summary[status], 0),
+        pushAttempts: pushAttempts,
+        sendRate: rate(summary.sent),
+        failureRate: rate(summary.failed),
+        noTokenRate: rate(summary.no_token)
+    };
+}
+
+function addCounts(into, counts) {
+    Object.entries(counts || {}).forEach(([status, count]) => {
+        into[status] = (into[status] || 0) + (count || 0);
+    });
+}
+
+// Cloud Function to report notification outcomes by type and day ({ days, type }), newest day
+// first, with totals over the whole range (admin only)
+exports.getNotificationStats = adminCallable('getNotificationStats', async (data) => {
+    const days = data.days === undefined ? DEFAULT_STATS_DAYS : parseInt(data.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+        throw new functions.https.HttpsError('invalid-argument', `days must be between 1 and ${MAX_STATS_DAYS}`);
+    }
+    if (data.type !== undefined && typeof data.type !== 'string') {
+        throw new functions.https.HttpsError('invalid-argument', 'type must be a notification type');
+    }
+
+    const today = Date.now();
+    const dayIds = Array.from({ length: days }, (_, index) => dayId(new Date(today - index * DAY_MS)));
+    const refs = dayIds.flatMap(day => Array.from({ length: STATS_SHARDS }, (_, shard) => statsRef(day, shard)));
+    const docs = await admin.firestore().getAll(...refs);
+
+    const byDay = new Map(dayIds.map(day => [day, {}]));
+    const totals = {};
+    docs.filter(doc => doc.exists).forEach(doc => {
+        const dayCounts = byDay.get(doc.get('day'));
+        Object.entries(doc.get('counts') || {}).forEach(([type, counts]) => {
+            if (!dayCounts || (data.type && type !== data.type)) {
+                return;
+            }
+            dayCounts[type] = dayCounts[type] || {};
+            totals[type] = totals[type] || {};
+            addCounts(dayCounts[type], counts);
+            addCounts(totals[type], counts);
+        });
+    });
+
+    const summarizeTypes = counts => Object.fromEntries(
+        Object.entries(counts).map(([type, typeCounts]) => [type, summarizeCounts(typeCounts)]));
+
+    return {
+        success: true,
+        days: dayIds.map(day => ({ day: day, types: summarizeTypes(byDay.get(day)) })),
+        totals: summarizeTypes(totals)
+    };
+});
+
+exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+exports.recordDelivery = recordDelivery;
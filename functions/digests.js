@@ -0,0 +1,140 @@
+const admin = require('firebase-admin');
+const { localTime } = require('./preferences');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Daily digests go out at this local hour in the recipient's time zone
+const DAILY_DIGEST_HOUR = 18;
+
+// Notification types that can be held back and collapsed into a digest
+const DIGEST_TYPES = ['movie_rating', 'movie_comment'];
+
+// The next time the recipient's wall clock reads `targetMinutes` past midnight
+function nextLocalTime(timeZone, now, targetMinutes) {
+    const { minutes } = localTime(timeZone, now);
+    const minutesUntil = ((targetMinutes - minutes + 1440) % 1440) || 1440;
+    return new Date(now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds() + minutesUntil * 60 * 1000);
+}
+
+// When a queued item should be delivered for the given delivery mode
+function computeDueAt(delivery, timeZone, now) {
+    if (delivery === 'hourly') {
+        return new Date(Math.ceil((now.getTime() + 1) / HOUR_MS) * HOUR_MS);
+    }
+
+    // daily: the next DAILY_DIGEST_HOUR:00 on the recipient's wall clock
+    return nextLocalTime(timeZone, now, DAILY_DIGEST_HOUR * 60);
+}
+
+// When a digest held back for `reason` can next be tried: the end of quiet hours, the
+// recipient's next local day for the daily cap, otherwise the next hourly run
+function computeHeldUntil(reason, preferences, now) {
+    if (reason === 'quiet_hours') {
+        const [hours, minutes] = preferences.quietHours.end.split(':').map(value => parseInt(value, 10));
+        return nextLocalTime(preferences.timeZone, now, hours * 60 + minutes);
+    }
+    if (reason === 'daily_cap') {
+        return nextLocalTime(preferences.timeZone, now, 0);
+    }
+    return new Date(now.getTime() + HOUR_MS);
+}
+
+// Push a held-back digest's items to when the hold ends. Until then they stay out of the due
+// query, so recipients who are being held can't crowd out everyone else's digests.
+async function deferDigestItems(items, dueAt) {
+    const batch = admin.firestore().batch();
+    items.forEach(item => batch.update(item.ref, { dueAt: admin.firestore.Timestamp.fromDate(dueAt) }));
+    await batch.commit();
+}
+
+// Add a notification to the recipient's pending digest queue
+async function enqueueDigestItem(targetUserId, type, payload, preferences) {
+    const now = new Date();
+    const dueAt = computeDueAt(preferences.delivery, preferences.timeZone, now);
+
+    await admin.firestore()
+        .collection('users')
+        .doc(targetUserId)
+        .collection('pendingNotifications')
+        .add({
+            type: type,
+            payload: payload,
+            delivery: preferences.delivery,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            dueAt: admin.firestore.Timestamp.fromDate(dueAt)
+        });
+
+    return dueAt;
+}
+
+// Describe one sender's queued activity, e.g. "Alex rated 6 movies, including Dune (8.9)"
+function describeSender(username, items) {
+    const ratings = items.filter(item => item.type === 'movie_rating');
+    const comments = items.filter(item => item.type === 'movie_comment');
+    const parts = [];
+
+    if (ratings.length > 0) {
+        const top = ratings.reduce((best, item) => Number(item.payload.score) > Number(best.payload.score) ? item : best);
+        const topText = `${top.payload.movieTitle} (${Number(top.payload.score).toFixed(1)})`;
+        parts.push(ratings.length === 1
+            ? `rated ${topText}`
+            : `rated ${ratings.length} movies, including ${topText}`);
+    }
+    if (comments.length > 0) {
+        parts.push(comments.length === 1
+            ? `commented on ${comments[0].payload.movieTitle}`
+            : `commented on ${comments.length} movies`);
+    }
+
+    return `${username} ${parts.join(' and ')}`;
+}
+
+// Collapse a recipient's queued items into one digest summary line
+function summarizeDigest(items) {
+    const bySender = new Map();
+    for (const item of items) {
+        const senderId = item.payload.userId;
+        if (!bySender.has(senderId)) {
+            bySender.set(senderId, { username: item.payload.username, items: [] });
+        }
+        bySender.get(senderId).items.push(item);
+    }
+
+    // Most active people first
+    const senders = Array.from(bySender.values()).sort((a, b) => b.items.length - a.items.length);
+    const lines = senders.slice(0, 2).map(sender => describeSender(sender.username, sender.items));
+    const others = senders.length - lines.length;
+    if (others > 0) {
+        lines.push(`${others} more ${others === 1 ? 'person was' : 'people were'} active`);
+    }
+
+    return lines.join('. ');
+}
+
+// Load queued items that are due, grouped by recipient
+async function loadDueDigests(now, limit) {
+    const snapshot = await admin.firestore()
+        .collectionGroup('pendingNotifications')
+        .where('dueAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('dueAt')
+        .limit(limit)
+        .get();
+
+    const byRecipient = new Map();
+    for (const doc of snapshot.docs) {
+        const recipientId = doc.ref.parent.parent.id;
+        if (!byRecipient.has(recipientId)) {
+            byRecipient.set(recipientId, []);
+        }
+        byRecipient.get(recipientId).push({ ref: doc.ref, ...doc.data() });
+    }
+
+    return byRecipient;
+}
+
+exports.DIGEST_TYPES = DIGEST_TYPES;
+exports.computeDueAt = computeDueAt;
+exports.computeHeldUntil = computeHeldUntil;
+exports.deferDigestItems = deferDigestItems;
+exports.enqueueDigestItem = enqueueDigestItem;
+exports.summarizeDigest = summarizeDigest;
+exports.loadDueDigests = loadDueDigests;
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { notifyUser } = require('./notifications');
+const { logger, loggedEvent } = require('./logger');
+
+// Followers checked straight from the callable; larger fan-outs go to the chunk queue
+const INLINE_FANOUT_LIMIT = 50;
+// Followers per queued chunk document (each chunk is one worker invocation)
+const FANOUT_CHUNK_SIZE = 100;
+// Notifications in flight at once inside a single invocation
+const FANOUT_CONCURRENCY = 10;
+// Follower rankings looked up at once when finding who ranked a title
+const RANKING_LOOKUP_CONCURRENCY = 50;
+const PAGE_SIZE = 1000;
+const FANOUT_RETRY_WINDOW_MS = 60 * 60 * 1000;
+
+// Page through a query collecting only document references
+async function collectRefs(query) {
+    const refs = [];
+    let lastDoc = null;
+
+    while (true) {
+        let page = query.select().limit(PAGE_SIZE);
+        if (lastDoc) {
+            page = page.startAfter(lastDoc);
+        }
+
+        const snapshot = await page.get();
+        snapshot.docs.forEach(doc => refs.push(doc.ref));
+        if (snapshot.size < PAGE_SIZE) {
+            return refs;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+// Read one page of a user's follower ids in id order, starting after `startAfterId`
+async function followerPage(userId, startAfterId, limit) {
+    let query = admin.firestore().collection('users').doc(userId).collection('followers')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select()
+        .limit(limit);
+    if (startAfterId) {
+        query = query.startAfter(startAfterId);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.id);
+}
+
+// Keep the followers who have ranked the given title. Each follower's rankings are checked
+// with a one-document query, so the cost follows the page rather than how many people
+// ranked the title.
+async function filterWhoRanked(followerIds, tmdbId) {
+    const db = admin.firestore();
+    const ranked = await mapWithConcurrency(followerIds, RANKING_LOOKUP_CONCURRENCY, async (followerId) => {
+        const snapshot = await db.collection('users').doc(followerId).collection('rankings')
+            .where('tmdbId', '==', tmdbId)
+            .select()
+            .limit(1)
+            .get();
+        return !snapshot.empty;
+    });
+
+    return followerIds.filter((_, index) => ranked[index]);
+}
+
+// Run `worker` over `items` with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+// Stable id for one notification event, so a retried call maps onto the same fan-out record
+// however much later it comes
+function fanoutId(senderId, type, eventKey) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([senderId, type, eventKey]))
+        .digest('hex');
+}
+
+// Notify each recipient at most once per fan-out. A recipient is claimed with create() before
+// sending; failed sends release the claim so a retry can try them again.
+async function notifyRecipientsOnce(fanoutRef, recipientIds, type, payload) {
+    return mapWithConcurrency(recipientIds, FANOUT_CONCURRENCY, async (recipientId) => {
+        const recipientRef = fanoutRef.collection('recipients').doc(recipientId);
+
+        try {
+            await recipientRef.create({
+                recipientId: recipientId,
+                status: 'sending',
+                claimedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            if (error.code === 6) {
+                // ALREADY_EXISTS: notified (or being notified) by an earlier attempt
+                return { targetUserId: recipientId, type: type, success: true, status: 'duplicate' };
+            }
+            throw error;
+        }
+
+        const result = await notifyUser(recipientId, type, payload);
+        if (result.status === 'failed') {
+            await recipientRef.delete();
+        } else {
+            await recipientRef.set({ status: result.status, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        }
+        return result;
+    });
+}
+
+// Queue page `index` of a fan-out. Chunk ids are their page number, so a retried caller or
+// worker finds the chunk already queued and leaves it alone.
+async function queueFanoutChunk(fanoutRef, index, chunk) {
+    try {
+        await fanoutRef.collection('chunks').doc(String(index)).create({
+            ...chunk,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        if (error.code !== 6) {
+            throw error;
+        }
+    }
+}
+
+// Notify the sender's followers who ranked `tmdbId`. Small audiences are notified inline and
+// get per-recipient results back. Larger ones are handed to processNotificationFanoutChunk,
+// which reads the followers a page at a time and queues the next page as it goes, so the
+// caller never walks the whole follower list. `eventKey` names what triggered the
+// notification (a take, a rating), so repeats of the same event reuse one fan-out.
+async function notifyFollowersWhoRanked(senderId, type, payload, eventKey) {
+    const db = admin.firestore();
+    const fanoutRef = db.collection('notificationFanouts').doc(fanoutId(senderId, type, eventKey));
+    const followerIds = await followerPage(senderId, null, INLINE_FANOUT_LIMIT + 1);
+    const queued = followerIds.length > INLINE_FANOUT_LIMIT;
+
+    await fanoutRef.set({
+        senderId: senderId,
+        type: type,
+        tmdbId: payload.tmdbId,
+        queued: queued,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    if (!queued) {
+        const recipients = await filterWhoRanked(followerIds, payload.tmdbId);
+        const results = await notifyRecipientsOnce(fanoutRef, recipients, type, payload);
+        return { fanoutId: fanoutRef.id, recipients: recipients, queued: false, results: results };
+    }
+
+    await queueFanoutChunk(fanoutRef, 0, { senderId: senderId, type: type, payload: payload, startAfter: null });
+
+    logger.info('Queued notification fan-out', { fanoutId: fanoutRef.id });
+    return { fanoutId: fanoutRef.id, recipients: [], queued: true, results: [] };
+}
+
+// Cloud Function worker that handles one page of followers in a large fan-out: it queues the
+// next page first, then notifies the followers on this page who ranked the title.
+// Throwing makes Cloud Functions retry; recipients already notified are skipped.
+exports.processNotificationFanoutChunk = functions
+    .runWith({ failurePolicy: true, timeoutSeconds: 300 })
+    .firestore.document('notificationFanouts/{fanoutId}/chunks/{chunkId}')
+    .onCreate(loggedEvent('processNotificationFanoutChunk', async (snapshot, context) => {
+        const { senderId, type, payload, startAfter } = snapshot.data();
+        const fanoutRef = snapshot.ref.parent.parent;
+
+        const followerIds = await followerPage(senderId, startAfter, FANOUT_CHUNK_SIZE);
+        if (followerIds.length === FANOUT_CHUNK_SIZE) {
+            await queueFanoutChunk(fanoutRef, Number(context.params.chunkId) + 1, {
+                senderId: senderId,
+                type: type,
+                payload: payload,
+                startAfter: followerIds[followerIds.length - 1]
+            });
+        }
+
+        const recipients = await filterWhoRanked(followerIds, payload.tmdbId);
+        const results = await notifyRecipientsOnce(fanoutRef, recipients, type, payload);
+        const failed = results.filter(result => result.status === 'failed');
+
+        logger.info('Processed notification fan-out chunk', {
+            fanoutId: context.params.fanoutId,
+            chunkId: context.params.chunkId,
+            followers: followerIds.length,
+            handled: results.length - failed.length,
+            recipients: results.length
+        });
+
+        // Give up on retries after an hour rather than retrying a broken recipient for days
+        const ageMs = Date.now() - Date.parse(context.timestamp);
+        if (failed.length > 0 && ageMs < FANOUT_RETRY_WINDOW_MS) {
+            throw new Error(`${failed.length} notifications failed in fan-out ${context.params.fanoutId} chunk ${context.params.chunkId}`);
+        }
+        return null;
+    }));
+
+exports.collectRefs = collectRefs;
+exports.mapWithConcurrency = mapWithConcurrency;
+exports.notifyFollowersWhoRanked = notifyFollowersWhoRanked;
@@ -0,0 +1,233 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { NOTIFICATION_TYPES, notifyUser } = require('./notifications');
+const { getUsername } = require('./activities');
+const { BLOCKED, MUTED, relationshipRef, isBlockedEitherWay } = require('./blocks');
+const { logger, loggedCall } = require('./logger');
+
+// Denormalized counts on users/{uid}, keyed by the subcollection they count
+const COUNT_FIELDS = {
+    followers: 'followersCount',
+    following: 'followingCount'
+};
+
+const MAX_BATCH_WRITES = 500;
+
+// Check the callable's input and return the two user refs a follow, block or mute touches
+function resolveFollowPair(data, context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const targetUserId = data && data.targetUserId;
+    if (typeof targetUserId !== 'string' || targetUserId.length === 0) {
+        throw new functions.https.HttpsError('invalid-argument', 'targetUserId is required');
+    }
+    if (targetUserId === context.auth.uid) {
+        throw new functions.https.HttpsError('invalid-argument', 'Cannot follow, block or mute yourself');
+    }
+
+    const users = admin.firestore().collection('users');
+    return {
+        userId: context.auth.uid,
+        targetUserId: targetUserId,
+        userRef: users.doc(context.auth.uid),
+        targetRef: users.doc(targetUserId)
+    };
+}
+
+// Change a user's follower/following count inside a batch or transaction
+function adjustCount(writer, userRef, list, delta) {
+    writer.set(userRef, {
+        [COUNT_FIELDS[list]]: admin.firestore.FieldValue.increment(delta)
+    }, { merge: true });
+}
+
+// Read one direction of a follow, and the counts it affects, inside a transaction (all reads
+// must come before writes)
+async function readFollow(transaction, userId, targetUserId) {
+    const users = admin.firestore().collection('users');
+    const follow = {
+        userRef: users.doc(userId),
+        targetRef: users.doc(targetUserId),
+        followingRef: users.doc(userId).collection('following').doc(targetUserId),
+        followerRef: users.doc(targetUserId).collection('followers').doc(userId)
+    };
+
+    const [followingDoc, followerDoc, userDoc, targetDoc] = await Promise.all([
+        transaction.get(follow.followingRef),
+        transaction.get(follow.followerRef),
+        transaction.get(follow.userRef),
+        transaction.get(follow.targetRef)
+    ]);
+    return {
+        ...follow,
+        followingExists: followingDoc.exists,
+        followerExists: followerDoc.exists,
+        targetExists: targetDoc.exists,
+        followingCount: userDoc.get(COUNT_FIELDS.following),
+        followersCount: targetDoc.get(COUNT_FIELDS.followers)
+    };
+}
+
+// Counts that were never written (profiles from before they existed) or have already drifted
+// to zero aren't decremented; the integrity audit sets them from the subcollections
+function decrementCount(transaction, userRef, list, current) {
+    if (typeof current === 'number' && current > 0) {
+        adjustCount(transaction, userRef, list, -1);
+    }
+}
+
+// Remove a follow read by readFollow. Each side is only counted if it was there, so
+// half-written legacy relationships clean up correctly. Returns whether anything changed.
+function removeFollow(transaction, follow) {
+    if (follow.followingExists) {
+        transaction.delete(follow.followingRef);
+        decrementCount(transaction, follow.userRef, 'following', follow.followingCount);
+    }
+    if (follow.followerExists) {
+        transaction.delete(follow.followerRef);
+        decrementCount(transaction, follow.targetRef, 'followers', follow.followersCount);
+    }
+    return follow.followingExists || follow.followerExists;
+}
+
+// Delete everything `authorId` has put in `userId`'s feed
+async function removeFromFeed(userId, authorId) {
+    const db = admin.firestore();
+    const snapshot = await db.collection('users').doc(userId).collection('feed')
+        .where('userId', '==', authorId)
+        .select()
+        .get();
+
+    for (let i = 0; i < snapshot.docs.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + MAX_BATCH_WRITES).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+}
+
+// Cloud Function to follow a user. Writes both sides of the relationship and the counts in
+// one transaction, then sends the follow notification. A half-written legacy follow is
+// completed by writing and counting only the missing side.
+exports.followUser = functions.https.onCall(loggedCall('followUser', async (data, context) => {
+    const { userId, targetUserId } = resolveFollowPair(data, context);
+
+    const newFollow = await admin.firestore().runTransaction(async (transaction) => {
+        const [follow, blocked] = await Promise.all([
+            readFollow(transaction, userId, targetUserId),
+            isBlockedEitherWay(transaction, userId, targetUserId)
+        ]);
+
+        if (!follow.targetExists) {
+            throw new functions.https.HttpsError('not-found', 'User not found');
+        }
+        if (blocked) {
+            throw new functions.https.HttpsError('permission-denied', 'Cannot follow this user');
+        }
+        if (follow.followingExists && follow.followerExists) {
+            throw new functions.https.HttpsError('already-exists', 'Already following this user');
+        }
+
+        const followedAt = admin.firestore.FieldValue.serverTimestamp();
+        if (!follow.followingExists) {
+            transaction.set(follow.followingRef, { followedAt: followedAt });
+            adjustCount(transaction, follow.userRef, 'following', 1);
+        }
+        if (!follow.followerExists) {
+            transaction.set(follow.followerRef, { followedAt: followedAt });
+            adjustCount(transaction, follow.targetRef, 'followers', 1);
+        }
+        return !follow.followingExists;
+    });
+
+    logger.info(newFollow ? 'Followed user' : 'Repaired follow', { targetUserId: targetUserId });
+    // Completing a follow the user already had isn't news to the person they follow
+    if (!newFollow) {
+        return { success: true, following: true, notification: null };
+    }
+
+    const notification = await notifyUser(targetUserId, NOTIFICATION_TYPES.USER_FOLLOWED, {
+        userId: userId,
+        username: await getUsername(userId)
+    });
+
+    return { success: true, following: true, notification: notification };
+}));
+
+// Cloud Function to unfollow a user. Unfollowing someone you don't follow is a no-op.
+exports.unfollowUser = functions.https.onCall(loggedCall('unfollowUser', async (data, context) => {
+    const { userId, targetUserId } = resolveFollowPair(data, context);
+
+    const changed = await admin.firestore().runTransaction(async (transaction) => {
+        const follow = await readFollow(transaction, userId, targetUserId);
+        return removeFollow(transaction, follow);
+    });
+
+    if (changed) {
+        logger.info('Unfollowed user', { targetUserId: targetUserId });
+    }
+
+    return { success: true, following: false, changed: changed };
+}));
+
+// Cloud Function to block a user. Removes follows in both directions in the same transaction,
+// then clears each user's activity out of the other's feed.
+exports.blockUser = functions.https.onCall(loggedCall('blockUser', async (data, context) => {
+    const { userId, targetUserId } = resolveFollowPair(data, context);
+
+    await admin.firestore().runTransaction(async (transaction) => {
+        const [outgoing, incoming] = await Promise.all([
+            readFollow(transaction, userId, targetUserId),
+            readFollow(transaction, targetUserId, userId)
+        ]);
+
+        removeFollow(transaction, outgoing);
+        removeFollow(transaction, incoming);
+        transaction.set(relationshipRef(userId, BLOCKED, targetUserId), {
+            targetUserId: targetUserId,
+            blockedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    await Promise.all([removeFromFeed(userId, targetUserId), removeFromFeed(targetUserId, userId)]);
+
+    logger.info('Blocked user', { targetUserId: targetUserId });
+    return { success: true, blocked: true };
+}));
+
+// Cloud Function to unblock a user. Follows removed by the block are not restored.
+exports.unblockUser = functions.https.onCall(loggedCall('unblockUser', async (data, context) => {
+    const { userId, targetUserId } = resolveFollowPair(data, context);
+
+    await relationshipRef(userId, BLOCKED, targetUserId).delete();
+
+    logger.info('Unblocked user', { targetUserId: targetUserId });
+    return { success: true, blocked: false };
+}));
+
+// Cloud Function to mute or unmute a user ({ targetUserId, muted }, muted defaults to true).
+// Muted users can still follow you, but their notifications and feed activity are dropped.
+exports.muteUser = functions.https.onCall(loggedCall('muteUser', async (data, context) => {
+    const { userId, targetUserId } = resolveFollowPair(data, context);
+    const muted = data.muted !== false;
+    const mutedRef = relationshipRef(userId, MUTED, targetUserId);
+
+    if (muted) {
+        await mutedRef.set({
+            targetUserId: targetUserId,
+            mutedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await removeFromFeed(userId, targetUserId);
+    } else {
+        await mutedRef.delete();
+    }
+
+    logger.info(muted ? 'Muted user' : 'Unmuted user', { targetUserId: targetUserId });
+    return { success: true, muted: muted };
+}));
+
+exports.COUNT_FIELDS = COUNT_FIELDS;
+exports.adjustCount = adjustCount;
+exports.readFollow = readFollow;
+exports.removeFollow = removeFollow;
@@ -0,0 +1,267 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isCountableRanking } = require('./ratings');
+const { NOTIFICATION_TYPES, notifyUser } = require('./notifications');
+const { getBlockStatus } = require('./blocks');
+const { getUsername } = require('./activities');
+const { logger, loggedCall } = require('./logger');
+
+const MAX_GROUP_SIZE = 12;
+// Members who must have a title in Future Cannes before it's a group pick
+const MIN_INTERESTED_MEMBERS = 2;
+const DEFAULT_PICKS = 10;
+const MAX_PICKS = 25;
+const MAX_GROUP_NAME_LENGTH = 60;
+// Ratings' worth of "no opinion" each genre affinity is shrunk towards, so one film doesn't
+// make a genre someone's favourite
+const AFFINITY_SHRINKAGE = 3;
+// Score predicted for a member who hasn't ranked anything yet
+const DEFAULT_MEMBER_MEAN = 6.9;
+// Group enjoyment blends the average member with the least happy one, so one member
+// hating a genre weighs on the pick
+const AVERAGE_WEIGHT = 0.7;
+const LEAST_MISERY_WEIGHT = 0.3;
+
+const GROUP_STATUS = {
+    VOTING: 'voting',
+    SETTLED: 'settled'
+};
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+// groupLists/{groupId}: a shared list of picks the members vote on
+function groupRef(groupId) {
+    return admin.firestore().collection('groupLists').doc(groupId);
+}
+
+// Check the requested members and return the full member list, caller first. Future Cannes
+// lists are private, so everyone else must follow the caller and be followed back, be their
+// friend, or follow them and have opted in to group picks with allowGroupPicks on their profile.
+async function resolveMembers(userId, userIds) {
+    if (!Array.isArray(userIds) || userIds.some(id => typeof id !== 'string' || !id)) {
+        throw new functions.https.HttpsError('invalid-argument', 'userIds must be a list of user ids');
+    }
+
+    const memberIds = Array.from(new Set([userId, ...userIds]));
+    if (memberIds.length < 2 || memberIds.length > MAX_GROUP_SIZE) {
+        throw new functions.https.HttpsError('invalid-argument', `A group needs between 2 and ${MAX_GROUP_SIZE} members`);
+    }
+
+    const users = admin.firestore().collection('users');
+    await Promise.all(memberIds.filter(memberId => memberId !== userId).map(async (memberId) => {
+        const [memberDoc, followsCaller, followedByCaller, friendOfCaller, blockStatus] = await Promise.all([
+            users.doc(memberId).get(),
+            users.doc(memberId).collection('following').doc(userId).get(),
+            users.doc(userId).collection('following').doc(memberId).get(),
+            users.doc(memberId).collection('friends').doc(userId).get(),
+            getBlockStatus(memberId, userId)
+        ]);
+        const optedIn = memberDoc.get('allowGroupPicks') === true;
+        const consents = friendOfCaller.exists ||
+            (followsCaller.exists && (followedByCaller.exists || optedIn));
+        if (blockStatus === 'blocked' || !consents) {
+            throw new functions.https.HttpsError('permission-denied', `Cannot add ${memberId} to a group`);
+        }
+    }));
+
+    return memberIds;
+}
+
+// Load what the picks need from one member: Future Cannes, every title they've ranked in any
+// state, and their mean score and per-genre deviation from it
+async function loadMember(memberId) {
+    const userRef = admin.firestore().collection('users').doc(memberId);
+    const [futureCannesSnapshot, rankingsSnapshot] = await Promise.all([
+        userRef.collection('futureCannes').get(),
+        userRef.collection('rankings').select('tmdbId', 'score', 'genres', 'ratingState', 'title', 'mediaType').get()
+    ]);
+
+    const rankings = rankingsSnapshot.docs.map(doc => doc.data());
+    const scored = rankings.filter(isCountableRanking);
+    const mean = scored.length > 0
+        ? scored.reduce((sum, ranking) => sum + ranking.score, 0) / scored.length
+        : DEFAULT_MEMBER_MEAN;
+
+    const genreTotals = new Map();
+    scored.forEach(ranking => (ranking.genres || []).forEach(genre => {
+        if (!genre || !genre.name) {
+            return;
+        }
+        const total = genreTotals.get(genre.name) || { deviation: 0, count: 0 };
+        total.deviation += ranking.score - mean;
+        total.count += 1;
+        genreTotals.set(genre.name, total);
+    }));
+    const affinities = new Map();
+    genreTotals.forEach((total, genre) => affinities.set(genre, total.deviation / (total.count + AFFINITY_SHRINKAGE)));
+
+    return {
+        userId: memberId,
+        mean: mean,
+        affinities: affinities,
+        rankedIds: new Set(rankings.map(ranking => ranking.tmdbId).filter(Boolean)),
+        futureCannes: futureCannesSnapshot.docs.map(doc => doc.data()).filter(item => typeof item.movieId === 'number')
+    };
+}
+
+// Predict a member's score for a title from their mean and their affinity for its genres
+function predictScore(member, genres) {
+    const known = genres.filter(genre => member.affinities.has(genre));
+    const affinity = known.length > 0
+        ? known.reduce((sum, genre) => sum + member.affinities.get(genre), 0) / known.length
+        : 0;
+    return Math.min(Math.max(member.mean + affinity, 0), 10);
+}
+
+// Titles at least MIN_INTERESTED_MEMBERS members want to watch and no member has ranked,
+// best predicted group enjoyment first. Picks only say how many members want each title,
+// not which ones, so a group doesn't reveal anyone's Future Cannes list.
+function computeGroupPicks(members, limit) {
+    const ranked = new Set(members.flatMap(member => Array.from(member.rankedIds)));
+    const titles = new Map();
+
+    members.forEach(member => member.futureCannes.forEach(item => {
+        if (ranked.has(item.movieId)) {
+            return;
+        }
+        if (!titles.has(item.movieId)) {
+            titles.set(item.movieId, {
+                tmdbId: item.movieId,
+                title: item.title || 'Unknown',
+                mediaType: item.mediaType || 'Movie',
+                posterPath: item.posterPath || null,
+                genres: (item.genres || []).map(genre => genre && genre.name).filter(Boolean),
+                interested: new Set()
+            });
+        }
+        titles.get(item.movieId).interested.add(member.userId);
+    }));
+
+    return Array.from(titles.values())
+        .filter(title => title.interested.size >= MIN_INTERESTED_MEMBERS)
+        .map(({ interested, ...title }) => {
+            const predictions = members.map(member => predictScore(member, title.genres));
+            const average = predictions.reduce((sum, score) => sum + score, 0) / predictions.length;
+            const groupScore = AVERAGE_WEIGHT * average + LEAST_MISERY_WEIGHT * Math.min(...predictions);
+            return { ...title, interestedCount: interested.size, groupScore: Math.round(groupScore * 10) / 10 };
+        })
+        .sort((a, b) => b.groupScore - a.groupScore || b.interestedCount - a.interestedCount)
+        .slice(0, limit);
+}
+
+function parseLimit(data) {
+    return Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_PICKS, 1), MAX_PICKS);
+}
+
+// Cloud Function to get watch-party picks for the caller and a set of users ({ userIds, limit })
+exports.getGroupPicks = functions.https.onCall(loggedCall('getGroupPicks', async (data, context) => {
+    const userId = requireAuth(context);
+    const memberIds = await resolveMembers(userId, data && data.userIds);
+    const members = await Promise.all(memberIds.map(loadMember));
+
+    return { success: true, memberIds: memberIds, picks: computeGroupPicks(members, parseLimit(data)) };
+}));
+
+// Cloud Function to start a shared group list ({ name, userIds, limit }) that every member
+// can read and vote on. Returns the new groupId.
+exports.createGroupList = functions.https.onCall(loggedCall('createGroupList', async (data, context) => {
+    const userId = requireAuth(context);
+    const name = data && typeof data.name === 'string' ? data.name.trim().slice(0, MAX_GROUP_NAME_LENGTH) : '';
+    if (!name) {
+        throw new functions.https.HttpsError('invalid-argument', 'name is required');
+    }
+
+    const memberIds = await resolveMembers(userId, data.userIds);
+    const members = await Promise.all(memberIds.map(loadMember));
+    const picks = computeGroupPicks(members, parseLimit(data));
+    if (picks.length === 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'The group has no titles in common to vote on');
+    }
+
+    const ref = admin.firestore().collection('groupLists').doc();
+    await ref.set({
+        name: name,
+        ownerId: userId,
+        memberIds: memberIds,
+        picks: picks,
+        votes: {},
+        status: GROUP_STATUS.VOTING,
+        pick: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info('Started group list', { groupId: ref.id, members: memberIds.length, picks: picks.length });
+    return { success: true, groupId: ref.id, picks: picks };
+}));
+
+// Cloud Function to vote for one of a group list's picks ({ groupId, tmdbId }). Members can
+// change their vote until a pick has a majority, which settles the list and notifies everyone.
+exports.voteGroupPick = functions.https.onCall(loggedCall('voteGroupPick', async (data, context) => {
+    const userId = requireAuth(context);
+    const { groupId, tmdbId } = data || {};
+    if (typeof groupId !== 'string' || !groupId || typeof tmdbId !== 'number') {
+        throw new functions.https.HttpsError('invalid-argument', 'groupId and tmdbId are required');
+    }
+
+    const ref = groupRef(groupId);
+    const result = await admin.firestore().runTransaction(async (transaction) => {
+        const groupDoc = await transaction.get(ref);
+        if (!groupDoc.exists || !(groupDoc.get('memberIds') || []).includes(userId)) {
+            throw new functions.https.HttpsError('not-found', 'Group list not found');
+        }
+        if (groupDoc.get('status') === GROUP_STATUS.SETTLED) {
+            throw new functions.https.HttpsError('failed-precondition', 'This group has already settled on a pick');
+        }
+
+        const pick = (groupDoc.get('picks') || []).find(candidate => candidate.tmdbId === tmdbId);
+        if (!pick) {
+            throw new functions.https.HttpsError('invalid-argument', 'tmdbId is not one of this group\'s picks');
+        }
+
+        const votes = { ...(groupDoc.get('votes') || {}), [userId]: tmdbId };
+        const voteCount = Object.values(votes).filter(vote => vote === tmdbId).length;
+        const memberIds = groupDoc.get('memberIds');
+        const settled = voteCount > memberIds.length / 2;
+
+        transaction.update(ref, {
+            votes: votes,
+            ...(settled ? {
+                status: GROUP_STATUS.SETTLED,
+                pick: { tmdbId: pick.tmdbId, title: pick.title, mediaType: pick.mediaType },
+                settledAt: admin.firestore.FieldValue.serverTimestamp()
+            } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { settled, pick, voteCount, memberIds, name: groupDoc.get('name') };
+    });
+
+    if (result.settled) {
+        const username = await getUsername(userId);
+        await Promise.all(result.memberIds.filter(memberId => memberId !== userId).map(memberId =>
+            notifyUser(memberId, NOTIFICATION_TYPES.GROUP_PICK, {
+                userId: userId,
+                username: username,
+                groupId: groupId,
+                groupName: result.name,
+                movieTitle: result.pick.title,
+                tmdbId: result.pick.tmdbId
+            })));
+        logger.info('Group list settled', { groupId: groupId, tmdbId: result.pick.tmdbId });
+    }
+
+    return {
+        success: true,
+        status: result.settled ? GROUP_STATUS.SETTLED : GROUP_STATUS.VOTING,
+        votes: result.voteCount,
+        pick: result.settled ? result.pick : null
+    };
+}));
+
+exports.computeGroupPicks = computeGroupPicks;
@@ -0,0 +1,498 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { adminCallable } = require('./admin');
+const { isCountableRanking, rebuildRating } = require('./ratings');
+const { mapWithConcurrency } = require('./fanout');
+const { COUNT_FIELDS } = require('./follows');
+const { logger, loggedEvent } = require('./logger');
+
+const USER_PAGE_SIZE = 100;
+const SCAN_PAGE_SIZE = 200;
+const AUDIT_CONCURRENCY = 10;
+// Issues of each type listed in the report; the counts always cover all of them
+const REPORT_SAMPLES = 25;
+// Stop picking up new pages well before the function timeout so the cursor is always saved
+const AUDIT_TIME_BUDGET_MS = 7 * 60 * 1000;
+const AUDIT_LEASE_MS = 9 * 60 * 1000;
+// A new scheduled audit starts this long after the previous one started
+const AUDIT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Community totals are sums of doubles, so allow for rounding
+const TOTAL_SCORE_TOLERANCE = 0.01;
+const MIN_SCORE = 0;
+const MAX_SCORE = 10;
+
+// Issue classes the auditor detects. Each one can be repaired on its own in fix mode.
+const ISSUE_TYPES = {
+    DUPLICATE_RANKINGS: 'duplicateRankings',
+    SCORE_OUT_OF_RANGE: 'scoreOutOfRange',
+    RATING_TOTALS_MISMATCH: 'ratingTotalsMismatch',
+    STALE_MOVIE_COUNT: 'staleMovieCount',
+    FOLLOW_COUNT_MISMATCH: 'followCountMismatch',
+    ORPHANED_TAKES: 'orphanedTakes',
+    ORPHANED_ACTIVITIES: 'orphanedActivities'
+};
+
+// The audit works through these in order, one page at a time, saving its cursor after each
+const PHASES = ['users', 'ratings', 'takes', 'activities'];
+
+// auditConfig/integrity: { fix: [issue types] } turns on repairs for scheduled runs
+function auditConfigRef() {
+    return admin.firestore().collection('auditConfig').doc('integrity');
+}
+
+// auditConfig/integrityRun: the audit in progress ({ reportId }) and when the last one started
+function auditRunRef() {
+    return admin.firestore().collection('auditConfig').doc('integrityRun');
+}
+
+// Users ranking the same title more than once. The fix keeps one ranking per title, the way
+// the app's cleanup did: a finished one first, then the highest score.
+function findDuplicateRankings(userId, rankings) {
+    const byTmdbId = new Map();
+    rankings.filter(ranking => ranking.tmdbId).forEach(ranking => {
+        if (!byTmdbId.has(ranking.tmdbId)) {
+            byTmdbId.set(ranking.tmdbId, []);
+        }
+        byTmdbId.get(ranking.tmdbId).push(ranking);
+    });
+
+    const issues = [];
+    byTmdbId.forEach((group, tmdbId) => {
+        if (group.length < 2) {
+            return;
+        }
+        const [keep, ...remove] = group.slice().sort((a, b) =>
+            Number(isCountableRanking(b)) - Number(isCountableRanking(a)) || (b.score || 0) - (a.score || 0));
+        issues.push({
+            userId: userId,
+            tmdbId: tmdbId,
+            keep: keep.id,
+            remove: remove.map(ranking => ranking.id),
+            fix: async () => {
+                const batch = admin.firestore().batch();
+                remove.forEach(ranking => batch.delete(ranking.ref));
+                await batch.commit();
+            }
+        });
+    });
+    return issues;
+}
+
+// Rankings whose score is not a number or outside 0-10. Out-of-range scores are clamped;
+// scores that aren't numbers at all can only be reported.
+function findScoresOutOfRange(userId, rankings) {
+    const issues = [];
+    rankings.forEach(ranking => {
+        // Rankings still being placed may not have a score yet
+        if (ranking.score === undefined || ranking.score === null) {
+            return;
+        }
+        const score = ranking.score;
+        const valid = typeof score === 'number' && Number.isFinite(score);
+        if (valid && score >= MIN_SCORE && score <= MAX_SCORE) {
+            return;
+        }
+        const clamped = valid ? Math.min(Math.max(score, MIN_SCORE), MAX_SCORE) : null;
+        issues.push({
+            userId: userId,
+            rankingId: ranking.id,
+            tmdbId: ranking.tmdbId ?? null,
+            score: valid ? score : String(score),
+            fix: clamped === null ? null : () => ranking.ref.update({ score: clamped })
+        });
+    });
+    return issues;
+}
+
+// A profile whose movieCount doesn't match how many rankings it has, not counting
+// duplicates that are about to be removed
+function findStaleMovieCount(userDoc, rankings, removedRankingIds) {
+    const actual = rankings.filter(ranking => !removedRankingIds.has(ranking.id)).length;
+    if ((userDoc.get('movieCount') || 0) === actual) {
+        return [];
+    }
+    return [{
+        userId: userDoc.id,
+        stored: userDoc.get('movieCount') ?? null,
+        actual: actual,
+        fix: () => userDoc.ref.update({ movieCount: actual })
+    }];
+}
+
+// A profile whose followersCount or followingCount is missing, negative or doesn't match its
+// followers and following subcollections. Profiles from before the counts existed are
+// backfilled by fixing this class.
+async function findFollowCountMismatch(userDoc) {
+    const lists = Object.keys(COUNT_FIELDS);
+    const snapshots = await Promise.all(lists.map(list => userDoc.ref.collection(list).count().get()));
+
+    const stored = {};
+    const actual = {};
+    lists.forEach((list, index) => {
+        const field = COUNT_FIELDS[list];
+        stored[field] = userDoc.get(field) ?? null;
+        actual[field] = snapshots[index].data().count;
+    });
+    if (Object.keys(actual).every(field => stored[field] === actual[field])) {
+        return [];
+    }
+    return [{
+        userId: userDoc.id,
+        stored: stored,
+        actual: actual,
+        fix: () => userDoc.ref.update(actual)
+    }];
+}
+
+function ratingMismatch(tmdbId, stored, expected) {
+    return { tmdbId: tmdbId, stored: stored, expected: expected, fix: () => rebuildRating(tmdbId) };
+}
+
+// Titles a user counts towards that have no ratings doc at all
+async function findMissingRatings(rankings) {
+    const tmdbIds = Array.from(new Set(rankings.filter(isCountableRanking).map(ranking => ranking.tmdbId)));
+    if (tmdbIds.length === 0) {
+        return [];
+    }
+
+    const db = admin.firestore();
+    const ratingDocs = await db.getAll(...tmdbIds.map(tmdbId => db.collection('ratings').doc(tmdbId.toString())));
+    return tmdbIds
+        .filter((_, index) => !ratingDocs[index].exists)
+        .map(tmdbId => ratingMismatch(tmdbId, null, null));
+}
+
+// Check one user's rankings and profile
+async function auditUser(userDoc, fixTypes) {
+    const rankingsSnapshot = await userDoc.ref.collection('rankings')
+        .select('tmdbId', 'score', 'ratingState', 'title', 'mediaType')
+        .get();
+    const rankings = rankingsSnapshot.docs.map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }));
+
+    const duplicates = findDuplicateRankings(userDoc.id, rankings);
+    const removedRankingIds = new Set(fixTypes.includes(ISSUE_TYPES.DUPLICATE_RANKINGS)
+        ? duplicates.flatMap(issue => issue.remove)
+        : []);
+
+    return {
+        [ISSUE_TYPES.DUPLICATE_RANKINGS]: duplicates,
+        [ISSUE_TYPES.SCORE_OUT_OF_RANGE]: findScoresOutOfRange(userDoc.id, rankings),
+        [ISSUE_TYPES.STALE_MOVIE_COUNT]: findStaleMovieCount(userDoc, rankings, removedRankingIds),
+        [ISSUE_TYPES.FOLLOW_COUNT_MISMATCH]: await findFollowCountMismatch(userDoc),
+        [ISSUE_TYPES.RATING_TOTALS_MISMATCH]: await findMissingRatings(rankings)
+    };
+}
+
+// A ratings doc whose totals disagree with users' countable rankings, counting each user once
+async function auditRating(ratingDoc) {
+    const tmdbId = ratingDoc.get('tmdbId') ?? (Number(ratingDoc.id) || ratingDoc.id);
+    const rankingsSnapshot = await admin.firestore().collectionGroup('rankings')
+        .where('tmdbId', '==', tmdbId)
+        .select('tmdbId', 'score', 'ratingState', 'title', 'mediaType')
+        .get();
+
+    const counted = new Set();
+    const expected = { totalScore: 0, numberOfRatings: 0 };
+    rankingsSnapshot.docs.forEach(doc => {
+        const userId = doc.ref.parent.parent.id;
+        if (counted.has(userId) || !isCountableRanking(doc.data())) {
+            return;
+        }
+        counted.add(userId);
+        expected.totalScore += doc.get('score');
+        expected.numberOfRatings += 1;
+    });
+
+    const stored = { totalScore: ratingDoc.get('totalScore') ?? null, numberOfRatings: ratingDoc.get('numberOfRatings') ?? null };
+    if (stored.numberOfRatings === expected.numberOfRatings &&
+        Math.abs((stored.totalScore || 0) - expected.totalScore) <= TOTAL_SCORE_TOLERANCE) {
+        return {};
+    }
+    return { [ISSUE_TYPES.RATING_TOTALS_MISMATCH]: [ratingMismatch(tmdbId, stored, expected)] };
+}
+
+// Which of `userIds` still have a profile
+async function existingUsers(userIds) {
+    const ids = Array.from(new Set(userIds.filter(Boolean)));
+    if (ids.length === 0) {
+        return new Set();
+    }
+    const db = admin.firestore();
+    const docs = await db.getAll(...ids.map(userId => db.collection('users').doc(userId)));
+    return new Set(docs.filter(doc => doc.exists).map(doc => doc.id));
+}
+
+// Takes whose author no longer has a profile
+async function auditTakes(takeDocs) {
+    const authors = await existingUsers(takeDocs.map(doc => doc.get('userId')));
+    return {
+        [ISSUE_TYPES.ORPHANED_TAKES]: takeDocs
+            .filter(doc => !doc.get('userId') || !authors.has(doc.get('userId')))
+            .map(doc => ({
+                path: doc.ref.path,
+                userId: doc.get('userId') || null,
+                fix: () => admin.firestore().recursiveDelete(doc.ref)
+            }))
+    };
+}
+
+// Where an activity came from, following the id patterns in activities.js, or null for older
+// app-written activities that only get the author check
+function activitySourceRef(activity) {
+    const db = admin.firestore();
+    const userId = activity.get('userId');
+    for (const name of ['ranked', 'updated']) {
+        const prefix = `${name}_${userId}_`;
+        if (activity.id.startsWith(prefix)) {
+            return db.collection('users').doc(userId).collection('rankings').doc(activity.id.slice(prefix.length));
+        }
+    }
+    if (activity.id.startsWith('take_') && activity.get('tmdbId')) {
+        return db.collection('takes').doc(activity.get('tmdbId').toString())
+            .collection('userTakes').doc(activity.id.slice('take_'.length));
+    }
+    const followPrefix = `follow_${userId}_`;
+    if (activity.id.startsWith(followPrefix)) {
+        return db.collection('users').doc(userId).collection('following').doc(activity.id.slice(followPrefix.length));
+    }
+    return null;
+}
+
+// Activities whose author is gone, or whose ranking, take or follow no longer exists
+async function auditActivities(activityDocs) {
+    const authors = await existingUsers(activityDocs.map(doc => doc.get('userId')));
+    const sourceRefs = activityDocs.map(activitySourceRef);
+    const withSource = sourceRefs.filter(Boolean);
+    const sourceDocs = withSource.length > 0 ? await admin.firestore().getAll(...withSource) : [];
+    const sourceExists = new Map(sourceDocs.map(doc => [doc.ref.path, doc.exists]));
+
+    return {
+        [ISSUE_TYPES.ORPHANED_ACTIVITIES]: activityDocs
+            .filter((doc, index) => !doc.get('userId') || !authors.has(doc.get('userId')) ||
+                (sourceRefs[index] && !sourceExists.get(sourceRefs[index].path)))
+            .map(doc => ({
+                activityId: doc.id,
+                userId: doc.get('userId') || null,
+                type: doc.get('type') || null,
+                // onActivityDelete removes the feed copies
+                fix: () => doc.ref.delete()
+            }))
+    };
+}
+
+// Audit one page of the current phase. Returns the issues found and the cursor to resume
+// after, or a null cursor when the phase is finished.
+async function auditPage(phase, cursor, fixTypes) {
+    const db = admin.firestore();
+    const byId = admin.firestore.FieldPath.documentId();
+    const page = (query, size) => (cursor ? query.startAfter(cursor) : query).limit(size).get();
+    let snapshot;
+    let results;
+
+    if (phase === 'users') {
+        snapshot = await page(db.collection('users').select('movieCount', ...Object.values(COUNT_FIELDS)).orderBy(byId), USER_PAGE_SIZE);
+        results = await mapWithConcurrency(snapshot.docs, AUDIT_CONCURRENCY, doc => auditUser(doc, fixTypes));
+    } else if (phase === 'ratings') {
+        snapshot = await page(db.collection('ratings').select('tmdbId', 'totalScore', 'numberOfRatings').orderBy(byId), SCAN_PAGE_SIZE);
+        results = await mapWithConcurrency(snapshot.docs, AUDIT_CONCURRENCY, auditRating);
+    } else if (phase === 'takes') {
+        snapshot = await page(db.collectionGroup('userTakes').select('userId').orderBy(byId), SCAN_PAGE_SIZE);
+        results = [await auditTakes(snapshot.docs)];
+    } else {
+        snapshot = await page(db.collection('activities').select('userId', 'type', 'tmdbId').orderBy(byId), SCAN_PAGE_SIZE);
+        results = [await auditActivities(snapshot.docs)];
+    }
+
+    const found = {};
+    results.forEach(result => Object.entries(result).forEach(([type, issues]) => {
+        found[type] = (found[type] || []).concat(issues);
+    }));
+
+    // Collection group cursors are full document paths
+    const last = snapshot.docs[snapshot.docs.length - 1];
+    const nextCursor = snapshot.size < (phase === 'users' ? USER_PAGE_SIZE : SCAN_PAGE_SIZE)
+        ? null
+        : (phase === 'takes' ? last.ref.path : last.id);
+    return { found, scanned: snapshot.size, nextCursor };
+}
+
+// Apply the fixes for one issue class, returning how many succeeded and failed
+async function applyFixes(type, issues) {
+    const results = await mapWithConcurrency(issues, AUDIT_CONCURRENCY, async (issue) => {
+        if (!issue.fix) {
+            return false;
+        }
+        try {
+            await issue.fix();
+            return true;
+        } catch (error) {
+            logger.error('Failed to fix integrity issue', { issueType: type, error: error });
+            return false;
+        }
+    });
+    return {
+        fixed: results.filter(Boolean).length,
+        failed: results.filter(result => !result).length
+    };
+}
+
+// Count a page's issues into the report, repairing the classes listed in fixTypes
+async function recordIssues(report, found) {
+    for (const [type, list] of Object.entries(found)) {
+        if (list.length === 0) {
+            continue;
+        }
+        const fixes = report.fix.includes(type) ? await applyFixes(type, list) : { fixed: 0, failed: 0 };
+        const summary = report.issues[type];
+        summary.count += list.length;
+        summary.fixed += fixes.fixed;
+        summary.failed += fixes.failed;
+        summary.samples = summary.samples
+            .concat(list.slice(0, REPORT_SAMPLES - summary.samples.length).map(({ fix, ...issue }) => issue))
+            .slice(0, REPORT_SAMPLES);
+    }
+}
+
+// Start a new audit report, or take the lease on one in progress so two runs never overlap
+async function acquireAudit(reportId, trigger, fixTypes) {
+    const db = admin.firestore();
+    const reportRef = reportId
+        ? db.collection('integrityReports').doc(reportId)
+        : db.collection('integrityReports').doc();
+
+    return db.runTransaction(async (transaction) => {
+        const reportDoc = await transaction.get(reportRef);
+        const now = Date.now();
+
+        if (!reportDoc.exists) {
+            if (reportId) {
+                throw new functions.https.HttpsError('not-found', `Integrity report ${reportId} not found`);
+            }
+            const report = {
+                trigger: trigger,
+                fix: fixTypes,
+                complete: false,
+                phase: PHASES[0],
+                cursor: null,
+                scanned: Object.fromEntries(PHASES.map(phase => [phase, 0])),
+                issues: Object.fromEntries(Object.values(ISSUE_TYPES).map(type =>
+                    [type, { count: 0, fixed: 0, failed: 0, samples: [] }])),
+                startedAt: admin.firestore.Timestamp.fromMillis(now),
+                leaseExpiresAt: now + AUDIT_LEASE_MS
+            };
+            transaction.set(reportRef, report);
+            transaction.set(auditRunRef(), { reportId: reportRef.id, lastStartedAt: report.startedAt });
+            return { reportRef, report };
+        }
+
+        if (reportDoc.get('complete')) {
+            throw new functions.https.HttpsError('failed-precondition', `Integrity audit ${reportRef.id} has already finished`);
+        }
+        if ((reportDoc.get('leaseExpiresAt') || 0) > now) {
+            throw new functions.https.HttpsError('failed-precondition', `Integrity audit ${reportRef.id} is already running`);
+        }
+        transaction.update(reportRef, { leaseExpiresAt: now + AUDIT_LEASE_MS });
+        return { reportRef, report: reportDoc.data() };
+    });
+}
+
+// Work through as many pages as fit in this invocation's time budget, saving the cursor and
+// the running report after each one. Issues are repaired page by page as they're found.
+async function runAudit(reportId, trigger, fixTypes) {
+    const deadline = Date.now() + AUDIT_TIME_BUDGET_MS;
+    const { reportRef, report } = await acquireAudit(reportId, trigger, fixTypes);
+
+    try {
+        while (!report.complete && Date.now() < deadline) {
+            const { found, scanned, nextCursor } = await auditPage(report.phase, report.cursor, report.fix);
+            await recordIssues(report, found);
+            report.scanned[report.phase] += scanned;
+
+            if (nextCursor) {
+                report.cursor = nextCursor;
+            } else {
+                const next = PHASES.indexOf(report.phase) + 1;
+                report.complete = next >= PHASES.length;
+                report.phase = report.complete ? 'done' : PHASES[next];
+                report.cursor = null;
+            }
+
+            await reportRef.update({
+                phase: report.phase,
+                cursor: report.cursor,
+                scanned: report.scanned,
+                issues: report.issues,
+                complete: report.complete,
+                ...(report.complete ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+            });
+        }
+    } finally {
+        await reportRef.update({ leaseExpiresAt: 0 });
+    }
+
+    if (report.complete) {
+        await auditRunRef().set({ reportId: null }, { merge: true });
+        logger.info('Integrity audit complete', {
+            reportId: reportRef.id,
+            trigger: report.trigger,
+            issues: Object.fromEntries(Object.entries(report.issues).map(([type, result]) => [type, result.count]))
+        });
+    } else {
+        logger.info('Integrity audit paused', { reportId: reportRef.id, phase: report.phase, cursor: report.cursor });
+    }
+
+    return {
+        reportId: reportRef.id,
+        complete: report.complete,
+        phase: report.phase,
+        scanned: report.scanned,
+        issues: report.issues
+    };
+}
+
+// Keep only known issue types from a fix setting: true means all of them
+function resolveFixTypes(fix) {
+    if (fix === true) {
+        return Object.values(ISSUE_TYPES);
+    }
+    return Array.isArray(fix) ? fix.filter(type => Object.values(ISSUE_TYPES).includes(type)) : [];
+}
+
+// Scheduled Cloud Function that audits rankings, ratings, profile counts, takes and activities. Each
+// run continues the audit in progress; a new one starts a day after the last one started. It
+// only reports unless auditConfig/integrity lists issue types to fix.
+exports.auditDataIntegrity = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .pubsub.schedule('every 60 minutes')
+    .onRun(loggedEvent('auditDataIntegrity', async () => {
+        const [configDoc, runDoc] = await Promise.all([auditConfigRef().get(), auditRunRef().get()]);
+        const inProgress = runDoc.get('reportId') || null;
+        const lastStartedAt = runDoc.get('lastStartedAt');
+        if (!inProgress && lastStartedAt && Date.now() - lastStartedAt.toMillis() < AUDIT_INTERVAL_MS) {
+            return null;
+        }
+
+        try {
+            await runAudit(inProgress, 'scheduled', resolveFixTypes(configDoc.get('fix')));
+        } catch (error) {
+            // A manual run holding the lease will carry on without us
+            if (!(error instanceof functions.https.HttpsError)) {
+                throw error;
+            }
+            logger.info('Skipped scheduled integrity audit', { reason: error.message });
+        }
+        return null;
+    }));
+
+// Admin callable to run the audit now ({ fix }: true for every issue type, or a list of them).
+// Long audits return before finishing; call again with the returned reportId until complete.
+exports.runIntegrityAudit = adminCallable('runIntegrityAudit', async (data) => {
+    if (data.fix !== undefined && data.fix !== true && data.fix !== false && !Array.isArray(data.fix)) {
+        throw new functions.https.HttpsError('invalid-argument', 'fix must be a boolean or a list of issue types');
+    }
+
+    const result = await runAudit(data.reportId || null, 'manual', resolveFixTypes(data.fix));
+    return { success: true, ...result };
+}, { timeoutSeconds: 540, memory: '1GB' });
+
+exports.ISSUE_TYPES = ISSUE_TYPES;
@@ -0,0 +1,319 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { ratingStatsRef, weightedScore } = require('./ratings');
+const { ACTIVITY_TYPES } = require('./activities');
+const { logger, loggedCall, loggedEvent } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MAX_BATCH_WRITES = 500;
+const SCAN_PAGE_SIZE = 1000;
+// Firestore getAll is happiest with modest batches
+const LOOKUP_CHUNK_SIZE = 100;
+
+// Media types as the app stores them (AppModels.MediaType), with the key used in board ids
+const MEDIA_TYPES = {
+    'Movie': 'movie',
+    'TV Show': 'tv'
+};
+
+// Entries kept on each board and on each of its per-genre boards
+const BOARD_ENTRIES = 100;
+const GENRE_BOARD_ENTRIES = 50;
+const DEFAULT_LIMIT = 25;
+
+// Rolling windows trending is computed over
+const TRENDING_WINDOWS = {
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS
+};
+
+const BOARDS = ['top', ...Object.keys(TRENDING_WINDOWS).map(window => `trending_${window}`)];
+
+// leaderboards/{board}_{mediaKey}, with per-genre boards in its genres subcollection
+function boardRef(board, mediaType) {
+    return admin.firestore().collection('leaderboards').doc(`${board}_${MEDIA_TYPES[mediaType]}`);
+}
+
+// Genre names contain spaces and ampersands ("Action & Adventure"), so ids use a slug
+function genreKey(genre) {
+    return genre.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Shape a ratings doc for a board
+function boardEntry(rating) {
+    return {
+        tmdbId: rating.tmdbId,
+        title: rating.title,
+        mediaType: rating.mediaType,
+        genres: rating.genres || [],
+        averageRating: rating.averageRating,
+        weightedScore: rating.weightedScore ?? null,
+        numberOfRatings: rating.numberOfRatings
+    };
+}
+
+// Write one board and its per-genre boards, removing genre boards that no longer have entries.
+// `entries` must already be in board order.
+async function writeBoard(board, mediaType, entries) {
+    const db = admin.firestore();
+    const ref = boardRef(board, mediaType);
+    const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    const byGenre = new Map();
+    entries.forEach(entry => entry.genres.forEach(genre => {
+        const key = genreKey(genre);
+        if (!key) {
+            return;
+        }
+        if (!byGenre.has(key)) {
+            byGenre.set(key, { genre: genre, entries: [] });
+        }
+        const genreBoard = byGenre.get(key);
+        if (genreBoard.entries.length < GENRE_BOARD_ENTRIES) {
+            genreBoard.entries.push(entry);
+        }
+    }));
+
+    const existingGenres = await ref.collection('genres').select().get();
+    const writes = [batch => batch.set(ref, {
+        board: board,
+        mediaType: mediaType,
+        entries: entries.slice(0, BOARD_ENTRIES),
+        genres: Array.from(byGenre.values()).map(genreBoard => genreBoard.genre).sort(),
+        updatedAt: updatedAt
+    })];
+    byGenre.forEach((genreBoard, key) => writes.push(batch => batch.set(ref.collection('genres').doc(key), {
+        genre: genreBoard.genre,
+        entries: genreBoard.entries,
+        updatedAt: updatedAt
+    })));
+    existingGenres.docs
+        .filter(doc => !byGenre.has(doc.id))
+        .forEach(doc => writes.push(batch => batch.delete(doc.ref)));
+
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
+
+// Read every ratings doc, paging by document id
+async function loadAllRatings() {
+    const ratings = [];
+    let lastDoc = null;
+
+    while (true) {
+        let query = admin.firestore()
+            .collection('ratings')
+            .select('tmdbId', 'title', 'mediaType', 'genres', 'totalScore', 'numberOfRatings', 'averageRating', 'weightedScore')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(SCAN_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        snapshot.docs.forEach(doc => ratings.push({ ref: doc.ref, ...doc.data() }));
+        if (snapshot.size < SCAN_PAGE_SIZE) {
+            return ratings;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+// Mean score per media type across every individual rating: the prior for weighted scores
+function computeMeans(ratings) {
+    const totals = {};
+    ratings.forEach(rating => {
+        if (!MEDIA_TYPES[rating.mediaType] || !rating.numberOfRatings) {
+            return;
+        }
+        const total = totals[rating.mediaType] || (totals[rating.mediaType] = { totalScore: 0, numberOfRatings: 0 });
+        total.totalScore += rating.totalScore || 0;
+        total.numberOfRatings += rating.numberOfRatings;
+    });
+
+    const means = {};
+    const counts = {};
+    Object.keys(totals).forEach(mediaType => {
+        means[mediaType] = Math.round((totals[mediaType].totalScore / totals[mediaType].numberOfRatings) * 100) / 100;
+        counts[mediaType] = totals[mediaType].numberOfRatings;
+    });
+    return { means, counts };
+}
+
+// Scheduled Cloud Function that refreshes the global prior, re-weights every ratings doc
+// against it and rebuilds the per-mediaType "top" boards
+exports.updateLeaderboards = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .pubsub.schedule('every 24 hours')
+    .onRun(loggedEvent('updateLeaderboards', async () => {
+        const db = admin.firestore();
+        const ratings = await loadAllRatings();
+        const { means, counts } = computeMeans(ratings);
+
+        await ratingStatsRef().set({
+            means: means,
+            counts: counts,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // Only docs whose weighted score moved with the prior need rewriting
+        const stale = [];
+        ratings.forEach(rating => {
+            const score = weightedScore(rating.totalScore || 0, rating.numberOfRatings || 0, means[rating.mediaType]);
+            if (score !== rating.weightedScore) {
+                rating.weightedScore = score;
+                stale.push(rating);
+            }
+        });
+        for (let i = 0; i < stale.length; i += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            stale.slice(i, i + MAX_BATCH_WRITES).forEach(rating => batch.update(rating.ref, { weightedScore: rating.weightedScore }));
+            try {
+                await batch.commit();
+            } catch (error) {
+                // A title removed since the scan fails the whole batch; the next run picks the rest up
+                logger.error('Failed to update weighted scores', { error: error });
+            }
+        }
+
+        for (const mediaType of Object.keys(MEDIA_TYPES)) {
+            const entries = ratings
+                .filter(rating => rating.mediaType === mediaType && rating.numberOfRatings > 0)
+                .sort((a, b) => b.weightedScore - a.weightedScore || b.numberOfRatings - a.numberOfRatings)
+                .map(boardEntry);
+            await writeBoard('top', mediaType, entries);
+        }
+
+        logger.info('Updated leaderboards', { titles: ratings.length, reweighted: stale.length, priors: means });
+        return null;
+    }));
+
+// Load the movie_ranked activities published since `since`, oldest first
+async function loadRankedActivities(since) {
+    const activities = [];
+    let lastDoc = null;
+
+    while (true) {
+        let query = admin.firestore()
+            .collection('activities')
+            .where('type', '==', ACTIVITY_TYPES.MOVIE_RANKED)
+            .where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(since))
+            .orderBy('timestamp')
+            .select('userId', 'tmdbId', 'mediaType', 'timestamp')
+            .limit(SCAN_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        snapshot.docs.forEach(doc => activities.push(doc.data()));
+        if (snapshot.size < SCAN_PAGE_SIZE) {
+            return activities;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+// Score titles by ranking activity inside a window. Each user counts once per title, and
+// a ranking's weight falls linearly from 1 (just now) to 0 (at the edge of the window).
+function trendingScores(activities, windowMs, now) {
+    const seen = new Set();
+    const scores = new Map();
+
+    activities.forEach(activity => {
+        const age = now - activity.timestamp.toMillis();
+        const key = `${activity.userId}_${activity.tmdbId}`;
+        if (!activity.tmdbId || age > windowMs || seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+
+        const score = scores.get(activity.tmdbId) || { recentRankings: 0, trendingScore: 0 };
+        score.recentRankings += 1;
+        score.trendingScore += 1 - age / windowMs;
+        scores.set(activity.tmdbId, score);
+    });
+    return scores;
+}
+
+// Scheduled Cloud Function that rebuilds the trending boards from recent movie_ranked
+// activity over each rolling window
+exports.updateTrending = functions
+    .runWith({ timeoutSeconds: 300, memory: '512MB' })
+    .pubsub.schedule('every 60 minutes')
+    .onRun(loggedEvent('updateTrending', async () => {
+        const db = admin.firestore();
+        const now = Date.now();
+        const activities = await loadRankedActivities(now - Math.max(...Object.values(TRENDING_WINDOWS)));
+
+        const tmdbIds = Array.from(new Set(activities.map(activity => activity.tmdbId).filter(Boolean)));
+        const ratings = new Map();
+        for (let i = 0; i < tmdbIds.length; i += LOOKUP_CHUNK_SIZE) {
+            const refs = tmdbIds.slice(i, i + LOOKUP_CHUNK_SIZE).map(tmdbId => db.collection('ratings').doc(tmdbId.toString()));
+            const docs = await db.getAll(...refs);
+            docs.filter(doc => doc.exists).forEach(doc => ratings.set(doc.get('tmdbId'), doc.data()));
+        }
+
+        for (const [window, windowMs] of Object.entries(TRENDING_WINDOWS)) {
+            // Titles nobody counts towards community ratings anymore drop out
+            const trending = Array.from(trendingScores(activities, windowMs, now))
+                .filter(([tmdbId]) => ratings.has(tmdbId))
+                .map(([tmdbId, score]) => ({
+                    ...boardEntry(ratings.get(tmdbId)),
+                    recentRankings: score.recentRankings,
+                    trendingScore: Math.round(score.trendingScore * 100) / 100
+                }))
+                .sort((a, b) => b.trendingScore - a.trendingScore || (b.weightedScore || 0) - (a.weightedScore || 0));
+
+            for (const mediaType of Object.keys(MEDIA_TYPES)) {
+                await writeBoard(`trending_${window}`, mediaType, trending.filter(entry => entry.mediaType === mediaType));
+            }
+        }
+
+        logger.info('Updated trending', { rankings: activities.length, titles: tmdbIds.length });
+        return null;
+    }));
+
+// Cloud Function to read a leaderboard ({ board, mediaType, genre, limit }). board is "top",
+// "trending_24h" or "trending_7d"; mediaType is "Movie" or "TV Show"; genre is a genre name.
+exports.getLeaderboard = functions.https.onCall(loggedCall('getLeaderboard', async (data, context) => {
+    // Check if user is authenticated
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const board = (data && data.board) || 'top';
+    const mediaType = (data && data.mediaType) || 'Movie';
+    const genre = data && data.genre;
+    const limit = Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_LIMIT, 1), BOARD_ENTRIES);
+
+    if (!BOARDS.includes(board)) {
+        throw new functions.https.HttpsError('invalid-argument', `board must be one of ${BOARDS.join(', ')}`);
+    }
+    if (!MEDIA_TYPES[mediaType]) {
+        throw new functions.https.HttpsError('invalid-argument', `mediaType must be one of ${Object.keys(MEDIA_TYPES).join(', ')}`);
+    }
+    if (genre !== undefined && genre !== null && (typeof genre !== 'string' || !genreKey(genre))) {
+        throw new functions.https.HttpsError('invalid-argument', 'genre must be a genre name');
+    }
+
+    const ref = genre ? boardRef(board, mediaType).collection('genres').doc(genreKey(genre)) : boardRef(board, mediaType);
+    const doc = await ref.get();
+    const updatedAt = doc.exists && doc.get('updatedAt') ? doc.get('updatedAt').toDate().toISOString() : null;
+
+    return {
+        success: true,
+        board: board,
+        mediaType: mediaType,
+        genre: genre || null,
+        updatedAt: updatedAt,
+        entries: doc.exists ? (doc.get('entries') || []).slice(0, limit) : []
+    };
+}));
+
+exports.MEDIA_TYPES = MEDIA_TYPES;
+exports.trendingScores = trendingScores;
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const functions = require('firebase-functions');
+
+// Fields (functionName, uid, correlationId) attached to every entry logged while a function runs
+const logContext = new AsyncLocalStorage();
+
+// Write one structured entry to Cloud Logging. `fields` become queryable jsonPayload fields,
+// e.g. jsonPayload.functionName="followUser" AND severity>=WARNING.
+function write(severity, message, fields) {
+    const context = logContext.getStore() || {};
+    const entry = { severity: severity, message: message, ...context, ...(fields || {}) };
+
+    // Group every entry of one invocation under its trace in the Logs Explorer
+    const project = process.env.GCLOUD_PROJECT;
+    if (context.traceId && project) {
+        entry['logging.googleapis.com/trace'] = `projects/${project}/traces/${context.traceId}`;
+    }
+    if (fields && fields.error instanceof Error) {
+        entry.error = fields.error.message;
+        entry.stack = fields.error.stack;
+    }
+
+    functions.logger.write(entry);
+}
+
+const logger = {
+    debug: (message, fields) => write('DEBUG', message, fields),
+    info: (message, fields) => write('INFO', message, fields),
+    warn: (message, fields) => write('WARNING', message, fields),
+    error: (message, fields) => write('ERROR', message, fields)
+};
+
+// The fields logged so far in this invocation, for records (like delivery logs) that
+// should point back at it
+function currentLogContext() {
+    return logContext.getStore() || {};
+}
+
+// Run `fn` with extra fields on every entry it logs
+function withLogContext(fields, fn) {
+    return logContext.run({ ...currentLogContext(), ...fields }, fn);
+}
+
+// HTTP functions and callables are correlated by their Cloud Trace id, so entries line up
+// with the request log
+function requestLogContext(functionName, request, uid) {
+    const header = request && request.get ? request.get('X-Cloud-Trace-Context') : null;
+    const traceId = header ? header.split('/')[0] : null;
+
+    return {
+        functionName: functionName,
+        uid: uid || null,
+        correlationId: traceId || crypto.randomUUID(),
+        traceId: traceId
+    };
+}
+
+// Wrap an onCall handler so everything it logs carries the function name, caller uid and a
+// correlation id
+function loggedCall(functionName, handler) {
+    return (data, context) => withLogContext(
+        requestLogContext(functionName, context.rawRequest, context.auth && context.auth.uid),
+        () => handler(data, context));
+}
+
+// Wrap an onRequest handler so everything it logs carries the function name and a correlation id
+function loggedRequest(functionName, handler) {
+    return (req, res) => withLogContext(requestLogContext(functionName, req), () => handler(req, res));
+}
+
+// Wrap a trigger or scheduled handler; its correlation id is the event id, which stays the
+// same across retries of one event
+function loggedEvent(functionName, handler) {
+    return (...args) => {
+        const context = args[args.length - 1];
+        return withLogContext({
+            functionName: functionName,
+            uid: context.auth ? context.auth.uid : null,
+            correlationId: context.eventId || crypto.randomUUID()
+        }, () => handler(...args));
+    };
+}
+
+exports.logger = logger;
+exports.currentLogContext = currentLogContext;
+exports.withLogContext = withLogContext;
+exports.loggedCall = loggedCall;
+exports.loggedRequest = loggedRequest;
+exports.loggedEvent = loggedEvent;
@@ -0,0 +1,295 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { adminCallable } = require('./admin');
+const { NOTIFICATION_TYPES } = require('./notifications');
+const { notifyFollowersWhoRanked } = require('./fanout');
+const { getUsername, getTakeTitle } = require('./activities');
+const { logger, loggedCall, loggedEvent } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MIN_TAKE_LENGTH = 1;
+const MAX_TAKE_LENGTH = 1000;
+// How many takes one user may post per window before new ones are rejected
+const TAKE_POSTING_LIMIT = { limit: 10, windowMs: HOUR_MS };
+// Reports from distinct users that hide a published take until an admin reviews it
+const AUTO_HIDE_REPORTS = 3;
+
+// Take status. Takes without a status are still waiting for moderateTake.
+const TAKE_STATUS = {
+    PUBLISHED: 'published',
+    REJECTED: 'rejected',
+    HIDDEN: 'hidden'
+};
+
+// Words the profanity filter rejects, matched as whole words (plus common endings) in any case
+const BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'motherfucker'];
+const BLOCKED_WORDS_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})(s|es|ed|er|ers|ing)?\\b`, 'i');
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+// Local content filters run against every new or edited take. Each returns a rejection
+// reason or null. Add a filter by pushing onto this list (or through registerTakeFilter).
+const TAKE_FILTERS = [
+    function profanity(text) {
+        return BLOCKED_WORDS_PATTERN.test(text) ? 'profanity' : null;
+    },
+    function links(text) {
+        return (text.match(LINK_PATTERN) || []).length > 1 ? 'spam_links' : null;
+    },
+    function repetition(text) {
+        // The same character 10+ times in a row, e.g. "!!!!!!!!!!" or "loooooooool"
+        return /(.)\1{9,}/.test(text) ? 'spam_repetition' : null;
+    },
+    function shouting(text) {
+        const letters = text.replace(/[^a-z]/gi, '');
+        return letters.length >= 20 && letters === letters.toUpperCase() ? 'spam_caps' : null;
+    }
+];
+
+function registerTakeFilter(filter) {
+    TAKE_FILTERS.push(filter);
+}
+
+// Check a take's text against the length limits and content filters.
+// Returns a rejection reason, or null if the take may be published.
+function checkTakeContent(text) {
+    if (typeof text !== 'string') {
+        return 'invalid_text';
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length < MIN_TAKE_LENGTH) {
+        return 'too_short';
+    }
+    if (trimmed.length > MAX_TAKE_LENGTH) {
+        return 'too_long';
+    }
+
+    for (const filter of TAKE_FILTERS) {
+        const reason = filter(trimmed);
+        if (reason) {
+            return reason;
+        }
+    }
+    return null;
+}
+
+// Count a new take against its author's posting limit. Returns false once the limit is reached.
+async function consumeTakeQuota(userId) {
+    const db = admin.firestore();
+    const quotaRef = db.collection('users').doc(userId).collection('takeRateLimits').doc('posting');
+    const now = Date.now();
+
+    return db.runTransaction(async (transaction) => {
+        const quotaDoc = await transaction.get(quotaRef);
+
+        let windowStart = now;
+        let count = 0;
+        if (quotaDoc.exists && now - quotaDoc.get('windowStart') < TAKE_POSTING_LIMIT.windowMs) {
+            windowStart = quotaDoc.get('windowStart');
+            count = quotaDoc.get('count') || 0;
+        }
+        if (count >= TAKE_POSTING_LIMIT.limit) {
+            return false;
+        }
+
+        transaction.set(quotaRef, { windowStart: windowStart, count: count + 1 });
+        return true;
+    });
+}
+
+// Cloud Function trigger that moderates new and edited takes. Takes that pass are published
+// and the author's followers who ranked the title are notified; the rest are marked rejected
+// with a reason, which keeps them out of feeds and notifications.
+exports.moderateTake = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('takes/{movieId}/userTakes/{takeId}')
+    .onWrite(loggedEvent('moderateTake', async (change, context) => {
+        if (!change.after.exists) {
+            return null;
+        }
+
+        const take = change.after.data();
+        const before = change.before.exists ? change.before.data() : null;
+        // Only new takes and text edits need checking; this also skips our own status writes
+        if (before && before.text === take.text) {
+            return null;
+        }
+
+        // The app clears the status with every edit (the rules insist), so what the take was
+        // before the edit comes from the previous version
+        const beforeStatus = before ? before.status : null;
+        // A take rejected for the posting limit hasn't been counted yet, so editing it is
+        // still a new post as far as the limit is concerned
+        const countsAsNewPost = !before ||
+            (beforeStatus === TAKE_STATUS.REJECTED && before.moderation && before.moderation.reason === 'rate_limited');
+
+        let reason = checkTakeContent(take.text);
+        if (!reason && countsAsNewPost && !(await consumeTakeQuota(take.userId))) {
+            reason = 'rate_limited';
+        }
+
+        if (reason) {
+            await change.after.ref.update({
+                status: TAKE_STATUS.REJECTED,
+                moderation: { reason: reason, checkedAt: admin.firestore.FieldValue.serverTimestamp() }
+            });
+            logger.info('Rejected take', { takeId: context.params.takeId, authorId: take.userId, reason: reason });
+            return null;
+        }
+
+        // Editing a take hidden by reports doesn't bring it back; that takes an admin
+        const status = beforeStatus === TAKE_STATUS.HIDDEN ? TAKE_STATUS.HIDDEN : TAKE_STATUS.PUBLISHED;
+        await change.after.ref.update({
+            status: status,
+            moderation: { reason: null, checkedAt: admin.firestore.FieldValue.serverTimestamp() }
+        });
+        logger.info('Take passed moderation', { takeId: context.params.takeId, authorId: take.userId, status: status });
+
+        // Notify followers about new takes only, never about edits
+        if (!before && take.tmdbId) {
+            const [username, movieTitle] = await Promise.all([getUsername(take.userId), getTakeTitle(take)]);
+            await notifyFollowersWhoRanked(take.userId, NOTIFICATION_TYPES.MOVIE_COMMENT, {
+                userId: take.userId,
+                username: username,
+                movieTitle: movieTitle,
+                tmdbId: take.tmdbId,
+                takeId: context.params.takeId
+            }, `take_${context.params.movieId}_${context.params.takeId}`);
+        }
+        return null;
+    }));
+
+// Reference to a take and to its entry in the takeReports review queue
+function takeRefs(movieId, takeId) {
+    const db = admin.firestore();
+    return {
+        takeRef: db.collection('takes').doc(movieId).collection('userTakes').doc(takeId),
+        queueRef: db.collection('takeReports').doc(`${movieId}_${takeId}`)
+    };
+}
+
+function requireTakeIds(data) {
+    const { movieId, takeId } = data || {};
+    if (typeof movieId !== 'string' || !movieId || typeof takeId !== 'string' || !takeId) {
+        throw new functions.https.HttpsError('invalid-argument', 'movieId and takeId are required');
+    }
+    return { movieId, takeId };
+}
+
+// Cloud Function to report a take. Each user can report a take once; reports collect in the
+// takeReports review queue, and a published take is hidden after AUTO_HIDE_REPORTS reports.
+exports.reportTake = functions.https.onCall(loggedCall('reportTake', async (data, context) => {
+    // Check if user is authenticated
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { movieId, takeId } = requireTakeIds(data);
+    const reason = typeof data.reason === 'string' ? data.reason.slice(0, 200) : null;
+    const reporterId = context.auth.uid;
+    const { takeRef, queueRef } = takeRefs(movieId, takeId);
+    const reportRef = takeRef.collection('reports').doc(reporterId);
+
+    const result = await admin.firestore().runTransaction(async (transaction) => {
+        const [takeDoc, reportDoc] = await Promise.all([transaction.get(takeRef), transaction.get(reportRef)]);
+
+        if (!takeDoc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Take not found');
+        }
+        if (takeDoc.get('userId') === reporterId) {
+            throw new functions.https.HttpsError('invalid-argument', 'Cannot report your own take');
+        }
+        if (reportDoc.exists) {
+            throw new functions.https.HttpsError('already-exists', 'You have already reported this take');
+        }
+
+        const reportCount = (takeDoc.get('reportCount') || 0) + 1;
+        const hide = reportCount >= AUTO_HIDE_REPORTS && takeDoc.get('status') === TAKE_STATUS.PUBLISHED;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        transaction.set(reportRef, { reason: reason, reportedAt: now });
+        transaction.update(takeRef, hide
+            ? { reportCount: reportCount, status: TAKE_STATUS.HIDDEN }
+            : { reportCount: reportCount });
+        transaction.set(queueRef, {
+            movieId: movieId,
+            takeId: takeId,
+            authorId: takeDoc.get('userId'),
+            text: takeDoc.get('text'),
+            reportCount: reportCount,
+            reasons: admin.firestore.FieldValue.arrayUnion(reason || 'unspecified'),
+            status: 'open',
+            lastReportedAt: now
+        }, { merge: true });
+
+        return { reportCount, hidden: hide || takeDoc.get('status') === TAKE_STATUS.HIDDEN };
+    });
+
+    logger.info('Reported take', { takeId: takeId, reportCount: result.reportCount, hidden: result.hidden });
+    return { success: true, ...result };
+}));
+
+// Admin callable to approve a reported take: republishes it and clears its reports. Only takes
+// open in the takeReports queue can be approved, and a take the content filters rejected is
+// only published with an explicit { overrideReason }, which is recorded on the take and queue.
+exports.approveTake = adminCallable('approveTake', async (data, context) => {
+    const { movieId, takeId } = requireTakeIds(data);
+    const { takeRef, queueRef } = takeRefs(movieId, takeId);
+    const overrideReason = typeof data.overrideReason === 'string' && data.overrideReason.trim()
+        ? data.overrideReason.trim().slice(0, 200)
+        : null;
+
+    const [takeDoc, queueDoc] = await Promise.all([takeRef.get(), queueRef.get()]);
+    if (!takeDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Take not found');
+    }
+    if (!overrideReason && (!queueDoc.exists || queueDoc.get('status') !== 'open')) {
+        throw new functions.https.HttpsError('failed-precondition',
+            'Take is not awaiting review; pass overrideReason to publish it anyway');
+    }
+    if (!overrideReason && takeDoc.get('status') === TAKE_STATUS.REJECTED) {
+        throw new functions.https.HttpsError('failed-precondition',
+            `Take was rejected by moderation (${takeDoc.get('moderation.reason') || 'unknown'}); pass overrideReason to publish it anyway`);
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const batch = admin.firestore().batch();
+    batch.update(takeRef, {
+        status: TAKE_STATUS.PUBLISHED,
+        reportCount: 0,
+        ...(overrideReason ? { 'moderation.override': { reason: overrideReason, by: context.auth.uid, at: now } } : {})
+    });
+    batch.set(queueRef, {
+        movieId: movieId,
+        takeId: takeId,
+        authorId: takeDoc.get('userId'),
+        status: 'approved',
+        overrideReason: overrideReason,
+        reviewedBy: context.auth.uid,
+        reviewedAt: now
+    }, { merge: true });
+    await batch.commit();
+    await admin.firestore().recursiveDelete(takeRef.collection('reports'));
+
+    return { success: true, status: TAKE_STATUS.PUBLISHED };
+});
+
+// Admin callable to remove a reported take for good
+exports.removeTake = adminCallable('removeTake', async (data, context) => {
+    const { movieId, takeId } = requireTakeIds(data);
+    const { takeRef, queueRef } = takeRefs(movieId, takeId);
+
+    await admin.firestore().recursiveDelete(takeRef);
+    await queueRef.set({
+        status: 'removed',
+        reviewedBy: context.auth.uid,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { success: true, status: 'removed' };
+});
+
+exports.TAKE_STATUS = TAKE_STATUS;
+exports.registerTakeFilter = registerTakeFilter;
+exports.checkTakeContent = checkTakeContent;
@@ -0,0 +1,287 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendToUser } = require('./tokens');
+const { checkNotificationAllowed, getNotificationPreferences, releaseNotificationQuota } = require('./preferences');
+const { DIGEST_TYPES, enqueueDigestItem, summarizeDigest, loadDueDigests, computeHeldUntil, deferDigestItems } = require('./digests');
+const { getBlockStatus } = require('./blocks');
+const { recordDelivery } = require('./deliveries');
+const { logger, loggedEvent } = require('./logger');
+
+// Upper bound on queued items the digest job picks up per run
+const DIGEST_BATCH_SIZE = 500;
+// Suppression reasons that only hold a notification back for now
+const TRANSIENT_SUPPRESSIONS = ['quiet_hours', 'daily_cap', 'rate_limited'];
+
+// Notification types, matching the ActivityType raw values the app already uses
+const NOTIFICATION_TYPES = {
+    USER_FOLLOWED: 'user_followed',
+    MOVIE_RATING: 'movie_rating',
+    MOVIE_COMMENT: 'movie_comment',
+    ACTIVITY_DIGEST: 'activity_digest',
+    GROUP_PICK: 'group_pick',
+    WEEKLY_RECAP: 'weekly_recap',
+    CANNES_WRAPPED: 'cannes_wrapped'
+};
+
+// One template per notification type. `fields` lists the payload keys the template needs
+// (all of them are also sent as string data to the app); `render` builds the visible text.
+// A new notification kind only needs a new entry here.
+const TEMPLATES = {
+    [NOTIFICATION_TYPES.USER_FOLLOWED]: {
+        fields: ['userId', 'username'],
+        render: ({ username }) => ({
+            title: 'New Follower',
+            body: `${username} started following you`
+        })
+    },
+    [NOTIFICATION_TYPES.MOVIE_RATING]: {
+        fields: ['userId', 'username', 'movieTitle', 'score', 'tmdbId'],
+        render: ({ username, movieTitle, score }) => ({
+            title: 'New Movie Rating',
+            body: `${username} rated "${movieTitle}" a ${Number(score).toFixed(1)}`
+        })
+    },
+    [NOTIFICATION_TYPES.MOVIE_COMMENT]: {
+        // The comment itself is never sent: the app loads the take by id once it passed moderation
+        fields: ['userId', 'username', 'movieTitle', 'tmdbId', 'takeId'],
+        render: ({ username, movieTitle }) => ({
+            title: 'New Movie Comment',
+            body: `${username} commented on "${movieTitle}"`
+        })
+    },
+    [NOTIFICATION_TYPES.ACTIVITY_DIGEST]: {
+        fields: ['count', 'summary'],
+        render: ({ summary }) => ({
+            title: 'What your friends have been watching',
+            body: summary
+        })
+    },
+    [NOTIFICATION_TYPES.GROUP_PICK]: {
+        fields: ['userId', 'username', 'groupId', 'groupName', 'movieTitle', 'tmdbId'],
+        render: ({ groupName, movieTitle }) => ({
+            title: groupName,
+            body: `Your group is watching "${movieTitle}"`
+        })
+    },
+    [NOTIFICATION_TYPES.WEEKLY_RECAP]: {
+        fields: ['weekId', 'summary'],
+        render: ({ summary }) => ({
+            title: 'Your week in Cannes',
+            body: summary
+        })
+    },
+    [NOTIFICATION_TYPES.CANNES_WRAPPED]: {
+        fields: ['year', 'summary'],
+        render: ({ year, summary }) => ({
+            title: `Your Cannes Wrapped ${year} is here`,
+            body: summary
+        })
+    }
+};
+
+// Check a payload against its template, throwing invalid-argument for anything missing
+function validatePayload(type, payload) {
+    const template = TEMPLATES[type];
+    if (!template) {
+        throw new functions.https.HttpsError('invalid-argument', `Unknown notification type: ${type}`);
+    }
+
+    const missing = template.fields.filter(field => payload[field] === undefined || payload[field] === null);
+    if (missing.length > 0) {
+        throw new functions.https.HttpsError('invalid-argument', `Missing ${missing.join(', ')} for ${type} notification`);
+    }
+
+    return template;
+}
+
+// Build the FCM message (without tokens) for a notification type
+function buildMessage(type, payload, badge) {
+    const template = validatePayload(type, payload);
+    const data = { type: type };
+    template.fields.forEach(field => {
+        data[field] = String(payload[field]);
+    });
+
+    return {
+        notification: template.render(payload),
+        data: data,
+        android: {
+            notification: {
+                sound: 'default',
+                priority: 'high',
+            },
+        },
+        apns: {
+            payload: {
+                aps: {
+                    sound: 'default',
+                    badge: badge,
+                },
+            },
+        },
+    };
+}
+
+// Record the notification in the recipient's activity inbox (users/{uid}/activities)
+async function recordInboxActivity(targetUserId, type, payload) {
+    const template = TEMPLATES[type];
+    const activity = {
+        type: type,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    };
+    template.fields.forEach(field => {
+        activity[field] = payload[field];
+    });
+
+    await admin.firestore()
+        .collection('users')
+        .doc(targetUserId)
+        .collection('activities')
+        .add(activity);
+}
+
+// Count the recipient's inbox activity since they last opened the app (notificationsReadAt)
+async function getUnreadCount(targetUserId) {
+    const userRef = admin.firestore().collection('users').doc(targetUserId);
+    const userDoc = await userRef.get();
+    const readAt = userDoc.get('notificationsReadAt');
+
+    let query = userRef.collection('activities');
+    if (readAt) {
+        query = query.where('timestamp', '>', readAt);
+    }
+
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+}
+
+// Give back a notification's quota, logging rather than failing if that doesn't work
+async function releaseQuota(reservation, targetUserId, type) {
+    try {
+        await releaseNotificationQuota(reservation);
+    } catch (error) {
+        logger.error('Failed to release notification quota', { targetUserId: targetUserId, type: type, error: error });
+    }
+}
+
+// Work out what happens to one notification and send it if it's allowed through
+async function deliver(targetUserId, type, payload) {
+    const result = { targetUserId: targetUserId, type: type };
+    let reservation = null;
+
+    try {
+        validatePayload(type, payload);
+        const preferences = await getNotificationPreferences(targetUserId);
+        const queueing = DIGEST_TYPES.includes(type) && preferences.delivery !== 'immediate';
+
+        // Nothing gets through between users who have blocked each other, or from a muted sender
+        const blockStatus = await getBlockStatus(targetUserId, payload.userId);
+
+        // Honor the recipient's preferences, quiet hours, daily cap and the sender's rate limit
+        const gate = blockStatus
+            ? { allowed: false, reason: blockStatus }
+            : await checkNotificationAllowed(targetUserId, type, payload.userId, { preferences, queueing });
+        if (!gate.allowed) {
+            return {
+                ...result,
+                success: false,
+                status: 'suppressed',
+                reason: gate.reason,
+                message: `Notification suppressed: ${gate.reason}`
+            };
+        }
+        reservation = gate.reservation;
+
+        // Queued items reach the inbox as the one digest that collects them
+        if (queueing) {
+            const dueAt = await enqueueDigestItem(targetUserId, type, payload, preferences);
+            return { ...result, success: true, status: 'queued', delivery: preferences.delivery, dueAt: dueAt.toISOString() };
+        }
+
+        await recordInboxActivity(targetUserId, type, payload);
+
+        const badge = await getUnreadCount(targetUserId);
+        const message = buildMessage(type, payload, badge);
+        const delivery = await sendToUser(targetUserId, message);
+        const status = delivery.success ? 'sent' : (delivery.successCount === 0 && delivery.failureCount === 0 ? 'no_token' : 'failed');
+
+        // Only notifications that reached a device count against the cap and rate limit
+        if (status !== 'sent') {
+            await releaseQuota(reservation, targetUserId, type);
+        }
+
+        return { ...result, ...delivery, status: status, badge: badge };
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        logger.error('Failed to send notification', { targetUserId: targetUserId, type: type, error: error });
+        await releaseQuota(reservation, targetUserId, type);
+        return { ...result, success: false, status: 'failed', error: error.message };
+    }
+}
+
+// The single send path for every notification. Never throws for delivery problems: the
+// returned result says what happened (sent, queued, no_token, failed or suppressed) so
+// callers can report it per recipient. Every outcome is logged and kept in the delivery log.
+async function notifyUser(targetUserId, type, payload) {
+    const result = await deliver(targetUserId, type, payload);
+    const senderId = payload && payload.userId ? payload.userId : null;
+
+    logger[result.status === 'failed' ? 'warn' : 'info'](`Notification ${result.status}`, {
+        targetUserId: targetUserId,
+        senderId: senderId,
+        type: type,
+        status: result.status,
+        reason: result.reason || result.error || null,
+        successCount: result.successCount,
+        failureCount: result.failureCount,
+        badge: result.badge,
+        dueAt: result.dueAt
+    });
+    await recordDelivery(result, senderId);
+
+    return result;
+}
+
+// Scheduled Cloud Function to collapse queued rating/comment notifications into one digest per recipient
+exports.sendNotificationDigests = functions.pubsub.schedule('every 60 minutes').onRun(loggedEvent('sendNotificationDigests', async () => {
+    const byRecipient = await loadDueDigests(new Date(), DIGEST_BATCH_SIZE);
+    let sent = 0;
+    let held = 0;
+
+    for (const [recipientId, items] of byRecipient) {
+        try {
+            const digest = await notifyUser(recipientId, NOTIFICATION_TYPES.ACTIVITY_DIGEST, {
+                count: items.length,
+                summary: summarizeDigest(items)
+            });
+
+            // Keep the items while the digest is held back, due again when the hold ends
+            if (digest.status === 'suppressed' && TRANSIENT_SUPPRESSIONS.includes(digest.reason)) {
+                const preferences = await getNotificationPreferences(recipientId);
+                await deferDigestItems(items, computeHeldUntil(digest.reason, preferences, new Date()));
+                held++;
+                continue;
+            }
+
+            const batch = admin.firestore().batch();
+            items.forEach(item => batch.delete(item.ref));
+            await batch.commit();
+            if (digest.success) {
+                sent++;
+            }
+        } catch (error) {
+            logger.error('Failed to send notification digest', { targetUserId: recipientId, error: error });
+        }
+    }
+
+    logger.info('Sent notification digests', { sent: sent, held: held, recipients: byRecipient.size });
+    return null;
+}));
+
+exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+exports.TEMPLATES = TEMPLATES;
+exports.buildMessage = buildMessage;
+exports.getUnreadCount = getUnreadCount;
+exports.notifyUser = notifyUser;
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { mapWithConcurrency } = require('./fanout');
+const { logger, loggedCall } = require('./logger');
+
+const MAX_BATCH_WRITES = 500;
+// Users docs per getAll when resolving usernames for the follows export
+const LOOKUP_CHUNK_SIZE = 100;
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MATCH_CONCURRENCY = 10;
+
+// Ranking state imported titles start in: the app treats it as unplaced, and it never
+// counts towards community ratings until the user finishes comparisons
+const PROVISIONAL_RATING_STATE = 'initialSentiment';
+
+// MovieSentiment raw values in the app, picked from a Letterboxd star rating (0.5-5)
+function sentimentForStars(stars) {
+    if (stars >= 3.5) {
+        return 'I liked it!';
+    }
+    if (stars >= 2.5) {
+        return 'It was fine';
+    }
+    return 'I didn\'t like it';
+}
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+// Convert Firestore values into plain JSON: timestamps become ISO strings
+function toPlain(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (value && typeof value === 'object') {
+        const plain = {};
+        Object.keys(value).forEach(key => {
+            plain[key] = toPlain(value[key]);
+        });
+        return plain;
+    }
+    return value;
+}
+
+// Quote a CSV field when it contains a delimiter, quote or newline. Text a spreadsheet would
+// read as a formula (user-written titles and takes included) gets a leading ' so it stays text.
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function genreList(genres) {
+    return Array.isArray(genres) ? genres.map(genre => genre && genre.name).filter(Boolean) : [];
+}
+
+// Get usernames for a list of user ids
+async function getUsernames(userIds) {
+    const db = admin.firestore();
+    const usernames = new Map();
+    for (let i = 0; i < userIds.length; i += LOOKUP_CHUNK_SIZE) {
+        const docs = await db.getAll(...userIds.slice(i, i + LOOKUP_CHUNK_SIZE).map(id => db.collection('users').doc(id)));
+        docs.forEach(doc => usernames.set(doc.id, doc.exists ? doc.get('username') || null : null));
+    }
+    return usernames;
+}
+
+async function loadFollows(userRef, direction) {
+    const snapshot = await userRef.collection(direction).get();
+    const usernames = await getUsernames(snapshot.docs.map(doc => doc.id));
+    return snapshot.docs.map(doc => ({
+        direction: direction,
+        userId: doc.id,
+        username: usernames.get(doc.id),
+        followedAt: toPlain(doc.get('followedAt')) || null
+    }));
+}
+
+// Cloud Function returning everything the caller has put into Cannes, as JSON plus one CSV
+// per list: profile, rankings, futureCannes, takes and follows (both directions)
+exports.exportUserData = functions
+    .runWith({ timeoutSeconds: 120, memory: '512MB' })
+    .https.onCall(loggedCall('exportUserData', async (data, context) => {
+        const userId = requireAuth(context);
+        const db = admin.firestore();
+        const userRef = db.collection('users').doc(userId);
+
+        const [profileDoc, rankingsSnapshot, futureCannesSnapshot, takesSnapshot, following, followers] = await Promise.all([
+            userRef.get(),
+            userRef.collection('rankings').get(),
+            userRef.collection('futureCannes').get(),
+            db.collectionGroup('userTakes').where('userId', '==', userId).get(),
+            loadFollows(userRef, 'following'),
+            loadFollows(userRef, 'followers')
+        ]);
+
+        const rankings = rankingsSnapshot.docs
+            .map(doc => {
+                const ranking = doc.data();
+                return {
+                    id: doc.id,
+                    title: ranking.title || null,
+                    tmdbId: ranking.tmdbId ?? null,
+                    mediaType: ranking.mediaType || null,
+                    score: ranking.score ?? null,
+                    sentiment: ranking.sentiment || null,
+                    comparisonsCount: ranking.comparisonsCount || 0,
+                    genres: genreList(ranking.genres),
+                    ratingState: ranking.ratingState || null,
+                    timestamp: toPlain(ranking.timestamp) || null
+                };
+            })
+            .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+        rankings.forEach((ranking, index) => {
+            ranking.rank = index + 1;
+        });
+
+        const futureCannes = futureCannesSnapshot.docs.map(doc => {
+            const item = doc.data();
+            return {
+                id: doc.id,
+                title: item.title || null,
+                tmdbId: item.movieId ?? null,
+                mediaType: item.mediaType || null,
+                releaseDate: item.releaseDate || item.firstAirDate || null,
+                genres: genreList(item.genres),
+                dateAdded: toPlain(item.dateAdded) || null
+            };
+        });
+
+        const takes = takesSnapshot.docs.map(doc => {
+            const take = doc.data();
+            return {
+                id: doc.id,
+                movieId: take.movieId || null,
+                tmdbId: take.tmdbId ?? null,
+                mediaType: take.mediaType || null,
+                text: take.text || '',
+                status: take.status || null,
+                timestamp: toPlain(take.timestamp) || null
+            };
+        });
+
+        const follows = [...following, ...followers];
+        const joinGenres = list => list.map(item => ({ ...item, genres: item.genres.join('; ') }));
+
+        logger.info('Exported user data', { rankings: rankings.length, futureCannes: futureCannes.length, takes: takes.length, follows: follows.length });
+
+        return {
+            success: true,
+            exportedAt: new Date().toISOString(),
+            json: {
+                profile: profileDoc.exists ? toPlain(profileDoc.data()) : null,
+                rankings: rankings,
+                futureCannes: futureCannes,
+                takes: takes,
+                follows: follows
+            },
+            csv: {
+                rankings: toCsv(['rank', 'title', 'tmdbId', 'mediaType', 'score', 'sentiment', 'comparisonsCount', 'genres', 'ratingState', 'timestamp'], joinGenres(rankings)),
+                futureCannes: toCsv(['title', 'tmdbId', 'mediaType', 'releaseDate', 'genres', 'dateAdded'], joinGenres(futureCannes)),
+                takes: toCsv(['movieId', 'tmdbId', 'mediaType', 'text', 'status', 'timestamp'], takes),
+                follows: toCsv(['direction', 'userId', 'username', 'followedAt'], follows)
+            }
+        };
+    }));
+
+// Pick the columns an import needs out of a header row (Letterboxd uses Name, Year, Rating)
+function importColumns(header) {
+    const find = name => header.findIndex(cell => cell.trim().toLowerCase() === name);
+    return { name: find('name'), year: find('year'), rating: find('rating') };
+}
+
+// Find the tmdbId for a title in what's already stored: community ratings for the title
+// itself, and Future Cannes entries for the release year. A year narrows the candidates when
+// one is known; otherwise the title has to be unambiguous.
+async function matchTitle(name, year) {
+    const db = admin.firestore();
+    const [ratingsSnapshot, futureCannesSnapshot] = await Promise.all([
+        db.collection('ratings').where('title', '==', name).limit(10).get(),
+        db.collectionGroup('futureCannes')
+            .where('title', '==', name)
+            .select('movieId', 'mediaType', 'releaseDate', 'firstAirDate', 'genres')
+            .limit(20)
+            .get()
+    ]);
+
+    const candidates = new Map();
+    const candidate = (tmdbId) => {
+        if (!candidates.has(tmdbId)) {
+            candidates.set(tmdbId, { tmdbId: tmdbId, mediaType: null, genres: [], years: new Set() });
+        }
+        return candidates.get(tmdbId);
+    };
+
+    ratingsSnapshot.docs.forEach(doc => {
+        const entry = candidate(doc.get('tmdbId'));
+        entry.mediaType = doc.get('mediaType') || entry.mediaType;
+    });
+    futureCannesSnapshot.docs.forEach(doc => {
+        if (typeof doc.get('movieId') !== 'number') {
+            return;
+        }
+        const entry = candidate(doc.get('movieId'));
+        entry.mediaType = entry.mediaType || doc.get('mediaType') || null;
+        // Future Cannes keeps TMDB genres with their ids, the way rankings store them
+        if (entry.genres.length === 0 && Array.isArray(doc.get('genres'))) {
+            entry.genres = doc.get('genres');
+        }
+        const releaseDate = doc.get('releaseDate') || doc.get('firstAirDate');
+        if (typeof releaseDate === 'string' && /^\d{4}/.test(releaseDate)) {
+            entry.years.add(parseInt(releaseDate.slice(0, 4), 10));
+        }
+    });
+
+    // Letterboxd only lists films
+    let films = Array.from(candidates.values()).filter(entry => !entry.mediaType || entry.mediaType === 'Movie');
+    if (year) {
+        const sameYear = films.filter(entry => entry.years.has(year));
+        if (sameYear.length > 0) {
+            return sameYear.length === 1 ? { match: sameYear[0] } : { reason: 'ambiguous' };
+        }
+        // Titles with no stored release year can't be ruled out
+        films = films.filter(entry => entry.years.size === 0);
+    }
+    if (films.length === 0) {
+        return { reason: 'not_found' };
+    }
+    return films.length === 1 ? { match: films[0] } : { reason: 'ambiguous' };
+}
+
+// Cloud Function to import a Letterboxd-style CSV ({ csv, dryRun }). Rows need Name and
+// Rating columns (Year helps matching). Matched titles the caller hasn't ranked yet are added
+// as provisional rankings seeded from the star rating, ready to be placed through comparisons.
+exports.importRankings = functions
+    .runWith({ timeoutSeconds: 300, memory: '512MB' })
+    .https.onCall(loggedCall('importRankings', async (data, context) => {
+        const userId = requireAuth(context);
+        const csv = data && data.csv;
+        const dryRun = !!(data && data.dryRun);
+
+        if (typeof csv !== 'string' || !csv.trim()) {
+            throw new functions.https.HttpsError('invalid-argument', 'csv is required');
+        }
+        if (Buffer.byteLength(csv, 'utf8') > MAX_IMPORT_BYTES) {
+            throw new functions.https.HttpsError('invalid-argument', 'csv is too large');
+        }
+
+        const [header, ...rows] = parseCsv(csv.replace(/^\uFEFF/, ''));
+        const columns = importColumns(header || []);
+        if (columns.name < 0 || columns.rating < 0) {
+            throw new functions.https.HttpsError('invalid-argument', 'csv must have Name and Rating columns');
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throw new functions.https.HttpsError('invalid-argument', `csv may have at most ${MAX_IMPORT_ROWS} rows`);
+        }
+
+        const db = admin.firestore();
+        const userRef = db.collection('users').doc(userId);
+        const existing = await userRef.collection('rankings').select('tmdbId').get();
+        const rankedIds = new Set(existing.docs.map(doc => doc.get('tmdbId')).filter(Boolean));
+
+        const results = await mapWithConcurrency(rows, MATCH_CONCURRENCY, async (cells) => {
+            const name = (cells[columns.name] || '').trim();
+            const year = columns.year >= 0 ? parseInt(cells[columns.year], 10) || null : null;
+            const stars = parseFloat(cells[columns.rating]);
+
+            if (!name) {
+                return { name, year, reason: 'missing_title' };
+            }
+            if (!Number.isFinite(stars) || stars <= 0 || stars > 5) {
+                return { name, year, reason: 'missing_rating' };
+            }
+            const { match, reason } = await matchTitle(name, year);
+            return match ? { name, year, stars, match } : { name, year, reason };
+        });
+
+        const imported = [];
+        const skipped = [];
+        results.forEach((result, index) => {
+            const row = index + 2;
+            if (!result.match) {
+                skipped.push({ row: row, name: result.name, year: result.year, reason: result.reason });
+            } else if (rankedIds.has(result.match.tmdbId)) {
+                skipped.push({ row: row, name: result.name, year: result.year, reason: 'already_ranked' });
+            } else {
+                rankedIds.add(result.match.tmdbId);
+                imported.push({ ...result, row: row });
+            }
+        });
+
+        if (!dryRun && imported.length > 0) {
+            const writes = imported.map(result => {
+                // Ranking ids are uppercase UUIDs, like Swift's uuidString
+                const id = crypto.randomUUID().toUpperCase();
+                const score = Math.round(result.stars * 2 * 10) / 10;
+                return batch => batch.set(userRef.collection('rankings').doc(id), {
+                    id: id,
+                    title: result.name,
+                    sentiment: sentimentForStars(result.stars),
+                    tmdbId: result.match.tmdbId,
+                    mediaType: 'Movie',
+                    genres: result.match.genres,
+                    collection: null,
+                    keywords: [],
+                    score: score,
+                    originalScore: score,
+                    comparisonsCount: 0,
+                    ratingState: PROVISIONAL_RATING_STATE,
+                    importSource: 'letterboxd',
+                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            writes.push(batch => batch.set(userRef, {
+                movieCount: admin.firestore.FieldValue.increment(imported.length)
+            }, { merge: true }));
+
+            for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+                const batch = db.batch();
+                writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+                await batch.commit();
+            }
+        }
+
+        logger.info(dryRun ? 'Checked rankings import' : 'Imported rankings', { dryRun: dryRun, imported: imported.length, skipped: skipped.length });
+
+        return {
+            success: true,
+            dryRun: dryRun,
+            importedCount: imported.length,
+            imported: imported.map(result => ({ row: result.row, name: result.name, year: result.year, tmdbId: result.match.tmdbId })),
+            skipped: skipped
+        };
+    }));
+
+exports.parseCsv = parseCsv;
+exports.toCsv = toCsv;
@@ -0,0 +1,271 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loggedCall } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when a user has never saved preferences
+const DEFAULT_PREFERENCES = {
+    types: {
+        user_followed: true,
+        movie_rating: true,
+        movie_comment: true,
+        group_pick: true,
+        weekly_recap: true,
+        cannes_wrapped: true
+    },
+    quietHours: {
+        enabled: false,
+        start: '22:00',
+        end: '08:00'
+    },
+    timeZone: 'UTC',
+    dailyCap: 25,
+    // immediate, or collect rating/comment notifications into an hourly or daily digest
+    delivery: 'immediate'
+};
+
+const DELIVERY_MODES = ['immediate', 'hourly', 'daily'];
+
+// How often one sender may notify the same recipient, per notification type.
+// Follow notifications are limited hardest so a follow/unfollow loop can't spam anyone.
+const SENDER_RATE_LIMITS = {
+    user_followed: { limit: 1, windowMs: DAY_MS },
+    movie_rating: { limit: 10, windowMs: HOUR_MS },
+    movie_comment: { limit: 10, windowMs: HOUR_MS }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function preferencesRef(userId) {
+    return admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('preferences')
+        .doc('notifications');
+}
+
+// Get a user's notification preferences merged over the defaults
+async function getNotificationPreferences(userId) {
+    const doc = await preferencesRef(userId).get();
+    const stored = doc.exists ? doc.data() : {};
+
+    return {
+        ...DEFAULT_PREFERENCES,
+        ...stored,
+        types: { ...DEFAULT_PREFERENCES.types, ...(stored.types || {}) },
+        quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(stored.quietHours || {}) }
+    };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Local wall-clock parts for a time zone: { date: 'YYYY-MM-DD', minutes: minutes since midnight }
+function localTime(timeZone, now) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(value => parseInt(value, 10));
+    return hours * 60 + minutes;
+}
+
+// Check whether `now` falls inside the user's quiet hours (which may wrap past midnight)
+function isInQuietHours(preferences, now) {
+    const { enabled, start, end } = preferences.quietHours;
+    if (!enabled || start === end) {
+        return false;
+    }
+
+    const { minutes } = localTime(preferences.timeZone, now);
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    return startMinutes < endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        : minutes >= startMinutes || minutes < endMinutes;
+}
+
+// Decide whether a notification may be delivered, and if so count it against the sender's
+// rate limit and the recipient's daily cap. Returns { allowed: true, reservation } or
+// { allowed: false, reason }; pass the reservation to releaseNotificationQuota if the
+// notification then never reaches a device.
+// With `queueing`, only the type toggle and sender rate limit apply: quiet hours and the daily
+// cap are checked later, when the digest holding the notification is sent.
+async function checkNotificationAllowed(targetUserId, type, senderId, options = {}) {
+    const preferences = options.preferences || await getNotificationPreferences(targetUserId);
+    const queueing = options.queueing === true;
+    const now = new Date();
+
+    if (preferences.types[type] === false) {
+        return { allowed: false, reason: 'disabled' };
+    }
+    if (!queueing && isInQuietHours(preferences, now)) {
+        return { allowed: false, reason: 'quiet_hours' };
+    }
+
+    const db = admin.firestore();
+    const userRef = db.collection('users').doc(targetUserId);
+    const counterRef = userRef.collection('notificationCounters').doc(localTime(preferences.timeZone, now).date);
+    const rateLimit = SENDER_RATE_LIMITS[type];
+    const rateLimitRef = senderId && rateLimit
+        ? userRef.collection('notificationRateLimits').doc(`${senderId}_${type}`)
+        : null;
+
+    return db.runTransaction(async (transaction) => {
+        const [counterDoc, rateLimitDoc] = await Promise.all([
+            transaction.get(counterRef),
+            rateLimitRef ? transaction.get(rateLimitRef) : Promise.resolve(null)
+        ]);
+
+        let windowStart = now.getTime();
+        let windowCount = 0;
+        if (rateLimitDoc && rateLimitDoc.exists && now.getTime() - rateLimitDoc.get('windowStart') < rateLimit.windowMs) {
+            windowStart = rateLimitDoc.get('windowStart');
+            windowCount = rateLimitDoc.get('count') || 0;
+        }
+        if (rateLimitRef && windowCount >= rateLimit.limit) {
+            return { allowed: false, reason: 'rate_limited' };
+        }
+
+        const dailyCount = counterDoc.exists ? (counterDoc.get('count') || 0) : 0;
+        if (!queueing && preferences.dailyCap && dailyCount >= preferences.dailyCap) {
+            return { allowed: false, reason: 'daily_cap' };
+        }
+
+        // Counters are only needed for their day or window; a TTL policy on expiresAt removes them
+        if (!queueing) {
+            transaction.set(counterRef, {
+                count: dailyCount + 1,
+                expiresAt: admin.firestore.Timestamp.fromMillis(now.getTime() + 2 * DAY_MS)
+            }, { merge: true });
+        }
+        if (rateLimitRef) {
+            transaction.set(rateLimitRef, {
+                windowStart: windowStart,
+                count: windowCount + 1,
+                expiresAt: admin.firestore.Timestamp.fromMillis(windowStart + rateLimit.windowMs)
+            });
+        }
+        return {
+            allowed: true,
+            reservation: {
+                counterRef: queueing ? null : counterRef,
+                rateLimitRef: rateLimitRef,
+                windowStart: windowStart
+            }
+        };
+    });
+}
+
+// Give back the daily cap and rate limit a notification used when it didn't reach any device
+// (no token, or the send failed)
+async function releaseNotificationQuota(reservation) {
+    if (!reservation || (!reservation.counterRef && !reservation.rateLimitRef)) {
+        return;
+    }
+
+    const { counterRef, rateLimitRef, windowStart } = reservation;
+    await admin.firestore().runTransaction(async (transaction) => {
+        const [counterDoc, rateLimitDoc] = await Promise.all([
+            counterRef ? transaction.get(counterRef) : Promise.resolve(null),
+            rateLimitRef ? transaction.get(rateLimitRef) : Promise.resolve(null)
+        ]);
+
+        if (counterDoc && (counterDoc.get('count') || 0) > 0) {
+            transaction.update(counterRef, { count: counterDoc.get('count') - 1 });
+        }
+        // A window that has rolled over since no longer holds this notification
+        if (rateLimitDoc && rateLimitDoc.get('windowStart') === windowStart && (rateLimitDoc.get('count') || 0) > 0) {
+            transaction.update(rateLimitRef, { count: rateLimitDoc.get('count') - 1 });
+        }
+    });
+}
+
+// Cloud Function to save the caller's notification preferences
+exports.updateNotificationPreferences = functions.https.onCall(loggedCall('updateNotificationPreferences', async (data, context) => {
+    // Check if user is authenticated
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const update = {};
+
+    if (data.types !== undefined) {
+        update.types = {};
+        for (const [type, enabled] of Object.entries(data.types || {})) {
+            if (!(type in DEFAULT_PREFERENCES.types) || typeof enabled !== 'boolean') {
+                throw new functions.https.HttpsError('invalid-argument', `Invalid notification type toggle: ${type}`);
+            }
+            update.types[type] = enabled;
+        }
+    }
+
+    if (data.quietHours !== undefined) {
+        const { enabled, start, end } = data.quietHours || {};
+        if (typeof enabled !== 'boolean' || !TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+            throw new functions.https.HttpsError('invalid-argument', 'quietHours needs enabled, start and end as HH:mm');
+        }
+        update.quietHours = { enabled, start, end };
+    }
+
+    if (data.timeZone !== undefined) {
+        if (typeof data.timeZone !== 'string' || !isValidTimeZone(data.timeZone)) {
+            throw new functions.https.HttpsError('invalid-argument', `Unknown time zone: ${data.timeZone}`);
+        }
+        update.timeZone = data.timeZone;
+    }
+
+    if (data.delivery !== undefined) {
+        if (!DELIVERY_MODES.includes(data.delivery)) {
+            throw new functions.https.HttpsError('invalid-argument', `delivery must be one of ${DELIVERY_MODES.join(', ')}`);
+        }
+        update.delivery = data.delivery;
+    }
+
+    if (data.dailyCap !== undefined) {
+        if (data.dailyCap !== null && (!Number.isInteger(data.dailyCap) || data.dailyCap < 1)) {
+            throw new functions.https.HttpsError('invalid-argument', 'dailyCap must be a positive integer or null');
+        }
+        update.dailyCap = data.dailyCap;
+    }
+
+    await preferencesRef(context.auth.uid).set({
+        ...update,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { success: true, preferences: await getNotificationPreferences(context.auth.uid) };
+}));
+
+exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
+exports.SENDER_RATE_LIMITS = SENDER_RATE_LIMITS;
+exports.getNotificationPreferences = getNotificationPreferences;
+exports.localTime = localTime;
+exports.isInQuietHours = isInQuietHours;
+exports.checkNotificationAllowed = checkNotificationAllowed;
+exports.releaseNotificationQuota = releaseNotificationQuota;
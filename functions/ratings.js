@@ -0,0 +1,809 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { adminCallable } = require('./admin');
+const { logger, loggedEvent } = require('./logger');
+
+// Ranking states that count towards community ratings (MovieRatingState in the app).
+// initialSentiment and comparing are in-progress states and must never be aggregated.
+const FINAL_RATING_STATES = ['finalInsertion', 'scoreUpdate'];
+
+// Check whether a ranking document should contribute to the community rating for its title
+function isCountableRanking(data) {
+    return !!data &&
+        FINAL_RATING_STATES.includes(data.ratingState) &&
+        !!data.tmdbId &&
+        !!data.title &&
+        !!data.mediaType &&
+        typeof data.score === 'number' &&
+        Number.isFinite(data.score);
+}
+
+// Round the average to 1 decimal place, the same way the app displays it
+function roundAverage(totalScore, numberOfRatings) {
+    return Math.round((totalScore / numberOfRatings) * 10) / 10;
+}
+
+// How many ratings' worth of the global mean a title starts with in its weighted score.
+// A title needs well over this many ratings before its own average dominates.
+const PRIOR_WEIGHT = 10;
+// Mean used before updateLeaderboards has computed one for a media type
+const DEFAULT_PRIOR_MEAN = 5;
+
+// Firestore rejects batches (and transactions) with more than 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// recalculationLocks/global: the recalculation job currently rewriting ratings, if any.
+// Only one non-dry-run job may run at a time.
+function recalculationLockRef() {
+    return admin.firestore().collection('recalculationLocks').doc('global');
+}
+
+// Per-mediaType means across every rating, refreshed by updateLeaderboards
+function ratingStatsRef() {
+    return admin.firestore().collection('ratingStats').doc('global');
+}
+
+// Bayesian average: the title's ratings plus PRIOR_WEIGHT ratings at the global mean,
+// so one 10.0 no longer outranks a classic with hundreds of ratings. Two decimals keep ties rare.
+function weightedScore(totalScore, numberOfRatings, priorMean) {
+    const mean = typeof priorMean === 'number' ? priorMean : DEFAULT_PRIOR_MEAN;
+    return Math.round(((mean * PRIOR_WEIGHT + totalScore) / (PRIOR_WEIGHT + numberOfRatings)) * 100) / 100;
+}
+
+// Score histogram bucket: '0' holds [0, 1), ... '9' holds [9, 10]
+const HISTOGRAM_BUCKETS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+function histogramBucket(score) {
+    return HISTOGRAM_BUCKETS[Math.min(Math.max(Math.floor(score), 0), 9)];
+}
+
+// Fill in every bucket, so a merge write replaces the whole histogram
+function fullHistogram(histogram) {
+    const full = {};
+    HISTOGRAM_BUCKETS.forEach(bucket => {
+        full[bucket] = Math.max((histogram && histogram[bucket]) || 0, 0);
+    });
+    return full;
+}
+
+// Apply one score leaving and/or one arriving to a histogram
+function adjustHistogram(histogram, removedScore, addedScore) {
+    const next = fullHistogram(histogram);
+    if (typeof removedScore === 'number') {
+        next[histogramBucket(removedScore)] = Math.max(next[histogramBucket(removedScore)] - 1, 0);
+    }
+    if (typeof addedScore === 'number') {
+        next[histogramBucket(addedScore)] += 1;
+    }
+    return next;
+}
+
+// Genre names from a ranking's genres array ([{ id, name }])
+function genreNames(genres) {
+    return Array.isArray(genres) ? genres.map(genre => genre && genre.name).filter(Boolean) : [];
+}
+
+// Reference to the ledger entry recording what a user currently contributes to ratings/{tmdbId}
+function contributorRef(tmdbId, userId) {
+    return admin.firestore()
+        .collection('ratings')
+        .doc(tmdbId.toString())
+        .collection('contributors')
+        .doc(userId);
+}
+
+// Bring ratings/{tmdbId} in line with one user's current rankings for that title.
+//
+// Each user counts at most once per title. What they currently contribute is stored in
+// ratings/{tmdbId}/contributors/{userId}, and the ranking itself is re-read inside the
+// transaction, so replayed or out-of-order trigger events converge on the same totals.
+//
+// Ratings docs written before the ledger existed (no ledgerBacked flag) already count users
+// who have no ledger entry, so those are rebuilt from scratch instead of adjusted.
+async function reconcileUserRating(userId, tmdbId, rankingId) {
+    const result = await adjustUserRating(userId, tmdbId, rankingId);
+    if (!result.needsRebuild) {
+        return result;
+    }
+
+    const rebuilt = await rebuildRating(tmdbId);
+    return { tmdbId, delta: 0, rebuilt: true, numberOfRatings: rebuilt.numberOfRatings };
+}
+
+async function adjustUserRating(userId, tmdbId, rankingId) {
+    const db = admin.firestore();
+    const ratingRef = db.collection('ratings').doc(tmdbId.toString());
+    const ledgerRef = contributorRef(tmdbId, userId);
+    const rankingsQuery = db.collection('users')
+        .doc(userId)
+        .collection('rankings')
+        .where('tmdbId', '==', tmdbId);
+
+    return db.runTransaction(async (transaction) => {
+        const [ratingDoc, ledgerDoc, rankingsSnapshot, statsDoc] = await Promise.all([
+            transaction.get(ratingRef),
+            transaction.get(ledgerRef),
+            transaction.get(rankingsQuery),
+            transaction.get(ratingStatsRef())
+        ]);
+
+        if (ratingDoc.exists && ratingDoc.get('ledgerBacked') !== true) {
+            return { tmdbId, delta: 0, needsRebuild: true };
+        }
+
+        const current = ratingDoc.exists && ledgerDoc.exists ? ledgerDoc.data() : null;
+        const countable = rankingsSnapshot.docs.filter(doc => isCountableRanking(doc.data()));
+
+        // Prefer the ranking that triggered this write, then whichever one already counts
+        const chosen = countable.find(doc => doc.id === rankingId) ||
+            countable.find(doc => current && doc.id === current.rankingId) ||
+            countable[0] ||
+            null;
+        const next = chosen ? chosen.data() : null;
+
+        if (!current && !next) {
+            if (ledgerDoc.exists) {
+                transaction.delete(ledgerRef);
+            }
+            return { tmdbId, delta: 0 };
+        }
+
+        if (current && next && current.rankingId === chosen.id && current.score === next.score) {
+            return { tmdbId, delta: 0 };
+        }
+
+        const existing = ratingDoc.exists ? ratingDoc.data() : {};
+        let totalScore = existing.totalScore || 0;
+        let numberOfRatings = existing.numberOfRatings || 0;
+
+        if (current) {
+            totalScore -= current.score;
+            numberOfRatings -= 1;
+        }
+        if (next) {
+            totalScore += next.score;
+            numberOfRatings += 1;
+        }
+
+        if (numberOfRatings <= 0) {
+            // Nobody rates this title anymore
+            transaction.delete(ratingRef);
+            transaction.delete(ledgerRef);
+            return { tmdbId, delta: -1 };
+        }
+
+        const mediaType = next ? next.mediaType : existing.mediaType;
+        const nextGenres = next ? genreNames(next.genres) : [];
+        // Docs written before histograms existed get theirs from the next recalculation
+        const histogram = existing.histogram || !ratingDoc.exists
+            ? adjustHistogram(existing.histogram, current ? current.score : null, next ? next.score : null)
+            : null;
+
+        transaction.set(ratingRef, {
+            tmdbId: tmdbId,
+            title: next ? next.title : existing.title,
+            mediaType: mediaType,
+            genres: nextGenres.length > 0 ? nextGenres : (existing.genres || []),
+            totalScore: totalScore,
+            numberOfRatings: numberOfRatings,
+            averageRating: roundAverage(totalScore, numberOfRatings),
+            weightedScore: weightedScore(totalScore, numberOfRatings, (statsDoc.get('means') || {})[mediaType]),
+            ...(histogram ? { histogram: histogram } : {}),
+            ledgerBacked: true,
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        if (next) {
+            transaction.set(ledgerRef, {
+                rankingId: chosen.id,
+                score: next.score,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            transaction.delete(ledgerRef);
+        }
+
+        return { tmdbId, delta: (next ? 1 : 0) - (current ? 1 : 0) };
+    });
+}
+
+// Rebuild ratings/{tmdbId} and its contributor ledger from every user's rankings of the title.
+// Used to repair drifted totals; each user still counts once, preferring the ranking the
+// ledger already records for them.
+async function rebuildRating(tmdbId) {
+    const db = admin.firestore();
+    const ratingRef = db.collection('ratings').doc(tmdbId.toString());
+    const rankingsQuery = db.collectionGroup('rankings').where('tmdbId', '==', tmdbId);
+
+    return db.runTransaction(async (transaction) => {
+        const [ratingDoc, contributorsSnapshot, rankingsSnapshot, statsDoc] = await Promise.all([
+            transaction.get(ratingRef),
+            transaction.get(ratingRef.collection('contributors')),
+            transaction.get(rankingsQuery),
+            transaction.get(ratingStatsRef())
+        ]);
+
+        const ledger = new Map(contributorsSnapshot.docs.map(doc => [doc.id, doc.get('rankingId')]));
+        const chosen = new Map();
+        rankingsSnapshot.docs.filter(doc => isCountableRanking(doc.data())).forEach(doc => {
+            const userId = doc.ref.parent.parent.id;
+            if (!chosen.has(userId) || doc.id === ledger.get(userId)) {
+                chosen.set(userId, doc);
+            }
+        });
+
+        const staleContributors = contributorsSnapshot.docs.filter(doc => !chosen.has(doc.id));
+        if (chosen.size + staleContributors.length + 1 > MAX_BATCH_WRITES) {
+            throw new Error(`Too many contributors to rebuild ${tmdbId} in one transaction`);
+        }
+        staleContributors.forEach(doc => transaction.delete(doc.ref));
+
+        if (chosen.size === 0) {
+            if (ratingDoc.exists) {
+                transaction.delete(ratingRef);
+            }
+            return { tmdbId, totalScore: 0, numberOfRatings: 0 };
+        }
+
+        let totalScore = 0;
+        let histogram = fullHistogram(null);
+        let sample = null;
+        chosen.forEach((doc, userId) => {
+            const ranking = doc.data();
+            totalScore += ranking.score;
+            histogram = adjustHistogram(histogram, null, ranking.score);
+            if (!sample || genreNames(ranking.genres).length > genreNames(sample.genres).length) {
+                sample = ranking;
+            }
+            transaction.set(contributorRef(tmdbId, userId), {
+                rankingId: doc.id,
+                score: ranking.score,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        const numberOfRatings = chosen.size;
+        transaction.set(ratingRef, {
+            tmdbId: tmdbId,
+            title: sample.title,
+            mediaType: sample.mediaType,
+            genres: genreNames(sample.genres),
+            totalScore: totalScore,
+            numberOfRatings: numberOfRatings,
+            averageRating: roundAverage(totalScore, numberOfRatings),
+            weightedScore: weightedScore(totalScore, numberOfRatings, (statsDoc.get('means') || {})[sample.mediaType]),
+            histogram: histogram,
+            ledgerBacked: true,
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        return { tmdbId, totalScore, numberOfRatings };
+    });
+}
+
+// Cloud Function to keep community ratings in sync with users' rankings.
+// Retries are safe because reconcileUserRating is idempotent.
+exports.onRankingWrite = functions
+    .runWith({ failurePolicy: true })
+    .firestore.document('users/{userId}/rankings/{rankingId}')
+    .onWrite(loggedEvent('onRankingWrite', async (change, context) => {
+        const { userId, rankingId } = context.params;
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+
+        // Rankings that never reached a final state have nothing to add or remove
+        if (!isCountableRanking(before) && !isCountableRanking(after)) {
+            return null;
+        }
+
+        // Timestamp-only rewrites (e.g. re-saving after comparisons) leave the totals untouched
+        if (isCountableRanking(before) && isCountableRanking(after) &&
+            before.tmdbId === after.tmdbId && before.score === after.score) {
+            return null;
+        }
+
+        const tmdbIds = new Set();
+        if (isCountableRanking(before)) tmdbIds.add(before.tmdbId);
+        if (isCountableRanking(after)) tmdbIds.add(after.tmdbId);
+
+        try {
+            // A running recalculation overwrites these totals with what it staged earlier, so
+            // tell it to rebuild the titles once it has applied them
+            const lockDoc = await recalculationLockRef().get();
+            if (lockDoc.exists) {
+                const touched = admin.firestore().collection('recalculationJobs').doc(lockDoc.get('jobId')).collection('touched');
+                await Promise.all(Array.from(tmdbIds).map(tmdbId =>
+                    touched.doc(tmdbId.toString()).set({ tmdbId: tmdbId })));
+            }
+
+            for (const tmdbId of tmdbIds) {
+                const result = await reconcileUserRating(userId, tmdbId, rankingId);
+                logger.info('Reconciled community rating', { tmdbId: tmdbId, targetUserId: userId, rankingId: rankingId, result: result });
+            }
+        } catch (error) {
+            logger.error('Failed to reconcile community rating', { targetUserId: userId, rankingId: rankingId, error: error });
+            throw error;
+        }
+
+        return null;
+    }));
+
+const USER_PAGE_SIZE = 50;
+const RATINGS_PAGE_SIZE = 100;
+// Diffs returned per call when paging through a job's diff
+const DIFF_PAGE_SIZE = 500;
+// Stop picking up new work well before the function timeout so the checkpoint is always saved
+const RECALCULATION_TIME_BUDGET_MS = 7 * 60 * 1000;
+const RECALCULATION_LEASE_MS = 9 * 60 * 1000;
+
+// Load one user's countable rankings, one per title, sorted so a resumed job sees the same order
+async function loadUserContributions(userId) {
+    const rankingsSnapshot = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('rankings')
+        .get();
+
+    const contributions = new Map();
+    for (const ranking of rankingsSnapshot.docs) {
+        const data = ranking.data();
+        if (isCountableRanking(data) && !contributions.has(data.tmdbId)) {
+            contributions.set(data.tmdbId, {
+                tmdbId: data.tmdbId,
+                rankingId: ranking.id,
+                score: data.score,
+                title: data.title,
+                mediaType: data.mediaType,
+                genres: genreNames(data.genres)
+            });
+        }
+    }
+
+    return Array.from(contributions.values())
+        .sort((a, b) => a.tmdbId.toString().localeCompare(b.tmdbId.toString()));
+}
+
+// Commit writes in batches of at most MAX_BATCH_WRITES, saving the checkpoint with the last batch.
+// Every write here must be safe to repeat, since earlier batches may land without the checkpoint.
+async function commitWithCheckpoint(jobRef, writes, checkpoint) {
+    const db = admin.firestore();
+    const perBatch = MAX_BATCH_WRITES - 1;
+    let index = 0;
+
+    do {
+        const batch = db.batch();
+        const chunk = writes.slice(index, index + perBatch);
+        chunk.forEach(write => write(batch));
+        index += chunk.length;
+
+        if (index >= writes.length) {
+            batch.update(jobRef, {
+                ...checkpoint,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        await batch.commit();
+    } while (index < writes.length);
+}
+
+// Phase 1: page through users and stage their contributions as running totals on the job
+async function collectContributions(jobRef, job, deadline) {
+    const db = admin.firestore();
+    const stagedTotals = jobRef.collection('totals');
+    // Increments are not idempotent, so each slice must fit in one batch with its checkpoint
+    const writesPerContribution = job.dryRun ? 1 : 2;
+    const contributionsPerBatch = Math.floor((MAX_BATCH_WRITES - 1) / writesPerContribution);
+
+    while (Date.now() < deadline) {
+        let usersQuery = db.collection('users')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(USER_PAGE_SIZE);
+        if (job.lastUserId) {
+            usersQuery = usersQuery.startAfter(job.lastUserId);
+        }
+
+        const usersSnapshot = await usersQuery.get();
+        if (usersSnapshot.empty) {
+            job.phase = 'apply';
+            await jobRef.update({ phase: 'apply', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return;
+        }
+
+        for (const userDoc of usersSnapshot.docs) {
+            const contributions = await loadUserContributions(userDoc.id);
+            let offset = job.userOffset || 0;
+
+            do {
+                if (Date.now() >= deadline) {
+                    return;
+                }
+
+                const slice = contributions.slice(offset, offset + contributionsPerBatch);
+                const writes = [];
+                for (const contribution of slice) {
+                    writes.push(batch => batch.set(stagedTotals.doc(contribution.tmdbId.toString()), {
+                        tmdbId: contribution.tmdbId,
+                        title: contribution.title,
+                        mediaType: contribution.mediaType,
+                        ...(contribution.genres.length > 0 ? { genres: contribution.genres } : {}),
+                        totalScore: admin.firestore.FieldValue.increment(contribution.score),
+                        numberOfRatings: admin.firestore.FieldValue.increment(1),
+                        histogram: { [histogramBucket(contribution.score)]: admin.firestore.FieldValue.increment(1) }
+                    }, { merge: true }));
+
+                    if (!job.dryRun) {
+                        // Rebuild the ledger onRankingWrite applies its deltas against
+                        writes.push(batch => batch.set(contributorRef(contribution.tmdbId, userDoc.id), {
+                            rankingId: contribution.rankingId,
+                            score: contribution.score,
+                            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                        }));
+                    }
+                }
+
+                offset += slice.length;
+                const userDone = offset >= contributions.length;
+                const checkpoint = userDone
+                    ? { lastUserId: userDoc.id, userOffset: 0 }
+                    : { userOffset: offset };
+
+                await commitWithCheckpoint(jobRef, writes, {
+                    ...checkpoint,
+                    'stats.users': admin.firestore.FieldValue.increment(userDone ? 1 : 0),
+                    'stats.ratings': admin.firestore.FieldValue.increment(slice.length)
+                });
+                Object.assign(job, checkpoint);
+            } while (offset < contributions.length);
+        }
+    }
+}
+
+// Compare a ratings doc with its recomputed values, or null when nothing changed
+function diffRating(tmdbId, existing, recomputed) {
+    const before = existing
+        ? { averageRating: existing.averageRating ?? null, numberOfRatings: existing.numberOfRatings ?? null }
+        : null;
+
+    if (before && recomputed &&
+        before.averageRating === recomputed.averageRating &&
+        before.numberOfRatings === recomputed.numberOfRatings) {
+        return null;
+    }
+
+    return {
+        tmdbId: tmdbId,
+        action: !recomputed ? 'delete' : (before ? 'update' : 'create'),
+        old: before,
+        new: recomputed
+    };
+}
+
+// Phase 2: write the staged totals into ratings and drop ledger entries the job did not see
+async function applyTotals(jobRef, job, deadline, diffs) {
+    const db = admin.firestore();
+    const startedAt = job.startedAt;
+
+    while (Date.now() < deadline) {
+        let totalsQuery = jobRef.collection('totals')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(RATINGS_PAGE_SIZE);
+        if (job.lastTmdbId) {
+            totalsQuery = totalsQuery.startAfter(job.lastTmdbId);
+        }
+
+        const totalsSnapshot = await totalsQuery.get();
+        if (totalsSnapshot.empty) {
+            job.phase = 'cleanup';
+            await jobRef.update({ phase: 'cleanup', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return;
+        }
+
+        const ratingRefs = totalsSnapshot.docs.map(doc => db.collection('ratings').doc(doc.id));
+        const [statsDoc, ...ratingDocs] = await db.getAll(ratingStatsRef(), ...ratingRefs);
+        const means = statsDoc.get('means') || {};
+        const writes = [];
+        let changed = 0;
+
+        for (let i = 0; i < totalsSnapshot.docs.length; i++) {
+            const totals = totalsSnapshot.docs[i].data();
+            const ratingDoc = ratingDocs[i];
+            const recomputed = {
+                averageRating: roundAverage(totals.totalScore, totals.numberOfRatings),
+                numberOfRatings: totals.numberOfRatings
+            };
+
+            const diff = diffRating(totals.tmdbId, ratingDoc.exists ? ratingDoc.data() : null, recomputed);
+            if (diff) {
+                changed++;
+                diffs.push(diff);
+                writes.push(batch => batch.set(jobRef.collection('diffs').doc(ratingDoc.id), diff));
+            }
+
+            if (job.dryRun) {
+                continue;
+            }
+
+            writes.push(batch => batch.set(ratingDoc.ref, {
+                tmdbId: totals.tmdbId,
+                title: totals.title,
+                mediaType: totals.mediaType,
+                genres: totals.genres || [],
+                totalScore: totals.totalScore,
+                numberOfRatings: totals.numberOfRatings,
+                averageRating: recomputed.averageRating,
+                weightedScore: weightedScore(totals.totalScore, totals.numberOfRatings, means[totals.mediaType]),
+                histogram: fullHistogram(totals.histogram),
+                ledgerBacked: true,
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true }));
+
+            // Ledger entries older than the job belong to users who no longer rank this title
+            const staleContributors = await ratingDoc.ref.collection('contributors')
+                .where('updatedAt', '<', startedAt)
+                .get();
+            staleContributors.docs.forEach(doc => writes.push(batch => batch.delete(doc.ref)));
+        }
+
+        const lastTmdbId = totalsSnapshot.docs[totalsSnapshot.docs.length - 1].id;
+        await commitWithCheckpoint(jobRef, writes, {
+            lastTmdbId: lastTmdbId,
+            'stats.titles': admin.firestore.FieldValue.increment(totalsSnapshot.docs.length),
+            'stats.changed': admin.firestore.FieldValue.increment(changed)
+        });
+        job.lastTmdbId = lastTmdbId;
+    }
+}
+
+// Phase 3: remove ratings docs for titles no user ranks anymore
+async function removeOrphanedRatings(jobRef, job, deadline, diffs) {
+    const db = admin.firestore();
+
+    while (Date.now() < deadline) {
+        let ratingsQuery = db.collection('ratings')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(RATINGS_PAGE_SIZE);
+        if (job.lastRatingId) {
+            ratingsQuery = ratingsQuery.startAfter(job.lastRatingId);
+        }
+
+        const ratingsSnapshot = await ratingsQuery.get();
+        if (ratingsSnapshot.empty) {
+            job.phase = job.dryRun ? 'purge' : 'reconcile';
+            await jobRef.update({ phase: job.phase, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            return;
+        }
+
+        const totalsDocs = await db.getAll(...ratingsSnapshot.docs.map(doc => jobRef.collection('totals').doc(doc.id)));
+        const writes = [];
+        let removed = 0;
+
+        for (let i = 0; i < ratingsSnapshot.docs.length; i++) {
+            if (totalsDocs[i].exists) {
+                continue;
+            }
+
+            const ratingDoc = ratingsSnapshot.docs[i];
+            const diff = diffRating(ratingDoc.get('tmdbId') ?? ratingDoc.id, ratingDoc.data(), null);
+            removed++;
+            diffs.push(diff);
+            writes.push(batch => batch.set(jobRef.collection('diffs').doc(ratingDoc.id), diff));
+
+            if (!job.dryRun) {
+                const contributors = await ratingDoc.ref.collection('contributors').get();
+                contributors.docs.forEach(doc => writes.push(batch => batch.delete(doc.ref)));
+                writes.push(batch => batch.delete(ratingDoc.ref));
+            }
+        }
+
+        const lastRatingId = ratingsSnapshot.docs[ratingsSnapshot.docs.length - 1].id;
+        await commitWithCheckpoint(jobRef, writes, {
+            lastRatingId: lastRatingId,
+            'stats.removed': admin.firestore.FieldValue.increment(removed)
+        });
+        job.lastRatingId = lastRatingId;
+    }
+}
+
+// Phase 4: rebuild the titles rankings changed while the job ran, whose live updates the
+// apply phase overwrote, then release the lock
+async function reconcileTouchedTitles(jobRef, job, deadline) {
+    const db = admin.firestore();
+
+    while (Date.now() < deadline) {
+        const touchedSnapshot = await jobRef.collection('touched').limit(RATINGS_PAGE_SIZE).get();
+        if (touchedSnapshot.empty) {
+            // Edits after this point see no lock and are reconciled against the applied totals
+            await db.runTransaction(async (transaction) => {
+                const lockDoc = await transaction.get(recalculationLockRef());
+                if (lockDoc.exists && lockDoc.get('jobId') === job.id) {
+                    transaction.delete(lockDoc.ref);
+                }
+                transaction.update(jobRef, { phase: 'purge', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            });
+            job.phase = 'purge';
+            return;
+        }
+
+        for (const touchedDoc of touchedSnapshot.docs) {
+            if (Date.now() >= deadline) {
+                return;
+            }
+            await rebuildRating(touchedDoc.get('tmdbId'));
+            await touchedDoc.ref.delete();
+            await jobRef.update({ 'stats.reconciled': admin.firestore.FieldValue.increment(1) });
+        }
+    }
+}
+
+// Phase 5: delete the staged data; the stats stay on the job doc. A dry run keeps its diffs,
+// since they are the result, to be paged through with listRecalculationDiffs.
+async function purgeStagingData(jobRef, job) {
+    const db = admin.firestore();
+    const staging = job.dryRun ? ['totals', 'touched'] : ['totals', 'diffs', 'touched'];
+    for (const collection of staging) {
+        await db.recursiveDelete(jobRef.collection(collection));
+    }
+
+    job.phase = 'done';
+    await jobRef.update({
+        phase: 'done',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Create a new recalculation job, or take the lease on an existing one so two runs never overlap
+async function acquireRecalculationJob(jobId, dryRun) {
+    const db = admin.firestore();
+    const jobRef = jobId
+        ? db.collection('recalculationJobs').doc(jobId)
+        : db.collection('recalculationJobs').doc();
+
+    await db.runTransaction(async (transaction) => {
+        const [jobDoc, lockDoc] = await Promise.all([
+            transaction.get(jobRef),
+            transaction.get(recalculationLockRef())
+        ]);
+        const now = Date.now();
+
+        if (!jobDoc.exists) {
+            if (jobId) {
+                throw new functions.https.HttpsError('not-found', `Recalculation job ${jobId} not found`);
+            }
+            // Dry runs only write staging data, so they can run alongside a real job
+            if (!dryRun) {
+                if (lockDoc.exists) {
+                    throw new functions.https.HttpsError('failed-precondition',
+                        `Recalculation job ${lockDoc.get('jobId')} is still in progress; resume it with its jobId`);
+                }
+                transaction.set(recalculationLockRef(), {
+                    jobId: jobRef.id,
+                    startedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            transaction.set(jobRef, {
+                dryRun: dryRun,
+                phase: 'collect',
+                lastUserId: null,
+                userOffset: 0,
+                lastTmdbId: null,
+                lastRatingId: null,
+                stats: { users: 0, ratings: 0, titles: 0, changed: 0, removed: 0, reconciled: 0 },
+                startedAt: admin.firestore.Timestamp.fromMillis(now),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                leaseExpiresAt: now + RECALCULATION_LEASE_MS
+            });
+            return;
+        }
+
+        if ((jobDoc.get('leaseExpiresAt') || 0) > now) {
+            throw new functions.https.HttpsError('failed-precondition', `Recalculation job ${jobRef.id} is already running`);
+        }
+        transaction.update(jobRef, { leaseExpiresAt: now + RECALCULATION_LEASE_MS });
+    });
+
+    const jobDoc = await jobRef.get();
+    return { jobRef, job: { id: jobRef.id, ...jobDoc.data() } };
+}
+
+// Run as many recalculation phases as fit in this invocation's time budget
+async function runRecalculationJob(jobId, dryRun) {
+    const deadline = Date.now() + RECALCULATION_TIME_BUDGET_MS;
+    const { jobRef, job } = await acquireRecalculationJob(jobId, dryRun);
+    const diffs = [];
+
+    try {
+        if (job.phase === 'collect') {
+            await collectContributions(jobRef, job, deadline);
+        }
+        if (job.phase === 'apply') {
+            await applyTotals(jobRef, job, deadline, diffs);
+        }
+        if (job.phase === 'cleanup') {
+            await removeOrphanedRatings(jobRef, job, deadline, diffs);
+        }
+        if (job.phase === 'reconcile') {
+            await reconcileTouchedTitles(jobRef, job, deadline);
+        }
+        if (job.phase === 'purge' && Date.now() < deadline) {
+            await purgeStagingData(jobRef, job);
+        }
+    } finally {
+        await jobRef.update({ leaseExpiresAt: 0 });
+    }
+
+    const finished = await jobRef.get();
+    return {
+        jobId: jobRef.id,
+        dryRun: finished.get('dryRun'),
+        phase: finished.get('phase'),
+        done: finished.get('phase') === 'done',
+        stats: finished.get('stats'),
+        diff: diffs
+    };
+}
+
+// Read a page of a job's per-title diff, in tmdbId order, starting after `diffsAfter`
+async function listRecalculationDiffs(jobId, diffsAfter) {
+    const jobRef = admin.firestore().collection('recalculationJobs').doc(jobId);
+    let query = jobRef.collection('diffs')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(DIFF_PAGE_SIZE);
+    if (diffsAfter) {
+        query = query.startAfter(diffsAfter);
+    }
+
+    const [jobDoc, snapshot] = await Promise.all([jobRef.get(), query.get()]);
+    if (!jobDoc.exists) {
+        throw new functions.https.HttpsError('not-found', `Recalculation job ${jobId} not found`);
+    }
+
+    return {
+        jobId: jobId,
+        dryRun: jobDoc.get('dryRun'),
+        phase: jobDoc.get('phase'),
+        done: jobDoc.get('phase') === 'done',
+        diffs: snapshot.docs.map(doc => doc.data()),
+        nextDiffsAfter: snapshot.size === DIFF_PAGE_SIZE ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+// Cloud Function to recalculate global ratings from users' rankings (admin only).
+// Long runs return before finishing; call again with the returned jobId until done is true.
+// `diff` only holds what this call found. For a dry run's full diff, call with
+// { jobId, listDiffs: true } once it's done and follow nextDiffsAfter until it is null.
+exports.recalculateGlobalRatings = adminCallable('recalculateGlobalRatings', async (data) => {
+    const jobId = data.jobId || null;
+    const dryRun = data.dryRun === true;
+
+    if (data.listDiffs === true) {
+        if (!jobId) {
+            throw new functions.https.HttpsError('invalid-argument', 'jobId is required to list diffs');
+        }
+        return { success: true, ...await listRecalculationDiffs(jobId, data.diffsAfter || null) };
+    }
+
+    try {
+        logger.info('Running global ratings recalculation', { jobId: jobId || null, dryRun: dryRun });
+
+        const result = await runRecalculationJob(jobId, dryRun);
+
+        logger.info('Recalculation job progressed', { jobId: result.jobId, phase: result.phase, stats: result.stats });
+        return { success: true, ...result };
+    } catch (error) {
+        logger.error('Failed to recalculate global ratings', { error: error });
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        throw new functions.https.HttpsError('internal', 'Failed to recalculate global ratings', error.message);
+    }
+}, { timeoutSeconds: 540, memory: '512MB' });
+
+exports.FINAL_RATING_STATES = FINAL_RATING_STATES;
+exports.isCountableRanking = isCountableRanking;
+exports.roundAverage = roundAverage;
+exports.contributorRef = contributorRef;
+exports.reconcileUserRating = reconcileUserRating;
+exports.rebuildRating = rebuildRating;
+exports.ratingStatsRef = ratingStatsRef;
+exports.weightedScore = weightedScore;
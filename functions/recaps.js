@@ -0,0 +1,457 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isCountableRanking } = require('./ratings');
+const { NOTIFICATION_TYPES, notifyUser } = require('./notifications');
+const { mapWithConcurrency } = require('./fanout');
+const { loadUserRatings } = require('./recommendations');
+const { compareRatings } = require('./taste');
+const { getUsername } = require('./activities');
+const { logger, loggedEvent } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const SCAN_PAGE_SIZE = 1000;
+const LOOKUP_CHUNK_SIZE = 100;
+const RECAP_CONCURRENCY = 10;
+// Users handled between checkpoints
+const RECAP_CHUNK_SIZE = 50;
+// Times one user's recap is tried, across scheduled runs, before the job gives up on them
+const MAX_RECAP_ATTEMPTS = 3;
+// Stop picking up users well before the function timeout; the next scheduled run resumes
+const RECAP_TIME_BUDGET_MS = 7 * 60 * 1000;
+// Entries kept in each highlight list, and in the longer top-N lists
+const RECAP_HIGHLIGHTS = 3;
+const TOP_LIST_ENTRIES = 5;
+// Followed users compared for taste twins
+const MAX_TWIN_CANDIDATES = 50;
+// Community ratings (besides the user's own) needed before a ranking can be contrarian
+const CONTRARIAN_MIN_RATINGS = 3;
+
+function usersRef() {
+    return admin.firestore().collection('users');
+}
+
+// users/{uid}/recapState/scores: every score at the last weekly recap, which the next
+// recap diffs against to find new rankings and score changes
+function scoreSnapshotRef(userId) {
+    return usersRef().doc(userId).collection('recapState').doc('scores');
+}
+
+// ISO 8601 week id (e.g. 2026-W42) for the week containing `date`
+function isoWeekId(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day.getTime() - yearStart) / DAY_MS + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// The last full Monday-to-Monday week (UTC) before `now`
+function lastWeek(now) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    const end = today - daysSinceMonday * DAY_MS;
+    const start = end - WEEK_MS;
+    return { start, end, weekId: isoWeekId(new Date(start)) };
+}
+
+function recapJobRef(jobId) {
+    return admin.firestore().collection('recapJobs').doc(jobId);
+}
+
+// Whether a recap job has already finished, so scheduled runs after it can skip their scan
+async function isRecapJobDone(jobId) {
+    return (await recapJobRef(jobId).get()).get('done') === true;
+}
+
+// Run `processUser` over a chunk of users, recording each failure in the job's `failures`
+// map (user id to attempts so far) and clearing the entries of users that now succeeded
+async function processRecapChunk(jobId, chunk, failures, processUser) {
+    const changes = {};
+    await mapWithConcurrency(chunk, RECAP_CONCURRENCY, async (userId) => {
+        try {
+            await processUser(userId);
+            if (failures[userId] !== undefined) {
+                delete failures[userId];
+                changes[userId] = admin.firestore.FieldValue.delete();
+            }
+        } catch (error) {
+            failures[userId] = (failures[userId] || 0) + 1;
+            changes[userId] = failures[userId];
+            logger.error('Error building recap', { jobId: jobId, targetUserId: userId, attempts: failures[userId], error: error });
+        }
+    });
+    return changes;
+}
+
+// Run `processUser` for each user id, checkpointing in recapJobs/{jobId} so a run that hits
+// the time budget is picked up by the next scheduled run. processUser must be safe to repeat
+// for a user, since a run that dies mid-chunk does that chunk again. Users that fail are
+// retried by later runs, up to MAX_RECAP_ATTEMPTS times, and the job isn't done until they
+// succeed or run out of attempts.
+async function runRecapJob(jobId, userIds, processUser) {
+    const jobRef = recapJobRef(jobId);
+    const jobDoc = await jobRef.get();
+    if (jobDoc.exists && jobDoc.get('done')) {
+        return { processed: 0, remaining: 0, retriesLeft: 0, done: true };
+    }
+
+    const lastUserId = jobDoc.exists ? jobDoc.get('lastUserId') : null;
+    const failures = { ...(jobDoc.exists ? jobDoc.get('failures') : null) };
+    const pending = userIds.slice().sort().filter(userId => !lastUserId || userId > lastUserId);
+    // Only failures from earlier runs are retried here; this run's wait for the next one
+    const retries = Object.keys(failures).filter(userId => failures[userId] < MAX_RECAP_ATTEMPTS);
+    const deadline = Date.now() + RECAP_TIME_BUDGET_MS;
+    let processed = 0;
+    let retried = 0;
+
+    while (processed < pending.length && Date.now() < deadline) {
+        const chunk = pending.slice(processed, processed + RECAP_CHUNK_SIZE);
+        const changes = await processRecapChunk(jobId, chunk, failures, processUser);
+        processed += chunk.length;
+        await jobRef.set({
+            lastUserId: chunk[chunk.length - 1],
+            processed: admin.firestore.FieldValue.increment(chunk.length),
+            ...(Object.keys(changes).length > 0 ? { failures: changes } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    while (processed === pending.length && retried < retries.length && Date.now() < deadline) {
+        const chunk = retries.slice(retried, retried + RECAP_CHUNK_SIZE);
+        const changes = await processRecapChunk(jobId, chunk, failures, processUser);
+        retried += chunk.length;
+        await jobRef.set({
+            ...(Object.keys(changes).length > 0 ? { failures: changes } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    const retriesLeft = Object.values(failures).filter(attempts => attempts < MAX_RECAP_ATTEMPTS).length;
+    const done = processed === pending.length && retriesLeft === 0;
+    if (done) {
+        await jobRef.set({ done: true, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    }
+    return { processed, remaining: pending.length - processed, retriesLeft, done };
+}
+
+// Send a recap or Wrapped notification once, marking the stored doc so a repeat run skips it
+async function notifyOnce(docRef, userId, type, payload) {
+    await notifyUser(userId, type, payload);
+    await docRef.update({ notifiedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+// Get ratings docs for a list of tmdbIds, keyed by tmdbId
+async function loadCommunityRatings(tmdbIds) {
+    const db = admin.firestore();
+    const ratings = new Map();
+    for (let i = 0; i < tmdbIds.length; i += LOOKUP_CHUNK_SIZE) {
+        const docs = await db.getAll(...tmdbIds.slice(i, i + LOOKUP_CHUNK_SIZE).map(id => db.collection('ratings').doc(id.toString())));
+        docs.filter(doc => doc.exists).forEach(doc => ratings.set(doc.get('tmdbId'), doc.data()));
+    }
+    return ratings;
+}
+
+// The community average for a title without the user's own score in it, or null when too few
+// other people rated it to compare against
+function othersAverage(rating, ownScore) {
+    if (!rating || rating.numberOfRatings - 1 < CONTRARIAN_MIN_RATINGS) {
+        return null;
+    }
+    return (rating.totalScore - ownScore) / (rating.numberOfRatings - 1);
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Countable rankings written during [start, end), grouped by user
+async function loadRankingsTouched(start, end) {
+    const byUser = new Map();
+    let lastDoc = null;
+
+    while (true) {
+        let query = admin.firestore()
+            .collectionGroup('rankings')
+            .where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(start))
+            .where('timestamp', '<', admin.firestore.Timestamp.fromMillis(end))
+            .orderBy('timestamp')
+            .select('tmdbId', 'score', 'title', 'mediaType', 'ratingState', 'timestamp')
+            .limit(SCAN_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        snapshot.docs.forEach(doc => {
+            if (!isCountableRanking(doc.data())) {
+                return;
+            }
+            const userId = doc.ref.parent.parent.id;
+            if (!byUser.has(userId)) {
+                byUser.set(userId, new Map());
+            }
+            byUser.get(userId).set(doc.get('tmdbId'), { tmdbId: doc.get('tmdbId'), title: doc.get('title'), score: doc.get('score') });
+        });
+        if (snapshot.size < SCAN_PAGE_SIZE) {
+            return byUser;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+function summarizeWeek(recap) {
+    const parts = [];
+    if (recap.newRankings.length > 0) {
+        const top = recap.newRankings[0];
+        parts.push(`You ranked ${recap.newRankingsCount} ${recap.newRankingsCount === 1 ? 'title' : 'titles'}, led by ${top.title} (${top.score.toFixed(1)})`);
+    }
+    if (recap.scoreChanges.length > 0) {
+        const change = recap.scoreChanges[0];
+        parts.push(`${change.title} moved ${change.change > 0 ? 'up' : 'down'} ${Math.abs(change.change).toFixed(1)}`);
+    }
+    if (recap.friendsTopPicks.length > 0) {
+        parts.push(`${recap.friendsTopPicks[0].username} loved ${recap.friendsTopPicks[0].title}`);
+    }
+    return parts.join('. ') + '.';
+}
+
+// Every score as it stood at the end of `week`, for the snapshot the next recap diffs against.
+// Rankings changed since then keep their score from the previous snapshot, so those changes
+// are picked up next week instead of being missed.
+async function scoresAtWeekEnd(userId, week, previous) {
+    const snapshot = await usersRef().doc(userId).collection('rankings')
+        .select('tmdbId', 'score', 'title', 'mediaType', 'ratingState', 'timestamp')
+        .get();
+
+    const scores = {};
+    snapshot.docs.map(doc => doc.data()).filter(isCountableRanking).forEach(ranking => {
+        if (ranking.timestamp && ranking.timestamp.toMillis() < week.end) {
+            scores[ranking.tmdbId] = ranking.score;
+        } else if (previous && previous[ranking.tmdbId] !== undefined) {
+            scores[ranking.tmdbId] = previous[ranking.tmdbId];
+        }
+    });
+    return scores;
+}
+
+// Build, store and send one user's weekly recap. The recap and the next score snapshot are
+// written together, so a repeat run finds either neither (and builds the recap) or both (and
+// at most sends a notification that didn't go out).
+async function buildWeeklyRecap(userId, week, touchedByUser) {
+    const recapRef = usersRef().doc(userId).collection('recaps').doc(week.weekId);
+    const [snapshotDoc, followingSnapshot, recapDoc] = await Promise.all([
+        scoreSnapshotRef(userId).get(),
+        usersRef().doc(userId).collection('following').select().get(),
+        recapRef.get()
+    ]);
+    if (recapDoc.exists) {
+        if (!recapDoc.get('notifiedAt')) {
+            await notifyOnce(recapRef, userId, NOTIFICATION_TYPES.WEEKLY_RECAP, { weekId: week.weekId, summary: recapDoc.get('summary') });
+        }
+        return;
+    }
+    // Already snapshotted for this week with nothing to report
+    if (snapshotDoc.exists && snapshotDoc.get('weekId') === week.weekId) {
+        return;
+    }
+    const previous = snapshotDoc.exists ? snapshotDoc.get('scores') || {} : null;
+    const touched = Array.from(touchedByUser.get(userId).values());
+
+    // Without a snapshot (the first recap) everything ranked this week counts as new
+    const newRankings = touched.filter(ranking => !previous || previous[ranking.tmdbId] === undefined);
+    const scoreChanges = touched
+        .filter(ranking => previous && previous[ranking.tmdbId] !== undefined && previous[ranking.tmdbId] !== ranking.score)
+        .map(ranking => ({ tmdbId: ranking.tmdbId, title: ranking.title, score: ranking.score, change: round1(ranking.score - previous[ranking.tmdbId]) }))
+        .filter(ranking => ranking.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        .slice(0, RECAP_HIGHLIGHTS);
+
+    const friendPicks = [];
+    followingSnapshot.docs.forEach(doc => (touchedByUser.get(doc.id) || new Map()).forEach(ranking => {
+        friendPicks.push({ userId: doc.id, ...ranking });
+    }));
+    const friendsTopPicks = await Promise.all(friendPicks
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RECAP_HIGHLIGHTS)
+        .map(async pick => ({ ...pick, username: await getUsername(pick.userId) })));
+
+    const community = await loadCommunityRatings(newRankings.map(ranking => ranking.tmdbId));
+    const differences = newRankings
+        .map(ranking => {
+            const average = othersAverage(community.get(ranking.tmdbId), ranking.score);
+            return average === null ? null : { tmdbId: ranking.tmdbId, title: ranking.title, score: ranking.score, communityAverage: round1(average), difference: round1(ranking.score - average) };
+        })
+        .filter(Boolean);
+
+    const batch = admin.firestore().batch();
+    batch.set(scoreSnapshotRef(userId), {
+        scores: await scoresAtWeekEnd(userId, week, previous),
+        weekId: week.weekId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (newRankings.length === 0 && scoreChanges.length === 0) {
+        await batch.commit();
+        return;
+    }
+
+    const recap = {
+        weekId: week.weekId,
+        start: admin.firestore.Timestamp.fromMillis(week.start),
+        end: admin.firestore.Timestamp.fromMillis(week.end),
+        newRankingsCount: newRankings.length,
+        newRankings: newRankings
+            .sort((a, b) => b.score - a.score)
+            .slice(0, TOP_LIST_ENTRIES)
+            .map(({ tmdbId, title, score }) => ({ tmdbId, title, score })),
+        scoreChanges: scoreChanges,
+        friendsTopPicks: friendsTopPicks,
+        vsCommunity: {
+            compared: differences.length,
+            averageDifference: differences.length > 0
+                ? round1(differences.reduce((sum, entry) => sum + entry.difference, 0) / differences.length)
+                : null,
+            biggestDifference: differences.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))[0] || null
+        },
+        generatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    recap.summary = summarizeWeek(recap);
+
+    batch.set(recapRef, recap);
+    await batch.commit();
+    await notifyOnce(recapRef, userId, NOTIFICATION_TYPES.WEEKLY_RECAP, { weekId: week.weekId, summary: recap.summary });
+}
+
+// Scheduled Cloud Function building last week's recap for everyone who ranked something in it.
+// Runs hourly on Mondays so a large week finishes over several runs.
+exports.sendWeeklyRecaps = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .pubsub.schedule('0 * * * 1')
+    .timeZone('UTC')
+    .onRun(loggedEvent('sendWeeklyRecaps', async () => {
+        const week = lastWeek(new Date());
+        const jobId = `weekly_${week.weekId}`;
+        if (await isRecapJobDone(jobId)) {
+            return null;
+        }
+        const touchedByUser = await loadRankingsTouched(week.start, week.end);
+        const result = await runRecapJob(jobId, Array.from(touchedByUser.keys()),
+            userId => buildWeeklyRecap(userId, week, touchedByUser));
+
+        logger.info('Built weekly recaps', { weekId: week.weekId, processed: result.processed, remaining: result.remaining, retriesLeft: result.retriesLeft });
+        return null;
+    }));
+
+// Build, store and send one user's Cannes Wrapped for `year`. A Wrapped already stored by an
+// earlier run is only notified about if that didn't happen yet.
+async function buildWrapped(userId, year) {
+    const userRef = usersRef().doc(userId);
+    const wrappedRef = userRef.collection('wrapped').doc(String(year));
+    const wrappedDoc = await wrappedRef.get();
+    if (wrappedDoc.exists) {
+        if (!wrappedDoc.get('notifiedAt')) {
+            await notifyOnce(wrappedRef, userId, NOTIFICATION_TYPES.CANNES_WRAPPED, { year: year, summary: wrappedDoc.get('summary') });
+        }
+        return;
+    }
+
+    const [rankingsSnapshot, followingSnapshot] = await Promise.all([
+        userRef.collection('rankings').get(),
+        userRef.collection('following').select().limit(MAX_TWIN_CANDIDATES).get()
+    ]);
+
+    const countable = rankingsSnapshot.docs.map(doc => doc.data()).filter(isCountableRanking);
+    const thisYear = countable.filter(ranking => ranking.timestamp && ranking.timestamp.toDate().getUTCFullYear() === year);
+    if (thisYear.length === 0) {
+        return;
+    }
+
+    const genres = new Map();
+    thisYear.forEach(ranking => (ranking.genres || []).forEach(genre => {
+        if (!genre || !genre.name) {
+            return;
+        }
+        const entry = genres.get(genre.name) || { genre: genre.name, count: 0, totalScore: 0 };
+        entry.count += 1;
+        entry.totalScore += ranking.score;
+        genres.set(genre.name, entry);
+    }));
+    const topGenres = Array.from(genres.values())
+        .sort((a, b) => b.count - a.count || b.totalScore - a.totalScore)
+        .slice(0, TOP_LIST_ENTRIES)
+        .map(entry => ({ genre: entry.genre, count: entry.count, averageScore: round1(entry.totalScore / entry.count) }));
+
+    const mostCompared = thisYear
+        .filter(ranking => (ranking.comparisonsCount || 0) > 0)
+        .sort((a, b) => b.comparisonsCount - a.comparisonsCount)
+        .slice(0, TOP_LIST_ENTRIES)
+        .map(ranking => ({ tmdbId: ranking.tmdbId, title: ranking.title, comparisonsCount: ranking.comparisonsCount, score: ranking.score }));
+
+    const community = await loadCommunityRatings(thisYear.map(ranking => ranking.tmdbId));
+    const contrarianTakes = thisYear
+        .map(ranking => {
+            const average = othersAverage(community.get(ranking.tmdbId), ranking.score);
+            return average === null ? null : { tmdbId: ranking.tmdbId, title: ranking.title, score: ranking.score, communityAverage: round1(average), difference: round1(ranking.score - average) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+        .slice(0, RECAP_HIGHLIGHTS);
+
+    const myRatings = countable.map(ranking => ({ tmdbId: ranking.tmdbId, title: ranking.title, score: ranking.score }));
+    const twins = await Promise.all(followingSnapshot.docs.map(async (doc) => {
+        const match = compareRatings(myRatings, await loadUserRatings(doc.id));
+        return match.compatibility === null ? null : { userId: doc.id, compatibility: match.compatibility, overlap: match.overlap };
+    }));
+    const tasteTwins = await Promise.all(twins
+        .filter(Boolean)
+        .sort((a, b) => b.compatibility - a.compatibility || b.overlap - a.overlap)
+        .slice(0, RECAP_HIGHLIGHTS)
+        .map(async twin => ({ ...twin, username: await getUsername(twin.userId) })));
+
+    const wrapped = {
+        year: year,
+        rankedCount: thisYear.length,
+        topGenres: topGenres,
+        mostCompared: mostCompared,
+        contrarianTakes: contrarianTakes,
+        tasteTwins: tasteTwins,
+        generatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const highlights = [`${thisYear.length} ${thisYear.length === 1 ? 'title' : 'titles'} ranked`];
+    if (topGenres.length > 0) {
+        highlights.push(`mostly ${topGenres[0].genre}`);
+    }
+    if (tasteTwins.length > 0) {
+        highlights.push(`taste twin: ${tasteTwins[0].username}`);
+    }
+    wrapped.summary = `Your ${year} in Cannes: ${highlights.join(', ')}.`;
+
+    await wrappedRef.set(wrapped);
+    await notifyOnce(wrappedRef, userId, NOTIFICATION_TYPES.CANNES_WRAPPED, { year: year, summary: wrapped.summary });
+}
+
+// Scheduled Cloud Function building everyone's Cannes Wrapped. Runs hourly over the last days
+// of December, resuming where the previous run stopped, until every user is done.
+exports.generateCannesWrapped = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .pubsub.schedule('0 * 28-31 12 *')
+    .timeZone('UTC')
+    .onRun(loggedEvent('generateCannesWrapped', async () => {
+        const year = new Date().getUTCFullYear();
+        const jobId = `wrapped_${year}`;
+        if (await isRecapJobDone(jobId)) {
+            return null;
+        }
+        const usersSnapshot = await usersRef().select().get();
+        const result = await runRecapJob(jobId, usersSnapshot.docs.map(doc => doc.id),
+            userId => buildWrapped(userId, year));
+
+        logger.info('Built Cannes Wrapped', { year: year, processed: result.processed, remaining: result.remaining, retriesLeft: result.retriesLeft });
+        return null;
+    }));
+
+exports.isoWeekId = isoWeekId;
+exports.lastWeek = lastWeek;
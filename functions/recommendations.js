@@ -0,0 +1,509 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isCountableRanking } = require('./ratings');
+const { mapWithConcurrency } = require('./fanout');
+const { logger, loggedCall, loggedEvent } = require('./logger');
+
+const MAX_BATCH_WRITES = 500;
+const USER_PAGE_SIZE = 100;
+const REFRESH_CONCURRENCY = 10;
+// Stop picking up users well before the function timeout; the next scheduled run resumes
+const REFRESH_TIME_BUDGET_MS = 7 * 60 * 1000;
+// Similar titles kept per title in the item model
+const NEIGHBOURS_PER_ITEM = 20;
+// Titles a pair needs in common raters before their similarity counts
+const MIN_CO_RATERS = 2;
+// Per user, only the titles they feel most strongly about are paired up. This keeps the
+// pair count linear in the number of users instead of quadratic in the size of their lists.
+const MAX_PAIRED_ITEMS_PER_USER = 40;
+// Most-ranked titles always considered as candidates, so genre/keyword affinity has
+// something to rank even for users whose titles have no neighbours yet
+const POPULAR_CANDIDATES = 200;
+// Blend of collaborative filtering and the caller's own genre/keyword affinity
+const COLLABORATIVE_WEIGHT = 0.7;
+const CONTENT_WEIGHT = 0.3;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Cached results older than this are recomputed on request
+const CACHE_TTL_MS = 36 * 60 * 60 * 1000;
+
+// recommendationItems/{tmdbId}: title metadata plus its most similar titles
+function itemsCollection() {
+    return admin.firestore().collection('recommendationItems');
+}
+
+// recommendationModel/popular: the POPULAR_CANDIDATES most-ranked titles
+function popularRef() {
+    return admin.firestore().collection('recommendationModel').doc('popular');
+}
+
+// users/{uid}/recommendations/latest: the cached result for one user
+function cacheRef(userId) {
+    return admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('recommendations')
+        .doc('latest');
+}
+
+// Names from a ranking's genres/keywords arrays ([{ id, name }])
+function names(list) {
+    return Array.isArray(list) ? list.map(entry => entry && entry.name).filter(Boolean) : [];
+}
+
+// Shape one ranking into what the recommender needs
+function toRating(data) {
+    return {
+        tmdbId: data.tmdbId,
+        score: data.score,
+        title: data.title,
+        mediaType: data.mediaType,
+        genres: names(data.genres),
+        keywords: names(data.keywords)
+    };
+}
+
+// Each rating minus the user's mean score, so generous and harsh raters compare fairly
+function centerRatings(ratings) {
+    const mean = ratings.reduce((sum, rating) => sum + rating.score, 0) / ratings.length;
+    return ratings.map(rating => ({ ...rating, deviation: rating.score - mean }));
+}
+
+// Accumulate the item model one user at a time, so the nightly job only holds the running
+// sums in memory rather than everyone's rankings. finish() returns what buildItemModel does.
+function createItemModelBuilder() {
+    const items = new Map();
+    const pairs = new Map();
+
+    function addUser(ratings) {
+        if (ratings.length === 0) {
+            return;
+        }
+        const centered = centerRatings(ratings);
+
+        for (const rating of centered) {
+            if (!items.has(rating.tmdbId)) {
+                items.set(rating.tmdbId, {
+                    tmdbId: rating.tmdbId,
+                    title: rating.title,
+                    mediaType: rating.mediaType,
+                    genres: rating.genres,
+                    keywords: rating.keywords,
+                    raters: 0,
+                    sumSquares: 0
+                });
+            }
+            const item = items.get(rating.tmdbId);
+            item.raters++;
+            item.sumSquares += rating.deviation * rating.deviation;
+        }
+
+        const paired = centered
+            .slice()
+            .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation))
+            .slice(0, MAX_PAIRED_ITEMS_PER_USER);
+        for (let i = 0; i < paired.length; i++) {
+            for (let j = i + 1; j < paired.length; j++) {
+                const [a, b] = paired[i].tmdbId < paired[j].tmdbId ? [paired[i], paired[j]] : [paired[j], paired[i]];
+                const key = `${a.tmdbId}|${b.tmdbId}`;
+                const pair = pairs.get(key) || { a: a.tmdbId, b: b.tmdbId, dot: 0, count: 0 };
+                pair.dot += a.deviation * b.deviation;
+                pair.count++;
+                pairs.set(key, pair);
+            }
+        }
+    }
+
+    function finish() {
+        const neighbours = new Map();
+        for (const pair of pairs.values()) {
+            const normA = items.get(pair.a).sumSquares;
+            const normB = items.get(pair.b).sumSquares;
+            if (pair.count < MIN_CO_RATERS || normA === 0 || normB === 0) {
+                continue;
+            }
+            const similarity = pair.dot / Math.sqrt(normA * normB);
+            if (similarity <= 0) {
+                continue;
+            }
+            [[pair.a, pair.b], [pair.b, pair.a]].forEach(([from, to]) => {
+                if (!neighbours.has(from)) {
+                    neighbours.set(from, []);
+                }
+                neighbours.get(from).push({ tmdbId: to, similarity: Math.round(similarity * 1000) / 1000 });
+            });
+        }
+
+        for (const item of items.values()) {
+            item.neighbours = (neighbours.get(item.tmdbId) || [])
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, NEIGHBOURS_PER_ITEM);
+            delete item.sumSquares;
+        }
+
+        return items;
+    }
+
+    return { addUser, finish };
+}
+
+// Build the item model: adjusted cosine similarity between titles, keeping the top
+// NEIGHBOURS_PER_ITEM neighbours per title, plus metadata and rater counts
+function buildItemModel(ratingsByUser) {
+    const builder = createItemModelBuilder();
+    for (const ratings of ratingsByUser.values()) {
+        builder.addUser(ratings);
+    }
+    return builder.finish();
+}
+
+// Average deviation per genre and keyword across a user's rankings: how much more (or less)
+// than usual they like titles with that tag
+function tasteProfile(centered) {
+    const totals = new Map();
+    const add = (tag, deviation) => {
+        const entry = totals.get(tag) || { total: 0, count: 0 };
+        entry.total += deviation;
+        entry.count++;
+        totals.set(tag, entry);
+    };
+
+    centered.forEach(rating => {
+        rating.genres.forEach(genre => add(`genre:${genre}`, rating.deviation));
+        rating.keywords.forEach(keyword => add(`keyword:${keyword}`, rating.deviation));
+    });
+
+    return new Map(Array.from(totals, ([tag, entry]) => [tag, entry.total / entry.count]));
+}
+
+// Affinity of a title for a taste profile, and the tag that contributed most
+function contentAffinity(item, profile) {
+    const tags = [
+        ...item.genres.map(genre => `genre:${genre}`),
+        ...item.keywords.map(keyword => `keyword:${keyword}`)
+    ].filter(tag => profile.has(tag));
+
+    if (tags.length === 0) {
+        return { score: 0, tag: null };
+    }
+
+    const best = tags.reduce((top, tag) => profile.get(tag) > profile.get(top) ? tag : top);
+    const score = tags.reduce((sum, tag) => sum + profile.get(tag), 0) / tags.length;
+    return { score: score, tag: best };
+}
+
+// Rank recommendations for one user.
+// `ratings` are the user's own rankings, `excluded` the tmdbIds to leave out, `items` a Map of
+// item model entries covering at least the user's titles, their neighbours and `popularIds`.
+function recommendForUser(ratings, excluded, items, popularIds, limit) {
+    if (ratings.length === 0) {
+        return [];
+    }
+
+    const centered = centerRatings(ratings);
+    const profile = tasteProfile(centered);
+    const candidates = new Map();
+    const candidate = (tmdbId) => {
+        if (!candidates.has(tmdbId)) {
+            candidates.set(tmdbId, { tmdbId: tmdbId, weighted: 0, weights: 0, because: null, contribution: 0 });
+        }
+        return candidates.get(tmdbId);
+    };
+
+    // Collaborative part: similar titles to the ones the user rated, weighted by how they rated them
+    for (const rating of centered) {
+        const item = items.get(rating.tmdbId);
+        for (const neighbour of (item ? item.neighbours : [])) {
+            if (excluded.has(neighbour.tmdbId)) {
+                continue;
+            }
+            const entry = candidate(neighbour.tmdbId);
+            const contribution = neighbour.similarity * rating.deviation;
+            entry.weighted += contribution;
+            entry.weights += neighbour.similarity;
+            if (contribution > entry.contribution) {
+                entry.contribution = contribution;
+                entry.because = rating.title;
+            }
+        }
+    }
+    popularIds.filter(tmdbId => !excluded.has(tmdbId)).forEach(candidate);
+
+    const results = [];
+    for (const entry of candidates.values()) {
+        const item = items.get(entry.tmdbId);
+        if (!item) {
+            continue;
+        }
+
+        const collaborative = entry.weights > 0 ? entry.weighted / entry.weights : 0;
+        const content = contentAffinity(item, profile);
+        const score = COLLABORATIVE_WEIGHT * collaborative + CONTENT_WEIGHT * content.score;
+        if (score <= 0) {
+            continue;
+        }
+
+        let reason = 'Popular with people who rank what you rank';
+        if (entry.because) {
+            reason = `Because you liked ${entry.because}`;
+        } else if (content.tag) {
+            const [kind, name] = content.tag.split(/:(.*)/);
+            reason = kind === 'genre' ? `Because you like ${name} titles` : `Because you like titles about ${name}`;
+        }
+
+        results.push({
+            tmdbId: entry.tmdbId,
+            title: item.title,
+            mediaType: item.mediaType,
+            score: Math.round(score * 100) / 100,
+            reason: reason
+        });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Titles with the most raters
+function popularItemIds(items) {
+    return Array.from(items.values())
+        .sort((a, b) => b.raters - a.raters)
+        .slice(0, POPULAR_CANDIDATES)
+        .map(item => item.tmdbId);
+}
+
+// tmdbIds in a user's Future Cannes list (stored as movieId)
+async function getFutureCannesIds(userId) {
+    const snapshot = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('futureCannes')
+        .select('movieId')
+        .get();
+
+    return snapshot.docs.map(doc => doc.get('movieId')).filter(movieId => movieId !== undefined);
+}
+
+// Compute and cache one user's recommendations
+async function refreshUserRecommendations(userId, ratings, items, popularIds) {
+    const excluded = new Set([...ratings.map(rating => rating.tmdbId), ...(await getFutureCannesIds(userId))]);
+    const recommendations = recommendForUser(ratings, excluded, items, popularIds, MAX_LIMIT);
+
+    await cacheRef(userId).set({
+        recommendations: recommendations,
+        generatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return recommendations;
+}
+
+// Load the item model entries needed to recommend for one user
+async function loadItemsForUser(ratings) {
+    const db = admin.firestore();
+    const items = new Map();
+    const fetch = async (tmdbIds) => {
+        const missing = tmdbIds.filter(tmdbId => !items.has(tmdbId));
+        for (let i = 0; i < missing.length; i += MAX_BATCH_WRITES) {
+            const refs = missing.slice(i, i + MAX_BATCH_WRITES).map(tmdbId => itemsCollection().doc(tmdbId.toString()));
+            const docs = await db.getAll(...refs);
+            docs.filter(doc => doc.exists).forEach(doc => items.set(doc.get('tmdbId'), doc.data()));
+        }
+    };
+
+    const popularDoc = await popularRef().get();
+    const popularIds = popularDoc.exists ? popularDoc.get('tmdbIds') : [];
+
+    await fetch([...ratings.map(rating => rating.tmdbId), ...popularIds]);
+    const neighbourIds = [];
+    ratings.forEach(rating => {
+        const item = items.get(rating.tmdbId);
+        (item ? item.neighbours : []).forEach(neighbour => neighbourIds.push(neighbour.tmdbId));
+    });
+    await fetch(neighbourIds);
+
+    return { items, popularIds };
+}
+
+// Load one user's countable rankings
+async function loadUserRatings(userId) {
+    const snapshot = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('rankings')
+        .get();
+
+    const ratings = new Map();
+    snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (isCountableRanking(data)) {
+            ratings.set(data.tmdbId, toRating(data));
+        }
+    });
+    return Array.from(ratings.values());
+}
+
+// Cloud Function to get the caller's recommendations ({ limit, refresh }).
+// Served from the cache the nightly job fills; computed on the spot when the cache is
+// missing, stale or `refresh` is set.
+exports.getRecommendations = functions.https.onCall(loggedCall('getRecommendations', async (data, context) => {
+    // Check if user is authenticated
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const userId = context.auth.uid;
+    const limit = Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const cached = await cacheRef(userId).get();
+    const generatedAt = cached.exists && cached.get('generatedAt') ? cached.get('generatedAt').toMillis() : 0;
+    if (!(data && data.refresh) && Date.now() - generatedAt < CACHE_TTL_MS) {
+        return {
+            success: true,
+            cached: true,
+            generatedAt: new Date(generatedAt).toISOString(),
+            recommendations: cached.get('recommendations').slice(0, limit)
+        };
+    }
+
+    try {
+        const ratings = await loadUserRatings(userId);
+        const { items, popularIds } = await loadItemsForUser(ratings);
+        const recommendations = await refreshUserRecommendations(userId, ratings, items, popularIds);
+
+        return {
+            success: true,
+            cached: false,
+            generatedAt: new Date().toISOString(),
+            recommendations: recommendations.slice(0, limit)
+        };
+    } catch (error) {
+        logger.error('Failed to compute recommendations', { error: error });
+        throw new functions.https.HttpsError('internal', 'Failed to compute recommendations');
+    }
+}));
+
+// Page through every user id in order, `USER_PAGE_SIZE` at a time, starting after `afterUserId`.
+// `processPage` gets each page's ids; paging stops when it returns false.
+async function forEachUserPage(afterUserId, processPage) {
+    let lastUserId = afterUserId;
+    while (true) {
+        let query = admin.firestore().collection('users')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select()
+            .limit(USER_PAGE_SIZE);
+        if (lastUserId) {
+            query = query.startAfter(lastUserId);
+        }
+
+        const snapshot = await query.get();
+        const userIds = snapshot.docs.map(doc => doc.id);
+        if (userIds.length > 0 && (await processPage(userIds)) === false) {
+            return false;
+        }
+        if (userIds.length < USER_PAGE_SIZE) {
+            return true;
+        }
+        lastUserId = userIds[userIds.length - 1];
+    }
+}
+
+// Rebuild the item model from everyone's rankings, one page of users at a time, and store it.
+// Only the model's running sums are kept in memory; the model needs every user at once, so
+// this step always runs within a single invocation.
+async function rebuildItemModel() {
+    const db = admin.firestore();
+    const builder = createItemModelBuilder();
+    await forEachUserPage(null, async (userIds) => {
+        const ratings = await mapWithConcurrency(userIds, REFRESH_CONCURRENCY, loadUserRatings);
+        ratings.forEach(builder.addUser);
+    });
+    const items = builder.finish();
+    const popularIds = popularItemIds(items);
+
+    const writes = Array.from(items.values()).map(item => batch => batch.set(
+        itemsCollection().doc(item.tmdbId.toString()),
+        { ...item, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+    ));
+    writes.push(batch => batch.set(popularRef(), {
+        tmdbIds: popularIds,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return items.size;
+}
+
+// Refresh cached recommendations for users after the job's checkpoint until the time budget
+// runs out, checkpointing after each page in the job doc. Users without rankings are skipped.
+async function refreshUsers(jobRef, lastUserId, deadline) {
+    let refreshed = 0;
+    const finished = await forEachUserPage(lastUserId, async (userIds) => {
+        if (Date.now() >= deadline) {
+            return false;
+        }
+        const results = await mapWithConcurrency(userIds, REFRESH_CONCURRENCY, async (userId) => {
+            try {
+                const ratings = await loadUserRatings(userId);
+                if (ratings.length === 0) {
+                    return false;
+                }
+                const { items, popularIds } = await loadItemsForUser(ratings);
+                await refreshUserRecommendations(userId, ratings, items, popularIds);
+                return true;
+            } catch (error) {
+                logger.error('Failed to refresh recommendations', { targetUserId: userId, error: error });
+                return false;
+            }
+        });
+        const count = results.filter(Boolean).length;
+        refreshed += count;
+        await jobRef.set({
+            lastUserId: userIds[userIds.length - 1],
+            refreshed: admin.firestore.FieldValue.increment(count),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    });
+    return { refreshed, finished };
+}
+
+// Scheduled Cloud Function that rebuilds the item model from everyone's rankings once a day,
+// then refreshes every ranking user's cached recommendations. Progress is checkpointed in
+// recommendationJobs/{day}, and the hourly runs pick up where the last one stopped.
+exports.refreshRecommendations = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .pubsub.schedule('0 * * * *')
+    .timeZone('UTC')
+    .onRun(loggedEvent('refreshRecommendations', async () => {
+        const deadline = Date.now() + REFRESH_TIME_BUDGET_MS;
+        const jobId = new Date().toISOString().slice(0, 10);
+        const jobRef = admin.firestore().collection('recommendationJobs').doc(jobId);
+        const jobDoc = await jobRef.get();
+        if (jobDoc.exists && jobDoc.get('done')) {
+            return null;
+        }
+
+        if (!jobDoc.exists || !jobDoc.get('modelBuiltAt')) {
+            const titles = await rebuildItemModel();
+            await jobRef.set({
+                modelBuiltAt: admin.firestore.FieldValue.serverTimestamp(),
+                titles: titles,
+                lastUserId: null,
+                refreshed: 0
+            }, { merge: true });
+            logger.info('Rebuilt recommendation model', { jobId: jobId, titles: titles });
+        }
+
+        const lastUserId = jobDoc.exists ? jobDoc.get('lastUserId') || null : null;
+        const { refreshed, finished } = await refreshUsers(jobRef, lastUserId, deadline);
+        if (finished) {
+            await jobRef.set({ done: true, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        }
+
+        logger.info('Refreshed recommendations', { jobId: jobId, refreshed: refreshed, done: finished });
+        return null;
+    }));
+
+exports.buildItemModel = buildItemModel;
+exports.recommendForUser = recommendForUser;
+exports.loadUserRatings = loadUserRatings;
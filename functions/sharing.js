@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isCountableRanking } = require('./ratings');
+const { getUsername } = require('./activities');
+const { logger, loggedCall, loggedRequest } = require('./logger');
+
+// Secret share tokens are signed with (set with `firebase functions:secrets:set SHARE_TOKEN_SECRET`)
+const SHARE_SECRET = 'SHARE_TOKEN_SECRET';
+const SHARE_KINDS = ['list', 'take'];
+// Titles shown on a shared ranked list
+const LIST_ENTRIES = 10;
+const PUBLIC_CACHE_SECONDS = 300;
+
+// Used when a user has never changed their sharing settings: nothing is public until they opt in
+const DEFAULT_SHARING_SETTINGS = {
+    publicProfile: false
+};
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+function sharingSettingsRef(userId) {
+    return admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('preferences')
+        .doc('sharing');
+}
+
+async function getSharingSettings(userId) {
+    const doc = await sharingSettingsRef(userId).get();
+    return { ...DEFAULT_SHARING_SETTINGS, ...(doc.exists ? doc.data() : {}) };
+}
+
+// shareLinks/{shareId}: what a share token points at, and whether it has been revoked
+function shareLinkRef(shareId) {
+    return admin.firestore().collection('shareLinks').doc(shareId);
+}
+
+function sign(shareId) {
+    return crypto.createHmac('sha256', process.env[SHARE_SECRET]).update(shareId).digest('base64url');
+}
+
+// Tokens are `{shareId}.{signature}`. The signature lets forged tokens be turned away without
+// a Firestore read; the shareLinks doc is what makes a genuine one revocable.
+function createToken(shareId) {
+    return `${shareId}.${sign(shareId)}`;
+}
+
+async function resolveToken(token) {
+    const [shareId, signature] = (token || '').split('.');
+    if (!shareId || !signature) {
+        return null;
+    }
+    const expected = Buffer.from(sign(shareId));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    const linkDoc = await shareLinkRef(shareId).get();
+    return linkDoc.exists && !linkDoc.get('revoked') ? linkDoc.data() : null;
+}
+
+// Public URL of the share function, e.g. https://us-central1-{project}.cloudfunctions.net/share
+function shareBaseUrl() {
+    return process.env.SHARE_BASE_URL || `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/share`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render a full page with Open Graph and Twitter card tags. `body` must already be escaped.
+function renderPage({ title, description, url, body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · Cannes</title>
+<meta name="description" content="${escapeHtml(description)}">
+<meta property="og:site_name" content="Cannes">
+<meta property="og:type" content="website">
+<meta property="og:title" content="${escapeHtml(title)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(url)}">
+<meta name="twitter:card" content="summary">
+<meta name="twitter:title" content="${escapeHtml(title)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Helvetica Neue", sans-serif; max-width: 640px; margin: 0 auto; padding: 24px; color: #1c1c1e; }
+h1 { font-size: 24px; }
+ol { padding-left: 24px; }
+li { margin: 8px 0; }
+.score { font-weight: 600; float: right; }
+.take { font-size: 18px; line-height: 1.5; }
+.muted { color: #8e8e93; }
+</style>
+</head>
+<body>
+${body}
+<p class="muted">Shared from Cannes</p>
+</body>
+</html>`;
+}
+
+// Decode one path segment, or null when it isn't valid percent-encoding
+function safeDecode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatScore(score) {
+    return Number(score).toFixed(1);
+}
+
+// A user's top LIST_ENTRIES finished rankings
+async function renderList(userId, url) {
+    const [username, rankingsSnapshot] = await Promise.all([
+        getUsername(userId),
+        admin.firestore().collection('users').doc(userId).collection('rankings').get()
+    ]);
+    const top = rankingsSnapshot.docs
+        .map(doc => doc.data())
+        .filter(isCountableRanking)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, LIST_ENTRIES);
+    if (top.length === 0) {
+        return null;
+    }
+
+    const title = `${username}'s top ${top.length}`;
+    const items = top.map(ranking =>
+        `<li>${escapeHtml(ranking.title)} <span class="score">${formatScore(ranking.score)}</span></li>`).join('\n');
+    return renderPage({
+        title: title,
+        description: top.slice(0, 3).map((ranking, index) => `${index + 1}. ${ranking.title}`).join(' · '),
+        url: url,
+        body: `<h1>${escapeHtml(title)}</h1>\n<ol>\n${items}\n</ol>`
+    });
+}
+
+// A single published take. `expectedUserId` ties token links to the take's author.
+async function renderTake(movieId, takeId, url, expectedUserId) {
+    const takeDoc = await admin.firestore().collection('takes').doc(movieId).collection('userTakes').doc(takeId).get();
+    if (!takeDoc.exists || takeDoc.get('status') !== 'published') {
+        return null;
+    }
+    const take = takeDoc.data();
+    if (expectedUserId && take.userId !== expectedUserId) {
+        return null;
+    }
+    if (!expectedUserId && !(await getSharingSettings(take.userId)).publicProfile) {
+        return null;
+    }
+
+    const ratingDoc = take.tmdbId ? await admin.firestore().collection('ratings').doc(take.tmdbId.toString()).get() : null;
+    const movieTitle = ratingDoc && ratingDoc.exists ? ratingDoc.get('title') : null;
+    const username = take.username || await getUsername(take.userId);
+    const title = movieTitle ? `${username} on ${movieTitle}` : `${username}'s take`;
+
+    return renderPage({
+        title: title,
+        description: take.text.length > 200 ? `${take.text.slice(0, 197)}...` : take.text,
+        url: url,
+        body: `<h1>${escapeHtml(title)}</h1>\n<p class="take">${escapeHtml(take.text)}</p>`
+    });
+}
+
+// A title's community score, which is anonymous and so always public
+async function renderTitle(tmdbId, url) {
+    const ratingDoc = await admin.firestore().collection('ratings').doc(tmdbId).get();
+    if (!ratingDoc.exists) {
+        return null;
+    }
+
+    const rating = ratingDoc.data();
+    const description = `Community score ${formatScore(rating.averageRating)} from ${rating.numberOfRatings} ${rating.numberOfRatings === 1 ? 'ranking' : 'rankings'}`;
+    return renderPage({
+        title: rating.title,
+        description: description,
+        url: url,
+        body: `<h1>${escapeHtml(rating.title)}</h1>\n<p>${escapeHtml(description)}</p>`
+    });
+}
+
+// Cloud Function serving public share pages:
+//   /list/{userId}              a user's top rankings, if their profile is public
+//   /take/{movieId}/{takeId}    a published take, if its author's profile is public
+//   /title/{tmdbId}             a title's community score
+//   /s/{token}                  a list or take shared with a token, whatever the privacy setting
+// Private, missing and revoked pages all get the same 404.
+exports.share = functions
+    .runWith({ secrets: [SHARE_SECRET] })
+    .https.onRequest(loggedRequest('share', async (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.set('Allow', 'GET, HEAD').status(405).send('Method Not Allowed');
+            return;
+        }
+
+        const segments = req.path.split('/').filter(Boolean).map(safeDecode);
+        const url = `${shareBaseUrl()}${req.path}`;
+        let html = null;
+        // Token pages must stop working as soon as they're revoked, so they are never cached
+        let cacheControl = `public, max-age=${PUBLIC_CACHE_SECONDS}`;
+
+        try {
+            const [kind, ...params] = segments;
+            if (segments.includes(null)) {
+                // Malformed percent-encoding can't name anything
+            } else if (kind === 's' && params.length === 1) {
+                cacheControl = 'private, no-store';
+                const link = await resolveToken(params[0]);
+                if (link && link.kind === 'list') {
+                    html = await renderList(link.userId, url);
+                } else if (link && link.kind === 'take') {
+                    html = await renderTake(link.movieId, link.takeId, url, link.userId);
+                }
+            } else if (kind === 'list' && params.length === 1) {
+                if ((await getSharingSettings(params[0])).publicProfile) {
+                    html = await renderList(params[0], url);
+                }
+            } else if (kind === 'take' && params.length === 2) {
+                html = await renderTake(params[0], params[1], url, null);
+            } else if (kind === 'title' && params.length === 1 && /^\d+$/.test(params[0])) {
+                html = await renderTitle(params[0], url);
+            }
+        } catch (error) {
+            logger.error('Failed to render share page', { path: req.path, error: error });
+            res.status(500).send('Something went wrong');
+            return;
+        }
+
+        if (!html) {
+            res.set('Cache-Control', 'private, no-store').status(404).send(renderPage({
+                title: 'Not found',
+                description: 'This page is private, has been removed or never existed.',
+                url: url,
+                body: '<h1>Not found</h1>\n<p>This page is private, has been removed or never existed.</p>'
+            }));
+            return;
+        }
+
+        res.set('Cache-Control', cacheControl).status(200).send(html);
+    }));
+
+// Cloud Function to make the caller's ranked list and takes public or private ({ publicProfile }).
+// Share tokens keep working either way until they're revoked.
+exports.updateSharingSettings = functions.https.onCall(loggedCall('updateSharingSettings', async (data, context) => {
+    const userId = requireAuth(context);
+    if (typeof (data && data.publicProfile) !== 'boolean') {
+        throw new functions.https.HttpsError('invalid-argument', 'publicProfile must be a boolean');
+    }
+
+    await sharingSettingsRef(userId).set({
+        publicProfile: data.publicProfile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return {
+        success: true,
+        publicProfile: data.publicProfile,
+        url: data.publicProfile ? `${shareBaseUrl()}/list/${encodeURIComponent(userId)}` : null
+    };
+}));
+
+// Cloud Function to create a share link for the caller's ranked list ({ kind: 'list' }) or one
+// of their takes ({ kind: 'take', movieId, takeId })
+exports.createShareLink = functions
+    .runWith({ secrets: [SHARE_SECRET] })
+    .https.onCall(loggedCall('createShareLink', async (data, context) => {
+        const userId = requireAuth(context);
+        const kind = data && data.kind;
+        if (!SHARE_KINDS.includes(kind)) {
+            throw new functions.https.HttpsError('invalid-argument', `kind must be one of ${SHARE_KINDS.join(', ')}`);
+        }
+
+        const link = { userId: userId, kind: kind, revoked: false, createdAt: admin.firestore.FieldValue.serverTimestamp() };
+        if (kind === 'take') {
+            const { movieId, takeId } = data;
+            if (typeof movieId !== 'string' || !movieId || typeof takeId !== 'string' || !takeId) {
+                throw new functions.https.HttpsError('invalid-argument', 'movieId and takeId are required');
+            }
+            const takeDoc = await admin.firestore().collection('takes').doc(movieId).collection('userTakes').doc(takeId).get();
+            if (!takeDoc.exists || takeDoc.get('userId') !== userId) {
+                throw new functions.https.HttpsError('not-found', 'Take not found');
+            }
+            Object.assign(link, { movieId, takeId });
+        }
+
+        const ref = admin.firestore().collection('shareLinks').doc();
+        await ref.set(link);
+
+        logger.info('Created share link', { shareId: ref.id, kind: kind });
+        return { success: true, shareId: ref.id, url: `${shareBaseUrl()}/s/${createToken(ref.id)}` };
+    }));
+
+// Cloud Function to revoke one of the caller's share links ({ shareId })
+exports.revokeShareLink = functions.https.onCall(loggedCall('revokeShareLink', async (data, context) => {
+    const userId = requireAuth(context);
+    const shareId = data && data.shareId;
+    if (typeof shareId !== 'string' || !shareId) {
+        throw new functions.https.HttpsError('invalid-argument', 'shareId is required');
+    }
+
+    const ref = shareLinkRef(shareId);
+    const linkDoc = await ref.get();
+    if (!linkDoc.exists || linkDoc.get('userId') !== userId) {
+        throw new functions.https.HttpsError('not-found', 'Share link not found');
+    }
+
+    await ref.update({ revoked: true, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    logger.info('Revoked share link', { shareId: shareId });
+    return { success: true, shareId: shareId, revoked: true };
+}));
+
+exports.escapeHtml = escapeHtml;
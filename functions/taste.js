@@ -0,0 +1,226 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isCountableRanking } = require('./ratings');
+const { loadUserRatings } = require('./recommendations');
+const { getBlockStatus, getUsersHiding } = require('./blocks');
+const { getUsername } = require('./activities');
+const { loggedCall } = require('./logger');
+
+// Titles two users need in common before a compatibility score means anything
+const MIN_OVERLAP = 3;
+// Agreements/disagreements returned with a single match
+const HIGHLIGHTS = 3;
+const MAX_BATCH_USERS = 50;
+// Highest-scored titles of the caller used to find people with similar lists
+const SIMILAR_USERS_SEED_TITLES = 30;
+// Values per Firestore `in` query
+const IN_QUERY_LIMIT = 10;
+// Rankings read per seed query, so popular titles can't turn one call into a scan of the
+// whole rankings collection group
+const SIMILAR_USERS_RANKINGS_PER_QUERY = 500;
+const SIMILAR_USERS_CANDIDATES = 25;
+const DEFAULT_SIMILAR_USERS = 10;
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+// Ranks for a list of values (1 = lowest), ties sharing their average rank
+function rank(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+            end++;
+        }
+        const averageRank = (start + end) / 2 + 1;
+        for (let i = start; i <= end; i++) {
+            ranks[order[i].index] = averageRank;
+        }
+        start = end + 1;
+    }
+    return ranks;
+}
+
+// Spearman rank correlation: Pearson correlation of the ranks, which handles ties
+function spearman(xs, ys) {
+    const rx = rank(xs);
+    const ry = rank(ys);
+    const mean = (rx.length + 1) / 2;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < rx.length; i++) {
+        covariance += (rx[i] - mean) * (ry[i] - mean);
+        varianceX += (rx[i] - mean) ** 2;
+        varianceY += (ry[i] - mean) ** 2;
+    }
+
+    // Someone who gave every shared title the same score has no ordering to compare
+    if (varianceX === 0 || varianceY === 0) {
+        return 0;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Compare two users' rankings. Compatibility maps the rank correlation of their scores on
+// shared titles from [-1, 1] to a 0-100 percentage; it is null below MIN_OVERLAP titles.
+function compareRatings(myRatings, theirRatings) {
+    const theirs = new Map(theirRatings.map(rating => [rating.tmdbId, rating]));
+    const shared = myRatings
+        .filter(rating => theirs.has(rating.tmdbId))
+        .map(rating => ({
+            tmdbId: rating.tmdbId,
+            title: rating.title,
+            myScore: rating.score,
+            theirScore: theirs.get(rating.tmdbId).score,
+            difference: Math.round(Math.abs(rating.score - theirs.get(rating.tmdbId).score) * 10) / 10
+        }));
+
+    const compatibility = shared.length >= MIN_OVERLAP
+        ? Math.round((spearman(shared.map(s => s.myScore), shared.map(s => s.theirScore)) + 1) * 50)
+        : null;
+
+    // Closest scores first; with few shared titles, split them so none is listed twice
+    const byDifference = shared.slice().sort((a, b) => a.difference - b.difference);
+    const agreementCount = Math.min(HIGHLIGHTS, Math.ceil(shared.length / 2));
+    return {
+        compatibility: compatibility,
+        overlap: shared.length,
+        agreements: byDifference.slice(0, agreementCount),
+        disagreements: byDifference.slice(agreementCount).reverse().slice(0, HIGHLIGHTS).filter(s => s.difference > 0)
+    };
+}
+
+// Cloud Function to get how closely the caller's taste matches another user's
+exports.getTasteMatch = functions.https.onCall(loggedCall('getTasteMatch', async (data, context) => {
+    const userId = requireAuth(context);
+    const otherUserId = data && data.otherUserId;
+
+    if (typeof otherUserId !== 'string' || !otherUserId || otherUserId === userId) {
+        throw new functions.https.HttpsError('invalid-argument', 'otherUserId must be another user');
+    }
+    if (await getBlockStatus(userId, otherUserId) === 'blocked') {
+        throw new functions.https.HttpsError('permission-denied', 'Cannot compare with this user');
+    }
+
+    const [myRatings, theirRatings] = await Promise.all([loadUserRatings(userId), loadUserRatings(otherUserId)]);
+    return { success: true, otherUserId: otherUserId, ...compareRatings(myRatings, theirRatings) };
+}));
+
+// Cloud Function to get compatibility for several users at once ({ userIds }), defaulting to
+// the people the caller follows. Returns { matches: { [uid]: { compatibility, overlap } } }.
+exports.getTasteMatches = functions.https.onCall(loggedCall('getTasteMatches', async (data, context) => {
+    const userId = requireAuth(context);
+    let userIds = data && data.userIds;
+
+    if (userIds === undefined) {
+        const following = await admin.firestore()
+            .collection('users')
+            .doc(userId)
+            .collection('following')
+            .select()
+            .limit(MAX_BATCH_USERS)
+            .get();
+        userIds = following.docs.map(doc => doc.id);
+    }
+    if (!Array.isArray(userIds) || userIds.length > MAX_BATCH_USERS || userIds.some(id => typeof id !== 'string' || !id)) {
+        throw new functions.https.HttpsError('invalid-argument', `userIds must be a list of at most ${MAX_BATCH_USERS} user ids`);
+    }
+
+    const myRatings = await loadUserRatings(userId);
+    const matches = {};
+    await Promise.all(userIds.filter(otherUserId => otherUserId !== userId).map(async (otherUserId) => {
+        if (await getBlockStatus(userId, otherUserId) === 'blocked') {
+            return;
+        }
+        const { compatibility, overlap } = compareRatings(myRatings, await loadUserRatings(otherUserId));
+        matches[otherUserId] = { compatibility, overlap };
+    }));
+
+    return { success: true, matches: matches };
+}));
+
+// Cloud Function suggesting "users like you" ({ limit }): people who ranked the caller's
+// favourite titles, not yet followed, ordered by compatibility
+exports.getSimilarUsers = functions.https.onCall(loggedCall('getSimilarUsers', async (data, context) => {
+    const userId = requireAuth(context);
+    const limit = Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_SIMILAR_USERS, 1), SIMILAR_USERS_CANDIDATES);
+    const db = admin.firestore();
+
+    const myRatings = await loadUserRatings(userId);
+    const seedIds = myRatings
+        .slice()
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SIMILAR_USERS_SEED_TITLES)
+        .map(rating => rating.tmdbId);
+    if (seedIds.length < MIN_OVERLAP) {
+        return { success: true, users: [] };
+    }
+
+    const seedChunks = [];
+    for (let i = 0; i < seedIds.length; i += IN_QUERY_LIMIT) {
+        seedChunks.push(seedIds.slice(i, i + IN_QUERY_LIMIT));
+    }
+
+    const [rankerSnapshots, following, hiding] = await Promise.all([
+        Promise.all(seedChunks.map(chunk => db.collectionGroup('rankings')
+            .where('tmdbId', 'in', chunk)
+            .select('tmdbId', 'title', 'mediaType', 'score', 'ratingState')
+            .limit(SIMILAR_USERS_RANKINGS_PER_QUERY)
+            .get())),
+        db.collection('users').doc(userId).collection('following').select().get(),
+        getUsersHiding(userId)
+    ]);
+
+    // Each ranker's finished rankings count once per seed title; in-progress ones don't count
+    const skip = new Set([userId, ...following.docs.map(doc => doc.id), ...hiding]);
+    const sharedTitles = new Map();
+    rankerSnapshots.flatMap(snapshot => snapshot.docs).forEach(doc => {
+        const rankerId = doc.ref.parent.parent.id;
+        if (skip.has(rankerId) || !isCountableRanking(doc.data())) {
+            return;
+        }
+        if (!sharedTitles.has(rankerId)) {
+            sharedTitles.set(rankerId, new Set());
+        }
+        sharedTitles.get(rankerId).add(doc.get('tmdbId'));
+    });
+    const sharedCounts = Array.from(sharedTitles, ([rankerId, titles]) => [rankerId, titles.size]);
+
+    // Only the users sharing the most seed titles are worth loading in full
+    const candidates = sharedCounts
+        .filter(([, count]) => count >= MIN_OVERLAP)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, SIMILAR_USERS_CANDIDATES)
+        .map(([candidateId]) => candidateId);
+
+    const users = await Promise.all(candidates.map(async (candidateId) => {
+        const [ratings, username] = await Promise.all([loadUserRatings(candidateId), getUsername(candidateId)]);
+        const match = compareRatings(myRatings, ratings);
+        return {
+            userId: candidateId,
+            username: username,
+            compatibility: match.compatibility,
+            overlap: match.overlap,
+            agreements: match.agreements
+        };
+    }));
+
+    return {
+        success: true,
+        users: users
+            .filter(user => user.compatibility !== null && user.compatibility >= 50)
+            .sort((a, b) => b.compatibility - a.compatibility || b.overlap - a.overlap)
+            .slice(0, limit)
+    };
+}));
+
+exports.spearman = spearman;
+exports.compareRatings = compareRatings;
@@ -0,0 +1,95 @@
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+// FCM error codes meaning the token will never work again and should be forgotten. Errors
+// about the message itself (like messaging/invalid-argument) say nothing about the token.
+const STALE_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+// Doc id the app used before each device registered its own token
+const LEGACY_TOKEN_DOC = 'fcm';
+
+// Get every registered device token for a user.
+// Tokens live in users/{uid}/tokens/{deviceId}; the legacy single `fcm` doc is read the same way
+// until its device registers under its own id, when the legacy copy is deleted.
+async function getUserTokens(userId) {
+    const snapshot = await admin.firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('tokens')
+        .get();
+
+    // The same token can be stored under more than one doc (e.g. legacy `fcm` plus a device doc)
+    const tokens = new Map();
+    for (const doc of snapshot.docs) {
+        const fcmToken = doc.get('fcmToken');
+        if (!fcmToken) {
+            continue;
+        }
+        if (!tokens.has(fcmToken)) {
+            tokens.set(fcmToken, []);
+        }
+        tokens.get(fcmToken).push(doc.ref);
+    }
+
+    const migrated = Array.from(tokens.values()).find(refs =>
+        refs.length > 1 && refs.some(ref => ref.id === LEGACY_TOKEN_DOC));
+    if (migrated) {
+        const legacyRef = migrated.find(ref => ref.id === LEGACY_TOKEN_DOC);
+        await legacyRef.delete();
+        migrated.splice(migrated.indexOf(legacyRef), 1);
+    }
+
+    return tokens;
+}
+
+// Send a message to all of a user's devices, deleting tokens FCM reports as dead.
+// `message` is an FCM message without `token`/`tokens`.
+async function sendToUser(userId, message) {
+    const tokens = await getUserTokens(userId);
+
+    if (tokens.size === 0) {
+        logger.info('No FCM token found', { targetUserId: userId });
+        return { success: false, message: 'No FCM token found', successCount: 0, failureCount: 0, prunedCount: 0 };
+    }
+
+    const tokenList = Array.from(tokens.keys());
+    const response = await admin.messaging().sendEachForMulticast({ ...message, tokens: tokenList });
+
+    const staleRefs = [];
+    response.responses.forEach((result, index) => {
+        if (!result.success && result.error && STALE_TOKEN_ERRORS.includes(result.error.code)) {
+            staleRefs.push(...tokens.get(tokenList[index]));
+        }
+    });
+
+    if (staleRefs.length > 0) {
+        const batch = admin.firestore().batch();
+        staleRefs.forEach(ref => batch.delete(ref));
+        await batch.commit();
+        logger.info('Pruned stale FCM tokens', { targetUserId: userId, prunedCount: staleRefs.length });
+    }
+
+    logger.info('Sent notification to devices', {
+        targetUserId: userId,
+        successCount: response.successCount,
+        deviceCount: tokenList.length,
+        errors: response.responses.filter(result => !result.success && result.error).map(result => result.error.code)
+    });
+
+    const messageIds = response.responses.filter(result => result.success).map(result => result.messageId);
+
+    return {
+        success: response.successCount > 0,
+        messageId: messageIds[0] || null,
+        messageIds: messageIds,
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+        prunedCount: staleRefs.length
+    };
+}
+
+exports.STALE_TOKEN_ERRORS = STALE_TOKEN_ERRORS;
+exports.getUserTokens = getUserTokens;
+exports.sendToUser = sendToUser;
@@ -0,0 +1,293 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { collectRefs } = require('./fanout');
+const { adminCallable } = require('./admin');
+const { ACTIVITY_TYPES } = require('./activities');
+const { logger, loggedCall, loggedEvent } = require('./logger');
+
+// Same rules as InputValidator.isValidUsername in the app: 3-20 letters, numbers and
+// underscores, no leading, trailing or consecutive underscores
+const USERNAME_PATTERN = /^(?!_)(?!.*__)[a-zA-Z0-9_]{3,20}(?<!_)$/;
+const RENAME_COOLDOWN_DAYS = 30;
+// How long a name someone renamed away from stays theirs, so it can't be picked up straight
+// away to impersonate them
+const RELEASED_NAME_HOLD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BATCH_WRITES = 500;
+const BACKFILL_PAGE_SIZE = 200;
+// Stop picking up profiles well before the function timeout
+const BACKFILL_TIME_BUDGET_MS = 7 * 60 * 1000;
+// Conflicting legacy names listed in a backfill job; the count covers all of them
+const BACKFILL_CONFLICT_SAMPLES = 50;
+
+// Names nobody can claim. More can be added without a deploy in usernameConfig/blocklist
+// ({ reserved: [...], blockedWords: [...] }).
+const RESERVED_USERNAMES = [
+    'admin', 'administrator', 'cannes', 'cannesapp', 'help', 'moderator', 'null', 'official',
+    'root', 'security', 'settings', 'staff', 'support', 'system', 'team', 'undefined'
+];
+// Words no username may contain
+const BLOCKED_WORDS = ['admin', 'moderator', 'official', 'cannesteam', 'cannessupport'];
+
+function requireAuth(context) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    return context.auth.uid;
+}
+
+// Usernames are unique regardless of case
+function foldUsername(username) {
+    return username.toLowerCase();
+}
+
+// usernames/{folded}: who holds a name. Names renamed away from keep their owner, with
+// releasedAt and heldUntil set, until the hold runs out.
+function usernameRef(folded) {
+    return admin.firestore().collection('usernames').doc(folded);
+}
+
+// usernameConfig/index: { backfilled } is set once every profile's name is in usernames, after
+// which the index alone decides whether a name is taken
+function indexStateRef() {
+    return admin.firestore().collection('usernameConfig').doc('index');
+}
+
+async function loadBlocklist() {
+    const doc = await admin.firestore().collection('usernameConfig').doc('blocklist').get();
+    const lowered = list => (Array.isArray(list) ? list : []).filter(item => typeof item === 'string').map(item => item.toLowerCase());
+    return {
+        reserved: new Set([...RESERVED_USERNAMES, ...lowered(doc.get('reserved'))]),
+        blockedWords: [...BLOCKED_WORDS, ...lowered(doc.get('blockedWords'))]
+    };
+}
+
+function isBlockedUsername(folded, blocklist) {
+    // Underscores are ignored so "ad_min" doesn't get around the word list
+    const compact = folded.replace(/_/g, '');
+    return blocklist.reserved.has(folded) ||
+        blocklist.reserved.has(compact) ||
+        blocklist.blockedWords.some(word => compact.includes(word));
+}
+
+function millis(timestamp) {
+    return timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : null;
+}
+
+// Set `fields` on every document a query matches, in batches
+async function updateAll(query, fields) {
+    const refs = await collectRefs(query);
+    const db = admin.firestore();
+    for (let i = 0; i < refs.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        refs.slice(i, i + MAX_BATCH_WRITES).forEach(ref => batch.update(ref, fields));
+        await batch.commit();
+    }
+    return refs.length;
+}
+
+// Cloud Function to claim or change the caller's username ({ username }). Names are unique
+// ignoring case, reserved and blocked names are refused, and after the first claim a user can
+// rename once every RENAME_COOLDOWN_DAYS.
+exports.claimUsername = functions.https.onCall(loggedCall('claimUsername', async (data, context) => {
+    const userId = requireAuth(context);
+    const username = data && typeof data.username === 'string' ? data.username.trim() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new functions.https.HttpsError('invalid-argument',
+            'Usernames are 3-20 letters, numbers and single underscores, not starting or ending with one');
+    }
+
+    const folded = foldUsername(username);
+    if (isBlockedUsername(folded, await loadBlocklist())) {
+        throw new functions.https.HttpsError('invalid-argument', 'That username isn\'t available');
+    }
+
+    const db = admin.firestore();
+    const userRef = db.collection('users').doc(userId);
+    const claimRef = usernameRef(folded);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const [userDoc, claimDoc, indexState] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(claimRef),
+            transaction.get(indexStateRef())
+        ]);
+        // Until backfillUsernames has indexed every profile, names taken before the index
+        // existed are only on profiles. Only exact and lowercase matches can be found there.
+        const profilesSnapshot = indexState.get('backfilled') === true
+            ? null
+            : await transaction.get(db.collection('users').where('username', 'in', Array.from(new Set([username, folded]))).limit(2));
+
+        const previous = userDoc.get('username') || null;
+        if (previous === username) {
+            return { username: username, previousUsername: previous, changed: false };
+        }
+
+        const now = Date.now();
+        const renaming = previous && foldUsername(previous) !== folded;
+        const changedAt = millis(userDoc.get('usernameChangedAt'));
+        if (renaming && changedAt && now - changedAt < RENAME_COOLDOWN_DAYS * DAY_MS) {
+            const nextChange = new Date(changedAt + RENAME_COOLDOWN_DAYS * DAY_MS);
+            throw new functions.https.HttpsError('failed-precondition',
+                `You can change your username again on ${nextChange.toISOString().slice(0, 10)}`);
+        }
+
+        const heldByOther = claimDoc.exists && claimDoc.get('userId') !== userId &&
+            (!claimDoc.get('releasedAt') || millis(claimDoc.get('heldUntil')) > now);
+        const onOtherProfile = profilesSnapshot ? profilesSnapshot.docs.some(doc => doc.id !== userId) : false;
+        if (heldByOther || onOtherProfile) {
+            throw new functions.https.HttpsError('already-exists', 'Username is already taken');
+        }
+
+        transaction.set(claimRef, {
+            userId: userId,
+            username: username,
+            claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+            releasedAt: null,
+            heldUntil: null
+        });
+        if (renaming) {
+            transaction.set(usernameRef(foldUsername(previous)), {
+                userId: userId,
+                username: previous,
+                releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+                heldUntil: admin.firestore.Timestamp.fromMillis(now + RELEASED_NAME_HOLD_DAYS * DAY_MS)
+            }, { merge: true });
+        }
+        // A change of case only is neither a rename nor a reason to restart the cooldown
+        transaction.set(userRef, {
+            username: username,
+            ...(renaming || !previous ? { usernameChangedAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+        }, { merge: true });
+
+        return { username: username, previousUsername: previous, changed: true };
+    });
+
+    if (result.changed) {
+        logger.info('Claimed username', { username: result.username, previousUsername: result.previousUsername });
+    }
+    return { success: true, username: result.username, previousUsername: result.previousUsername };
+}));
+
+// Cloud Function trigger that copies a new username onto the places it's denormalized: the
+// user's activities (global, feed copies and notification inboxes), the follow activities
+// that show it as their title, and their takes. Safe to retry: every write sets the same value.
+exports.onUsernameChange = functions
+    .runWith({ failurePolicy: true, timeoutSeconds: 300 })
+    .firestore.document('users/{userId}')
+    .onUpdate(loggedEvent('onUsernameChange', async (change, context) => {
+        const { userId } = context.params;
+        const username = change.after.get('username');
+        if (!username || username === change.before.get('username')) {
+            return null;
+        }
+
+        const db = admin.firestore();
+        const followActivities = query => query
+            .where('type', '==', ACTIVITY_TYPES.USER_FOLLOWED)
+            .where('movieId', '==', userId);
+
+        const counts = await Promise.all([
+            // The activities collection group covers the global collection and users' inboxes
+            updateAll(db.collectionGroup('activities').where('userId', '==', userId), { username: username }),
+            updateAll(db.collectionGroup('feed').where('userId', '==', userId), { username: username }),
+            updateAll(followActivities(db.collection('activities')), { movieTitle: username }),
+            updateAll(followActivities(db.collection('users').doc(userId).collection('feed')), { movieTitle: username }),
+            updateAll(db.collectionGroup('userTakes').where('userId', '==', userId), { username: username })
+        ]);
+
+        logger.info('Propagated username change', {
+            targetUserId: userId,
+            updated: counts.reduce((sum, count) => sum + count, 0)
+        });
+        return null;
+    }));
+
+// Index one profile's username, unless someone else already holds it (legacy profiles could
+// share a name in different cases). Returns 'claimed', 'indexed' or the conflicting holder.
+async function indexProfileUsername(userId, username) {
+    const db = admin.firestore();
+    const claimRef = usernameRef(foldUsername(username));
+
+    return db.runTransaction(async (transaction) => {
+        const claimDoc = await transaction.get(claimRef);
+        if (claimDoc.exists && claimDoc.get('userId') === userId) {
+            return { status: 'indexed' };
+        }
+        const expired = claimDoc.exists && claimDoc.get('releasedAt') && millis(claimDoc.get('heldUntil')) <= Date.now();
+        if (claimDoc.exists && !expired) {
+            return { status: 'conflict', heldBy: claimDoc.get('userId') };
+        }
+
+        transaction.set(claimRef, {
+            userId: userId,
+            username: username,
+            claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+            releasedAt: null,
+            heldUntil: null
+        });
+        return { status: 'claimed' };
+    });
+}
+
+// Admin callable to add every profile's username to the usernames index, so names that differ
+// only in case from one taken before the index existed can't be claimed. Profiles whose name
+// is already held by someone else are reported as conflicts to resolve by hand. Long runs
+// return before finishing; call again with the returned jobId until done is true.
+exports.backfillUsernames = adminCallable('backfillUsernames', async (data) => {
+    const db = admin.firestore();
+    const jobRef = data.jobId
+        ? db.collection('usernameBackfillJobs').doc(data.jobId)
+        : db.collection('usernameBackfillJobs').doc();
+    const jobDoc = await jobRef.get();
+    if (data.jobId && !jobDoc.exists) {
+        throw new functions.https.HttpsError('not-found', `Username backfill job ${data.jobId} not found`);
+    }
+
+    const job = jobDoc.exists
+        ? jobDoc.data()
+        : { lastUserId: null, users: 0, claimed: 0, conflictCount: 0, conflicts: [], done: false };
+    const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+
+    while (!job.done && Date.now() < deadline) {
+        let usersQuery = db.collection('users')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('username')
+            .limit(BACKFILL_PAGE_SIZE);
+        if (job.lastUserId) {
+            usersQuery = usersQuery.startAfter(job.lastUserId);
+        }
+
+        const usersSnapshot = await usersQuery.get();
+        job.done = usersSnapshot.size < BACKFILL_PAGE_SIZE;
+
+        for (const userDoc of usersSnapshot.docs) {
+            const username = userDoc.get('username');
+            if (typeof username === 'string' && username) {
+                const result = await indexProfileUsername(userDoc.id, username);
+                if (result.status === 'claimed') {
+                    job.claimed += 1;
+                } else if (result.status === 'conflict') {
+                    job.conflictCount += 1;
+                    if (job.conflicts.length < BACKFILL_CONFLICT_SAMPLES) {
+                        job.conflicts.push({ userId: userDoc.id, username: username, heldBy: result.heldBy });
+                    }
+                }
+            }
+            job.users += 1;
+            job.lastUserId = userDoc.id;
+        }
+
+        await jobRef.set({ ...job, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+
+    if (job.done) {
+        await indexStateRef().set({ backfilled: true, backfilledAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    }
+
+    logger.info('Backfilled usernames', { jobId: jobRef.id, users: job.users, claimed: job.claimed, conflicts: job.conflictCount, done: job.done });
+    return { success: true, jobId: jobRef.id, ...job };
+}, { timeoutSeconds: 540 });
+
+exports.foldUsername = foldUsername;
+exports.isBlockedUsername = isBlockedUsername;